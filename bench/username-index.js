@@ -0,0 +1,91 @@
+// Compares lookups by pub and by username prefix through UsernameIndex with
+// scans over every entry. Usage: node bench/username-index.js [users]
+
+const { performance } = require("perf_hooks");
+const { UsernameIndex } = require("../username-index");
+
+const USERS = parseInt(process.argv[2], 10) || 100000;
+const LOOKUPS = 2000;
+
+function fakeKey(prefix, i) {
+  return `${prefix}${i.toString(36).padStart(8, "0")}${"x".repeat(70)}`;
+}
+
+function scanByPub(index, pub) {
+  for (const [, userData] of index.entries()) {
+    if (userData.userPub === pub) return userData;
+  }
+  return null;
+}
+
+function measure(label, lookups, fn) {
+  const start = performance.now();
+  let found = 0;
+  for (const pub of lookups) {
+    if (fn(pub)) found++;
+  }
+  const ms = performance.now() - start;
+  console.log(
+    `${label.padEnd(22)} ${ms.toFixed(1).padStart(10)} ms  ${(
+      (ms * 1000) /
+      lookups.length
+    )
+      .toFixed(2)
+      .padStart(10)} µs/lookup  (${found} found)`
+  );
+  return ms;
+}
+
+// Bulk load, as the relay does at startup; the keys are sorted once here
+const buildStart = performance.now();
+const index = new UsernameIndex().load(
+  Array.from({ length: USERS }, (_, i) => {
+    const userPub = fakeKey("pub", i);
+    return [
+      `user${i}`,
+      {
+        username: `user${i}`,
+        displayName: `User ${i}`,
+        pub: userPub,
+        userPub,
+        epub: fakeKey("epub", i),
+        lastSeen: Date.now(),
+      },
+    ];
+  })
+);
+console.log(
+  `Built index of ${USERS} users in ${(performance.now() - buildStart).toFixed(
+    1
+  )} ms`
+);
+
+// Uniformly spread hits plus 10% misses, the worst case for a scan
+const lookups = Array.from({ length: LOOKUPS }, (_, i) =>
+  i % 10 === 0
+    ? fakeKey("missing", i)
+    : fakeKey("pub", Math.floor(Math.random() * USERS))
+);
+
+const scan = measure("scan (before)", lookups, (pub) => scanByPub(index, pub));
+const indexed = measure("findByPub", lookups, (pub) => index.findByPub(pub));
+console.log(`Speedup: ${(scan / indexed).toFixed(0)}x`);
+
+// Typeahead prefixes of existing names (5 to 8 characters), looked up in the
+// keys sorted during the build above
+const prefixes = lookups.map((_, i) =>
+  `user${Math.floor(Math.random() * USERS)}`.slice(0, 6 + (i % 4))
+);
+const prefixScan = measure("prefix scan", prefixes, (prefix) => {
+  const matches = [];
+  for (const key of index.keys()) {
+    if (key.startsWith(prefix) && matches.push(key) >= 20) break;
+  }
+  return matches.length > 0;
+});
+const prefixIndexed = measure(
+  "keysWithPrefix",
+  prefixes,
+  (prefix) => index.keysWithPrefix(prefix, 20).length > 0
+);
+console.log(`Speedup: ${(prefixScan / prefixIndexed).toFixed(0)}x`);
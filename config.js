@@ -0,0 +1,305 @@
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const { SHARED_STATE_BACKENDS } = require("./shared-state");
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+//
+// Every setting is declared once below with its type and default. A value is
+// resolved from, in order of precedence:
+//
+// 1. overrides passed to createRelay({ config })
+// 2. the environment variable named by `env` (the key itself when omitted)
+// 3. the optional config file given by CONFIG_FILE (.json, .yml or .yaml),
+//    using the same keys as below
+// 4. the default
+//
+// Integers must be >= `min` (1 unless stated). Invalid values or unknown keys
+// in the config file or overrides stop the server at startup.
+
+const REDACTED = "[redacted]";
+
+const CONFIG_SCHEMA = {
+  // Server
+  PORT: { type: "port", default: 8765 },
+  DB_PATH: { type: "string", default: "./linda_optimization.db" },
+  GUN_FILE: { type: "string", default: "linda-data" },
+  // Empty: use the list maintained by shogun-relays
+  GUNDB_PEERS: { type: "list", default: [] },
+  // Allowed origins for HTTP and Socket.IO, "*" allows any origin
+  CORS_ORIGINS: { type: "list", default: ["*"], env: "FRONTEND_URL" },
+  // Express "trust proxy": true, a hop count or a list of proxy addresses.
+  // Needed behind a reverse proxy so rate limits see the client IP
+  TRUST_PROXY: { type: "trustProxy", default: false },
+  // Enables the admin API (webhook management)
+  ADMIN_TOKEN: { type: "string", default: "", secret: true },
+
+  // Username Index
+  MAX_USERNAME_RESULTS: { type: "integer", default: 20 },
+  FUSE_THRESHOLD: { type: "number", default: 0.3, min: 0, max: 1 },
+  INDEX_FLUSH_INTERVAL_MS: { type: "integer", default: 1000 },
+  INDEX_FLUSH_BATCH_SIZE: { type: "integer", default: 500 },
+  // Pubs plus usernames accepted by one POST /api/users/batch
+  MAX_BATCH_LOOKUP: { type: "integer", default: 200 },
+  // Names only an admin can assign, and names nobody can hold
+  RESERVED_USERNAMES: {
+    type: "list",
+    default: [
+      "admin",
+      "administrator",
+      "root",
+      "system",
+      "support",
+      "moderator",
+      "linda",
+    ],
+  },
+  BLOCKED_USERNAMES: { type: "list", default: [] },
+  // How long an offered username transfer waits for the recipient
+  USERNAME_TRANSFER_TTL_HOURS: { type: "integer", default: 72 },
+
+  // Message cache
+  PUBLIC_ROOMS_NODE: { type: "string", default: "public_rooms" },
+  CONVERSATIONS_NODE: { type: "string", default: "conversations" },
+  GROUPS_NODE: { type: "string", default: "groups" },
+  DEFAULT_PAGE_SIZE: { type: "integer", default: 50 },
+  MAX_PAGE_SIZE: { type: "integer", default: 200 },
+  MAX_CACHED_MESSAGES_PER_ROOM: { type: "integer", default: 1000 },
+  MAX_MESSAGES_PER_CONVERSATION: { type: "integer", default: 1000 },
+  // Conversations kept in sync with GunDB at once, least recently read
+  // ones are dropped first
+  MAX_CONVERSATION_LISTENERS: { type: "integer", default: 1000 },
+  MESSAGE_PREVIEW_LENGTH: { type: "integer", default: 100 },
+  GUN_FETCH_TIMEOUT_MS: { type: "integer", default: 3000 },
+  NOTIFICATION_ACK_TIMEOUT_MS: { type: "integer", default: 10000 },
+  MAX_SEARCH_RESULTS: { type: "integer", default: 100 },
+  // Prefix matches and Fuse hits ranked by GET /api/search, each; beyond
+  // that the results are reported as truncated
+  SEARCH_CANDIDATE_WINDOW: { type: "integer", default: 500 },
+  MOST_ACTIVE_CONVERSATIONS: { type: "integer", default: 5 },
+
+  // SEA proofs
+  AUTH_MAX_CLOCK_SKEW_MS: { type: "integer", default: 5 * 60 * 1000 },
+
+  // Rate limits: token buckets of `capacity` tokens refilled at
+  // `refillPerMinute`, tracked separately per IP and per authenticated pub.
+  // Buckets given in the file or env (as JSON) replace the matching defaults
+  RATE_LIMITS: {
+    type: "rateLimits",
+    default: {
+      register: { capacity: 5, refillPerMinute: 5 },
+      search: { capacity: 60, refillPerMinute: 120 },
+      usersBatch: { capacity: 30, refillPerMinute: 60 },
+      statsNotify: { capacity: 60, refillPerMinute: 60 },
+      notifyMessage: { capacity: 120, refillPerMinute: 120 },
+      notifyConversation: { capacity: 30, refillPerMinute: 30 },
+      messageNotification: { capacity: 60, refillPerMinute: 120 },
+      groupMessageNotification: { capacity: 500, refillPerMinute: 1000 },
+      groupTypingNotification: { capacity: 500, refillPerMinute: 1000 },
+    },
+  },
+  CLEANUP_INTERVAL_MINUTES: { type: "integer", default: 30 },
+
+  // Outbound webhooks: failed deliveries are retried after
+  // WEBHOOK_RETRY_BASE_MS * 2^(attempt - 1), then moved to the dead letters
+  WEBHOOK_TIMEOUT_MS: { type: "integer", default: 10000 },
+  WEBHOOK_POLL_INTERVAL_MS: { type: "integer", default: 5000 },
+  WEBHOOK_BATCH_SIZE: { type: "integer", default: 20 },
+  WEBHOOK_MAX_ATTEMPTS: { type: "integer", default: 8 },
+  WEBHOOK_RETRY_BASE_MS: { type: "integer", default: 10000 },
+  WEBHOOK_DELIVERY_RETENTION_DAYS: { type: "integer", default: 30 },
+
+  // Protocol stats history: hourly buckets are rolled up into daily ones
+  // once older than STATS_HOURLY_RETENTION_DAYS
+  STATS_HOURLY_RETENTION_DAYS: { type: "integer", default: 7 },
+  STATS_DAILY_RETENTION_DAYS: { type: "integer", default: 365 },
+
+  // Presence and Socket.IO fan-out: "memory" for a single instance, "sqlite"
+  // to share them between instances using the same database file
+  SHARED_STATE_BACKEND: {
+    type: "enum",
+    values: SHARED_STATE_BACKENDS,
+    default: "memory",
+  },
+};
+
+// Each parser gets the raw value (always a string when it comes from the
+// environment) and returns the typed value or throws a message
+const PARSERS = {
+  string(value) {
+    if (typeof value !== "string") throw new Error("must be a string");
+    return value;
+  },
+
+  integer(value, spec) {
+    const number =
+      typeof value === "string" && /^-?\d+$/.test(value.trim())
+        ? Number(value)
+        : value;
+    if (!Number.isSafeInteger(number)) throw new Error("must be an integer");
+    const min = spec.min !== undefined ? spec.min : 1;
+    if (number < min) throw new Error(`must be >= ${min}`);
+    return number;
+  },
+
+  number(value, spec) {
+    const number =
+      typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+    if (typeof number !== "number" || !Number.isFinite(number)) {
+      throw new Error("must be a number");
+    }
+    if (spec.min !== undefined && number < spec.min) {
+      throw new Error(`must be >= ${spec.min}`);
+    }
+    if (spec.max !== undefined && number > spec.max) {
+      throw new Error(`must be <= ${spec.max}`);
+    }
+    return number;
+  },
+
+  port(value) {
+    const port = PARSERS.integer(value, { min: 0 });
+    if (port > 65535) throw new Error("must be <= 65535");
+    return port;
+  },
+
+  // Comma-separated string or array of strings
+  list(value) {
+    const items = typeof value === "string" ? value.split(",") : value;
+    if (
+      !Array.isArray(items) ||
+      !items.every((item) => typeof item === "string")
+    ) {
+      throw new Error("must be a list of strings or a comma-separated string");
+    }
+    return items.map((item) => item.trim()).filter(Boolean);
+  },
+
+  enum(value, spec) {
+    if (!spec.values.includes(value)) {
+      throw new Error(`must be one of: ${spec.values.join(", ")}`);
+    }
+    return value;
+  },
+
+  trustProxy(value) {
+    if (value === "true" || value === true) return true;
+    if (value === "false" || value === false || value === "") return false;
+    if (typeof value === "number" || /^\d+$/.test(String(value))) {
+      return PARSERS.integer(value, { min: 0 });
+    }
+    if (typeof value === "string") return value;
+    throw new Error("must be true, false, a hop count or proxy addresses");
+  },
+
+  rateLimits(value, spec) {
+    const limits = typeof value === "string" ? parseJson(value) : value;
+    if (!limits || typeof limits !== "object" || Array.isArray(limits)) {
+      throw new Error("must be an object of rate limit buckets");
+    }
+
+    const merged = { ...spec.default };
+    for (const [name, bucket] of Object.entries(limits)) {
+      if (!spec.default[name]) {
+        throw new Error(`unknown rate limit "${name}"`);
+      }
+      if (!bucket || typeof bucket !== "object") {
+        throw new Error(`${name} must be { capacity, refillPerMinute }`);
+      }
+      merged[name] = {
+        capacity: PARSERS.number(bucket.capacity, { min: 1 }),
+        refillPerMinute: PARSERS.number(bucket.refillPerMinute, { min: 0 }),
+      };
+    }
+    return merged;
+  },
+};
+
+function parseJson(value) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error("must be valid JSON");
+  }
+}
+
+function readConfigFile(file) {
+  const extension = path.extname(file).toLowerCase();
+  if (![".json", ".yml", ".yaml"].includes(extension)) {
+    throw new Error(
+      `Unsupported config file "${file}" (expected .json, .yml or .yaml)`
+    );
+  }
+
+  const text = fs.readFileSync(file, "utf8");
+  const values = extension === ".json" ? JSON.parse(text) : YAML.parse(text);
+  if (values === null || values === undefined) return {};
+  if (typeof values !== "object" || Array.isArray(values)) {
+    throw new Error(`Config file "${file}" must contain an object`);
+  }
+  return values;
+}
+
+// Builds the effective configuration. Throws with every invalid setting
+// listed at once
+function loadConfig({
+  env = process.env,
+  file = env.CONFIG_FILE,
+  overrides = {},
+} = {}) {
+  const fileValues = file ? readConfigFile(file) : {};
+  const errors = [];
+
+  for (const key of Object.keys(fileValues)) {
+    if (!CONFIG_SCHEMA[key]) errors.push(`${key}: unknown setting in ${file}`);
+  }
+  for (const key of Object.keys(overrides)) {
+    if (!CONFIG_SCHEMA[key]) errors.push(`${key}: unknown setting`);
+  }
+
+  const config = {};
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    const envName = spec.env || key;
+    let raw = spec.default;
+    let source = "default";
+    if (overrides[key] !== undefined) {
+      raw = overrides[key];
+      source = "overrides";
+    } else if (env[envName] !== undefined && env[envName] !== "") {
+      raw = env[envName];
+      source = envName;
+    } else if (fileValues[key] !== undefined) {
+      raw = fileValues[key];
+      source = file;
+    }
+
+    try {
+      config[key] = source === "default" ? raw : PARSERS[spec.type](raw, spec);
+    } catch (error) {
+      errors.push(`${key} (from ${source}): ${error.message}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  - ${errors.join("\n  - ")}`);
+  }
+
+  return config;
+}
+
+// Copy of the configuration safe to expose, with secrets masked
+function redactConfig(config) {
+  const redacted = { ...config };
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    if (spec.secret && redacted[key]) redacted[key] = REDACTED;
+  }
+  return redacted;
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  loadConfig,
+  redactConfig,
+};
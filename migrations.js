@@ -0,0 +1,555 @@
+const { promisifyDb } = require("./shared-state");
+
+// ============================================================================
+// SCHEMA MIGRATIONS
+// ============================================================================
+//
+// The SQLite schema is versioned in `schema_version`, one row per applied
+// migration. At startup every migration newer than the database runs in
+// order, each in its own transaction together with its schema_version row,
+// so a failed migration leaves the database at the previous version.
+// Migrations are append-only: never edit one that has shipped, add a new
+// version instead.
+//
+// The shared state tables (shared-state.js) are not covered: they only exist
+// with the "sqlite" backend and hold no durable data.
+
+// Tables, triggers and indexes as they were before versioning, so the first
+// migration is a no-op on databases created by older relays
+const INITIAL_SCHEMA = [
+  // Username table
+  `
+  CREATE TABLE IF NOT EXISTS usernames (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    display_name TEXT,
+    user_pub TEXT NOT NULL,
+    epub TEXT,
+    last_seen INTEGER,
+    created_at INTEGER DEFAULT (strftime('%s', 'now'))
+  )
+`,
+
+  // Protocol statistics table
+  `
+  CREATE TABLE IF NOT EXISTS protocol_stats (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    stat_type TEXT UNIQUE NOT NULL,
+    stat_value INTEGER DEFAULT 0,
+    last_updated INTEGER DEFAULT (strftime('%s', 'now')),
+    created_at INTEGER DEFAULT (strftime('%s', 'now'))
+  )
+`,
+
+  // Per-bucket increments of each protocol stat ("hour" or "day") and the
+  // running total at the last increment in the bucket
+  `
+  CREATE TABLE IF NOT EXISTS protocol_stats_history (
+    stat_type TEXT NOT NULL,
+    granularity TEXT NOT NULL,
+    bucket_start INTEGER NOT NULL,
+    increment INTEGER NOT NULL DEFAULT 0,
+    total INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (stat_type, granularity, bucket_start)
+  )
+`,
+
+  // Public room message cache
+  `
+  CREATE TABLE IF NOT EXISTS room_messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    room_id TEXT NOT NULL,
+    message_id TEXT NOT NULL,
+    sender_pub TEXT,
+    sender_alias TEXT,
+    content TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    cached_at INTEGER NOT NULL,
+    UNIQUE(room_id, message_id)
+  )
+`,
+
+  // Private conversation cache (content is stored exactly as received,
+  // encrypted messages are never decrypted by the relay)
+  `
+  CREATE TABLE IF NOT EXISTS private_messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    conversation_id TEXT NOT NULL,
+    message_id TEXT NOT NULL,
+    sender_pub TEXT,
+    recipient_pub TEXT,
+    content TEXT,
+    content_preview TEXT,
+    is_encrypted INTEGER DEFAULT 0,
+    timestamp INTEGER NOT NULL,
+    cached_at INTEGER NOT NULL,
+    UNIQUE(conversation_id, message_id)
+  )
+`,
+
+  // Persistent notification queues
+  `
+  CREATE TABLE IF NOT EXISTS notifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_pub TEXT NOT NULL,
+    seq INTEGER NOT NULL,
+    type TEXT NOT NULL,
+    data TEXT,
+    timestamp INTEGER NOT NULL,
+    created_at INTEGER NOT NULL,
+    UNIQUE(user_pub, seq)
+  )
+`,
+  `
+  CREATE TABLE IF NOT EXISTS notification_sequences (
+    user_pub TEXT PRIMARY KEY,
+    last_seq INTEGER NOT NULL
+  )
+`,
+  // Read cursor of every device of a user over their notification stream
+  `
+  CREATE TABLE IF NOT EXISTS notification_devices (
+    user_pub TEXT NOT NULL,
+    device_id TEXT NOT NULL,
+    cursor_seq INTEGER NOT NULL DEFAULT 0,
+    registered_at INTEGER NOT NULL,
+    last_active INTEGER NOT NULL,
+    PRIMARY KEY (user_pub, device_id)
+  )
+`,
+
+  // Nonces of accepted signed requests, kept until their signature expires
+  `
+  CREATE TABLE IF NOT EXISTS auth_nonces (
+    nonce TEXT PRIMARY KEY,
+    user_pub TEXT NOT NULL,
+    expires_at INTEGER NOT NULL
+  )
+`,
+
+  // Per-user conversation analytics, one row per contact and UTC day
+  `
+  CREATE TABLE IF NOT EXISTS user_conversation_stats (
+    user_pub TEXT NOT NULL,
+    contact_pub TEXT NOT NULL DEFAULT '',
+    bucket_day INTEGER NOT NULL,
+    messages_sent INTEGER DEFAULT 0,
+    messages_received INTEGER DEFAULT 0,
+    encrypted_messages INTEGER DEFAULT 0,
+    plaintext_messages INTEGER DEFAULT 0,
+    conversations_started INTEGER DEFAULT 0,
+    last_activity INTEGER,
+    PRIMARY KEY (user_pub, contact_pub, bucket_day)
+  )
+`,
+
+  // Outbound webhook subscriptions, their delivery log and the
+  // deliveries that ran out of retries
+  `
+  CREATE TABLE IF NOT EXISTS webhooks (
+    id TEXT PRIMARY KEY,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    events TEXT NOT NULL,
+    description TEXT,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  )
+`,
+  `
+  CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    webhook_id TEXT NOT NULL,
+    event TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at INTEGER NOT NULL,
+    last_status_code INTEGER,
+    last_error TEXT,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  )
+`,
+  `
+  CREATE TABLE IF NOT EXISTS webhook_dead_letters (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    delivery_id INTEGER NOT NULL UNIQUE,
+    webhook_id TEXT NOT NULL,
+    event TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    attempts INTEGER NOT NULL,
+    last_status_code INTEGER,
+    last_error TEXT,
+    failed_at INTEGER NOT NULL
+  )
+`,
+
+  // Group membership registry used for group notification fan-out
+  `
+  CREATE TABLE IF NOT EXISTS groups (
+    group_id TEXT PRIMARY KEY,
+    name TEXT,
+    created_by TEXT,
+    created_at INTEGER,
+    updated_at INTEGER
+  )
+`,
+  `
+  CREATE TABLE IF NOT EXISTS group_members (
+    group_id TEXT NOT NULL,
+    member_pub TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'member',
+    added_by TEXT,
+    joined_at INTEGER,
+    PRIMARY KEY (group_id, member_pub)
+  )
+`,
+
+  // Full-text indexes over the message caches, kept in sync by triggers.
+  // Private messages are only searchable through their plaintext preview.
+  `
+  CREATE VIRTUAL TABLE IF NOT EXISTS room_messages_fts USING fts5(
+    content,
+    content='room_messages',
+    content_rowid='id',
+    tokenize='unicode61 remove_diacritics 2'
+  )
+`,
+  `
+  CREATE VIRTUAL TABLE IF NOT EXISTS private_messages_fts USING fts5(
+    content_preview,
+    content='private_messages',
+    content_rowid='id',
+    tokenize='unicode61 remove_diacritics 2'
+  )
+`,
+  `
+  CREATE TRIGGER IF NOT EXISTS room_messages_ai AFTER INSERT ON room_messages BEGIN
+    INSERT INTO room_messages_fts(rowid, content) VALUES (new.id, new.content);
+  END
+`,
+  `
+  CREATE TRIGGER IF NOT EXISTS room_messages_ad AFTER DELETE ON room_messages BEGIN
+    INSERT INTO room_messages_fts(room_messages_fts, rowid, content) VALUES ('delete', old.id, old.content);
+  END
+`,
+  `
+  CREATE TRIGGER IF NOT EXISTS room_messages_au AFTER UPDATE ON room_messages BEGIN
+    INSERT INTO room_messages_fts(room_messages_fts, rowid, content) VALUES ('delete', old.id, old.content);
+    INSERT INTO room_messages_fts(rowid, content) VALUES (new.id, new.content);
+  END
+`,
+  `
+  CREATE TRIGGER IF NOT EXISTS private_messages_ai AFTER INSERT ON private_messages BEGIN
+    INSERT INTO private_messages_fts(rowid, content_preview) VALUES (new.id, new.content_preview);
+  END
+`,
+  `
+  CREATE TRIGGER IF NOT EXISTS private_messages_ad AFTER DELETE ON private_messages BEGIN
+    INSERT INTO private_messages_fts(private_messages_fts, rowid, content_preview) VALUES ('delete', old.id, old.content_preview);
+  END
+`,
+  `
+  CREATE TRIGGER IF NOT EXISTS private_messages_au AFTER UPDATE ON private_messages BEGIN
+    INSERT INTO private_messages_fts(private_messages_fts, rowid, content_preview) VALUES ('delete', old.id, old.content_preview);
+    INSERT INTO private_messages_fts(rowid, content_preview) VALUES (new.id, new.content_preview);
+  END
+`,
+
+  // Indexes for performance
+  `CREATE INDEX IF NOT EXISTS idx_username ON usernames(username)`,
+  `CREATE INDEX IF NOT EXISTS idx_display_name ON usernames(display_name)`,
+  `CREATE INDEX IF NOT EXISTS idx_user_pub ON usernames(user_pub)`,
+  `CREATE INDEX IF NOT EXISTS idx_room_messages_room_ts ON room_messages(room_id, timestamp, id)`,
+  `CREATE INDEX IF NOT EXISTS idx_notifications_created ON notifications(created_at)`,
+  `CREATE INDEX IF NOT EXISTS idx_private_messages_conv_ts ON private_messages(conversation_id, timestamp, id)`,
+  `CREATE INDEX IF NOT EXISTS idx_group_members_member ON group_members(member_pub)`,
+  `CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)`,
+  `CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, id)`,
+];
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "initial_schema",
+    async up(sql) {
+      for (const statement of INITIAL_SCHEMA) {
+        await sql.run(statement);
+      }
+    },
+  },
+  {
+    // Databases created before epub support have a usernames table without it
+    version: 2,
+    name: "usernames_epub",
+    async up(sql) {
+      const columns = await sql.all("PRAGMA table_info(usernames)");
+      if (!columns.some((column) => column.name === "epub")) {
+        await sql.run("ALTER TABLE usernames ADD COLUMN epub TEXT");
+      }
+    },
+  },
+  {
+    // Audit trail of username binds, renames, epub changes and releases.
+    // Existing usernames are recorded as binds from the migration itself
+    version: 3,
+    name: "username_history",
+    async up(sql) {
+      await sql.run(`
+        CREATE TABLE username_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          action TEXT NOT NULL,
+          username TEXT NOT NULL,
+          previous_username TEXT,
+          user_pub TEXT NOT NULL,
+          previous_pub TEXT,
+          epub TEXT,
+          previous_epub TEXT,
+          source TEXT NOT NULL,
+          created_at INTEGER NOT NULL
+        )
+      `);
+      await sql.run(
+        "CREATE INDEX idx_username_history_username ON username_history(username, id)"
+      );
+      await sql.run(
+        "CREATE INDEX idx_username_history_previous ON username_history(previous_username, id)"
+      );
+      await sql.run(
+        "CREATE INDEX idx_username_history_pub ON username_history(user_pub, id)"
+      );
+      await sql.run(
+        "CREATE INDEX idx_username_history_previous_pub ON username_history(previous_pub, id)"
+      );
+      await sql.run(`
+        INSERT INTO username_history (action, username, user_pub, epub, source, created_at)
+        SELECT 'bind', LOWER(username), user_pub, epub, 'migration',
+               COALESCE(created_at * 1000, last_seen, 0)
+        FROM usernames
+        ORDER BY id
+      `);
+    },
+  },
+  {
+    // Username ownership policy: whether the owner proved its claim with a
+    // signature, claims rejected because another pub owns the name and
+    // transfers waiting for the recipient. Names registered through the
+    // signed REST API before this version count as verified
+    version: 4,
+    name: "username_ownership",
+    async up(sql) {
+      await sql.run(
+        "ALTER TABLE usernames ADD COLUMN verified INTEGER NOT NULL DEFAULT 0"
+      );
+      await sql.run(`
+        UPDATE usernames SET verified = 1
+        WHERE EXISTS (
+          SELECT 1 FROM username_history
+          WHERE username_history.username = LOWER(usernames.username)
+            AND username_history.user_pub = usernames.user_pub
+            AND username_history.source = 'rest'
+        )
+      `);
+      // Index keys are case-insensitive while the UNIQUE constraint is not
+      await sql.run(
+        "CREATE INDEX idx_usernames_nocase ON usernames(username COLLATE NOCASE)"
+      );
+      await sql.run(`
+        CREATE TABLE username_disputes (
+          username TEXT NOT NULL,
+          claimant_pub TEXT NOT NULL,
+          source TEXT NOT NULL,
+          first_seen INTEGER NOT NULL,
+          last_seen INTEGER NOT NULL,
+          PRIMARY KEY (username, claimant_pub)
+        )
+      `);
+      await sql.run(`
+        CREATE TABLE username_transfers (
+          username TEXT PRIMARY KEY,
+          from_pub TEXT NOT NULL,
+          to_pub TEXT NOT NULL,
+          created_at INTEGER NOT NULL,
+          expires_at INTEGER NOT NULL
+        )
+      `);
+    },
+  },
+  {
+    // Pubs that released or handed over a name. Their Gun nodes still claim
+    // it, so only a verified claim may give it back to them
+    version: 5,
+    name: "username_releases",
+    async up(sql) {
+      await sql.run(`
+        CREATE TABLE username_releases (
+          username TEXT NOT NULL,
+          user_pub TEXT NOT NULL,
+          released_at INTEGER NOT NULL,
+          PRIMARY KEY (username, user_pub)
+        )
+      `);
+    },
+  },
+  {
+    // Group members removed through the relay. Their signed Gun entries stay
+    // valid, so entries signed before the removal must not add them back
+    version: 6,
+    name: "group_member_removals",
+    async up(sql) {
+      await sql.run(`
+        CREATE TABLE group_member_removals (
+          group_id TEXT NOT NULL,
+          member_pub TEXT NOT NULL,
+          removed_at INTEGER NOT NULL,
+          PRIMARY KEY (group_id, member_pub)
+        )
+      `);
+    },
+  },
+];
+
+const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function createSchemaVersionTable(sql) {
+  return sql.run(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at INTEGER NOT NULL
+    )
+  `);
+}
+
+async function getSchemaVersion(sql) {
+  const table = await sql.get(
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'"
+  );
+  if (!table) return 0;
+
+  const row = await sql.get(
+    "SELECT MAX(version) AS version FROM schema_version"
+  );
+  return row.version || 0;
+}
+
+// Brings the database to the latest schema version. With `dryRun` every
+// pending migration is executed in a single transaction that is rolled back,
+// so SQL errors surface without changing the database. Throws when the
+// database is newer than this code or a migration fails.
+async function migrate(db, { dryRun = false, migrations = MIGRATIONS } = {}) {
+  const sql = promisifyDb(db);
+  const latest = migrations[migrations.length - 1].version;
+
+  const from = await getSchemaVersion(sql);
+  if (from > latest) {
+    throw new Error(
+      `Database schema version ${from} is newer than this relay supports (${latest}); upgrade the relay`
+    );
+  }
+
+  const pending = migrations.filter((migration) => migration.version > from);
+  const result = {
+    from,
+    to: from,
+    dryRun,
+    applied: pending.map(({ version, name }) => ({ version, name })),
+  };
+  if (pending.length === 0) return result;
+
+  if (dryRun) {
+    await sql.run("BEGIN IMMEDIATE");
+    try {
+      await createSchemaVersionTable(sql);
+      for (const migration of pending) {
+        await runMigration(sql, migration);
+      }
+    } finally {
+      await sql.run("ROLLBACK");
+    }
+    result.to = latest;
+    return result;
+  }
+
+  await createSchemaVersionTable(sql);
+
+  result.applied = [];
+  for (const migration of pending) {
+    await sql.run("BEGIN IMMEDIATE");
+    try {
+      // Another instance sharing the database may have got here first
+      if ((await getSchemaVersion(sql)) >= migration.version) {
+        await sql.run("ROLLBACK");
+        continue;
+      }
+      await runMigration(sql, migration);
+      await sql.run("COMMIT");
+    } catch (error) {
+      await sql.run("ROLLBACK").catch(() => {});
+      throw error;
+    }
+    result.applied.push({ version: migration.version, name: migration.name });
+  }
+  result.to = await getSchemaVersion(sql);
+  return result;
+}
+
+async function runMigration(sql, migration) {
+  try {
+    await migration.up(sql);
+    await sql.run(
+      "INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)",
+      [migration.version, migration.name, Date.now()]
+    );
+  } catch (error) {
+    error.message = `Migration ${migration.version} (${migration.name}) failed: ${error.message}`;
+    throw error;
+  }
+}
+
+module.exports = {
+  MIGRATIONS,
+  LATEST_SCHEMA_VERSION,
+  getSchemaVersion,
+  migrate,
+};
+
+// node migrations.js [--dry-run] migrates the database at DB_PATH without
+// starting the relay
+if (require.main === module) {
+  const sqlite3 = require("sqlite3");
+  const { loadConfig } = require("./config");
+
+  const dryRun = process.argv.includes("--dry-run");
+  let config;
+  try {
+    config = loadConfig();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const db = new sqlite3.Database(config.DB_PATH);
+  migrate(db, { dryRun })
+    .then(({ from, to, applied }) => {
+      applied.forEach(({ version, name }) =>
+        console.log(
+          `${
+            dryRun ? "🔍 Would apply" : "✅ Applied"
+          } migration ${version} (${name})`
+        )
+      );
+      console.log(
+        `📦 Schema version ${from} -> ${to}${
+          dryRun ? " (dry run, rolled back)" : ""
+        }`
+      );
+    })
+    .catch((error) => {
+      console.error("❌ Migration failed:", error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => db.close());
+}
@@ -4,1814 +4,6427 @@ const helmet = require("helmet");
 const compression = require("compression");
 const sqlite3 = require("sqlite3").verbose();
 const Gun = require("gun");
+const SEA = require("gun/sea");
 const Fuse = require("fuse.js");
 const { Server } = require("socket.io");
 const http = require("http");
-const Relays = require("shogun-relays");
-
-const app = express();
-const server = http.createServer(app);
-const io = new Server(server, {
-  cors: {
-    origin: "*",
-    methods: ["GET", "POST"],
-  },
-});
-const PORT = process.env.PORT || 8765;
+const crypto = require("crypto");
+const promClient = require("prom-client");
+const { createSharedState } = require("./shared-state");
+const { loadConfig, redactConfig } = require("./config");
+const { migrate } = require("./migrations");
+const { UsernameIndex } = require("./username-index");
+
 const SERVER_VERSION = "v1.0.0";
 
-app.use(Gun.serve);
+// ============================================================================
+// RELAY FACTORY
+// ============================================================================
 
-// Middleware
-app.use(helmet());
-app.use(compression());
-app.use(
-  cors({
-    origin: "*", // process.env.FRONTEND_URL || 'https://linda.shogun-eco.xyz',
-    credentials: true,
-  })
-);
-app.use(express.json({ limit: "50mb" }));
+// Builds a relay without starting it. `db` (a sqlite3 Database) and `gun`
+// are created from the configuration when omitted; `config` overrides
+// CONFIG_FILE and the environment (see config.js). start() initializes the
+// database, syncs with GunDB and listens on CONFIG.PORT; stop() undoes it
+// and closes the database only if the relay opened it.
+function createRelay({ db: database, gun: gunInstance, config = {} } = {}) {
+  const CONFIG = loadConfig({ overrides: config });
+
+  const corsOrigin = CONFIG.CORS_ORIGINS.includes("*")
+    ? "*"
+    : CONFIG.CORS_ORIGINS;
+
+  const app = express();
+  const server = http.createServer(app);
+  const io = new Server(server, {
+    cors: {
+      origin: corsOrigin,
+      methods: ["GET", "POST"],
+    },
+  });
 
-// SQLite database
-const db = new sqlite3.Database("./linda_optimization.db");
+  app.use(Gun.serve);
 
-// Shogun Core connection (same as client)
-let gun = null;
+  // Middleware
+  app.use(helmet());
+  app.use(compression());
+  app.use(
+    cors({
+      origin: corsOrigin,
+      credentials: true,
+    })
+  );
+  app.use(express.json({ limit: "50mb" }));
 
-// Initialize Shogun Core with same config as client
-async function initializeGun() {
-  try {
-    console.log("🔧 Initializing Shogun Core for server...");
+  // Needed behind a reverse proxy so rate limits see the client IP
+  if (CONFIG.TRUST_PROXY !== false) {
+    app.set("trust proxy", CONFIG.TRUST_PROXY);
+  }
 
-    const relays = await Relays.forceListUpdate();
+  // SQLite database
+  const db = database || new sqlite3.Database(CONFIG.DB_PATH);
 
-    console.log("🔧 Relays:", relays);
+  // ============================================================================
+  // METRICS
+  // ============================================================================
 
-    // Same peers and config as client
-    const peers = process.env.GUNDB_PEERS
-      ? process.env.GUNDB_PEERS.split(",")
-      : relays;
+  // Prometheus metrics served on /metrics
+  const metricsRegistry = new promClient.Registry();
+  promClient.collectDefaultMetrics({
+    register: metricsRegistry,
+    prefix: "linda_",
+  });
+
+  const metrics = {
+    httpRequestDuration: new promClient.Histogram({
+      name: "linda_http_request_duration_seconds",
+      help: "HTTP request latency by route",
+      labelNames: ["method", "route", "status_code"],
+      buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+      registers: [metricsRegistry],
+    }),
+    socketConnections: new promClient.Counter({
+      name: "linda_socket_connections_total",
+      help: "Socket.IO connections accepted",
+      registers: [metricsRegistry],
+    }),
+    socketEvents: new promClient.Counter({
+      name: "linda_socket_events_total",
+      help: "Socket.IO events received, by event name",
+      labelNames: ["event"],
+      registers: [metricsRegistry],
+    }),
+    gunSyncEvents: new promClient.Counter({
+      name: "linda_gun_sync_events_total",
+      help: "GunDB updates received by the sync listeners, by source node",
+      labelNames: ["source"],
+      registers: [metricsRegistry],
+    }),
+    messageCacheRequests: new promClient.Counter({
+      name: "linda_message_cache_requests_total",
+      help: "Message cache reads, by cache and hit or miss",
+      labelNames: ["cache", "result"],
+      registers: [metricsRegistry],
+    }),
+    sqliteWriteDuration: new promClient.Histogram({
+      name: "linda_sqlite_write_duration_seconds",
+      help: "SQLite write latency, including time queued behind other statements",
+      labelNames: ["operation"],
+      buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 5],
+      registers: [metricsRegistry],
+    }),
+    sqliteWriteErrors: new promClient.Counter({
+      name: "linda_sqlite_write_errors_total",
+      help: "SQLite writes that failed",
+      labelNames: ["operation"],
+      registers: [metricsRegistry],
+    }),
+  };
+
+  // Gauges are read when Prometheus scrapes, from state defined further down
+  new promClient.Gauge({
+    name: "linda_socket_connected",
+    help: "Socket.IO clients connected to this instance",
+    registers: [metricsRegistry],
+    collect() {
+      this.set(io.engine.clientsCount);
+    },
+  });
+  new promClient.Gauge({
+    name: "linda_username_index_size",
+    help: "Entries in the in-memory username index",
+    registers: [metricsRegistry],
+    collect() {
+      this.set(usernameIndex.size);
+    },
+  });
+  new promClient.Gauge({
+    name: "linda_username_index_pending_writes",
+    help: "Username index updates waiting to be flushed to SQLite",
+    registers: [metricsRegistry],
+    collect() {
+      this.set(pendingIndexWrites.size);
+    },
+  });
+  new promClient.Gauge({
+    name: "linda_notification_queue_depth",
+    help: "Notifications queued in SQLite across all users",
+    registers: [metricsRegistry],
+    async collect() {
+      const row = await dbGet("SELECT COUNT(*) AS count FROM notifications");
+      this.set(row.count);
+    },
+  });
+  new promClient.Gauge({
+    name: "linda_presence",
+    help: "Online users, rooms with presence and room members (shared across instances)",
+    labelNames: ["kind"],
+    registers: [metricsRegistry],
+    async collect() {
+      const stats = await presenceStore.stats();
+      this.set({ kind: "online_users" }, stats.onlineUsers);
+      this.set({ kind: "rooms" }, stats.rooms);
+      this.set({ kind: "room_members" }, stats.roomMembers);
+    },
+  });
 
-    gun = Gun({
-      web: server,
-      peers: peers,
-      radisk: true,
-      file: "linda-data",
-      localStorage: false,
-      wire: true,
-      axe: true
+  // Every relay write goes through here (dbRun included), so writes are
+  // timed and failures counted in one place. The injected database itself is
+  // left untouched.
+  function runStatement(sql, params, callback) {
+    const operation = (/^\s*(\w+)/.exec(sql) || [
+      null,
+      "unknown",
+    ])[1].toLowerCase();
+    const stopTimer = metrics.sqliteWriteDuration.startTimer({ operation });
+
+    db.run(sql, params, function (err) {
+      stopTimer();
+      if (err) {
+        metrics.sqliteWriteErrors.inc({ operation });
+      }
+      callback.call(this, err);
     });
+  }
 
-    console.log("✅ Shogun Core initialized for server with peers:", peers);
-    return true;
-  } catch (error) {
-    console.error("❌ Failed to initialize Shogun Core:", error);
-    return false;
+  // Label requests by their route pattern, not the raw path
+  function recordHttpMetrics(req, res, next) {
+    const stopTimer = metrics.httpRequestDuration.startTimer();
+    res.on("finish", () => {
+      // Label by route pattern, never by raw URL, to keep cardinality bounded
+      const route = req.route
+        ? (req.baseUrl || "") + [].concat(req.route.path).join("|")
+        : "unmatched";
+      stopTimer({
+        method: req.method,
+        route,
+        status_code: res.statusCode,
+      });
+    });
+    next();
   }
-}
 
-// Configuration
-const CONFIG = {
-  // Username Index
-  MAX_USERNAME_RESULTS: 20,
-  FUSE_THRESHOLD: 0.3,
-};
-
-// In-memory cache
-let usernameIndex = new Map();
-let fuseIndex = null;
-
-// Rate limiting for user sync
-let lastSyncTime = 0;
-const SYNC_COOLDOWN = 10000; // 10 seconds between syncs
-
-// Protocol statistics cache
-let protocolStatsCache = {
-  totalMessages: 0,
-  totalGroups: 0,
-  totalTokenRooms: 0,
-  totalPublicRooms: 0,
-  totalConversations: 0,
-  totalContacts: 0,
-  lastUpdated: Date.now(),
-};
-
-// Notification system
-const NOTIFICATION_TYPES = {
-  CACHE_UPDATED: "cache_updated",
-  STATS_UPDATED: "stats_updated",
-  SYSTEM_ALERT: "system_alert",
-};
-const MAX_NOTIFICATIONS_PER_USER = 100;
-const userNotificationQueues = new Map();
-
-function queueNotificationForUser(userPub, notification) {
-  if (!userPub || !notification) {
-    return;
-  }
-
-  const type = Object.values(NOTIFICATION_TYPES).includes(notification.type)
-    ? notification.type
-    : NOTIFICATION_TYPES.SYSTEM_ALERT;
-
-  const normalizedNotification = {
-    type,
-    data: notification.data !== undefined ? notification.data : {},
-    timestamp:
-      typeof notification.timestamp === "number"
-        ? notification.timestamp
-        : Date.now(),
+  app.use(recordHttpMetrics);
+
+  // Shogun Core connection (same as client)
+  let gun = gunInstance || null;
+  let ownsGun = false; // true once initializeGun() has created `gun`
+
+  // Initialize Shogun Core with same config as client
+  async function initializeGun() {
+    try {
+      console.log("🔧 Initializing Shogun Core for server...");
+
+      // Loaded here, only when the relay creates its own Gun: importing
+      // shogun-relays mutes console.log until a relay list update has run
+      const Relays = require("shogun-relays");
+      const relays = await Relays.forceListUpdate();
+
+      console.log("🔧 Relays:", relays);
+
+      // Same peers and config as client
+      const peers = CONFIG.GUNDB_PEERS.length > 0 ? CONFIG.GUNDB_PEERS : relays;
+
+      gun = Gun({
+        web: server,
+        peers: peers,
+        radisk: true,
+        file: CONFIG.GUN_FILE,
+        localStorage: false,
+        wire: true,
+        axe: true,
+        // Its stats interval cannot be cleared, so stop() could not end it
+        stats: false,
+      });
+      ownsGun = true;
+
+      console.log("✅ Shogun Core initialized for server with peers:", peers);
+      return true;
+    } catch (error) {
+      console.error("❌ Failed to initialize Shogun Core:", error);
+      return false;
+    }
+  }
+
+  // Drops the peers of a Gun created by initializeGun() and closes its
+  // WebSocket server. Gun has no close(), so this goes through its options:
+  // removing a peer first stops the websocket adapter from reconnecting it
+  function closeGun() {
+    const opt = gun.back("opt");
+    Object.keys(opt.peers || {}).forEach((id) => {
+      const peer = opt.peers[id];
+      delete opt.peers[id];
+      clearTimeout(peer.defer);
+      if (peer.wire && peer.wire.close) peer.wire.close();
+    });
+    const web = opt.ws && opt.ws.web;
+    if (web) {
+      if (web.clients) web.clients.forEach((client) => client.terminate());
+      web.close();
+    }
+  }
+
+  // Presence and cross-instance Socket.IO fan-out
+  const sharedState = createSharedState({
+    backend: CONFIG.SHARED_STATE_BACKEND,
+    db,
+  });
+
+  // In-memory cache
+  const usernameIndex = new UsernameIndex();
+  let fuseIndex = null;
+
+  // Username index writes waiting to be flushed to SQLite, merged per name
+  const pendingIndexWrites = new Map(); // username key -> userData, null to delete
+  let indexFlushTimer = null;
+  let indexFlushInProgress = false;
+  let stopped = false; // set by stop(), so no new flush timers are started
+
+  // Username ownership policy
+  const reservedUsernames = new Set(
+    CONFIG.RESERVED_USERNAMES.map((name) => name.toLowerCase())
+  );
+  const blockedUsernames = new Set(
+    CONFIG.BLOCKED_USERNAMES.map((name) => name.toLowerCase())
+  );
+  const usernameDisputes = new Map(); // username key -> Set of rejected pubs
+  const releasedUsernames = new Map(); // username key -> Set of former owners
+
+  // Protocol statistics cache
+  let protocolStatsCache = {
+    totalMessages: 0,
+    totalGroups: 0,
+    totalTokenRooms: 0,
+    totalPublicRooms: 0,
+    totalConversations: 0,
+    totalContacts: 0,
+    lastUpdated: Date.now(),
+  };
+
+  // Notification system
+  const NOTIFICATION_TYPES = {
+    CACHE_UPDATED: "cache_updated",
+    STATS_UPDATED: "stats_updated",
+    SYSTEM_ALERT: "system_alert",
   };
+  const MAX_NOTIFICATIONS_PER_USER = 100;
+  const NOTIFICATION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+  const NOTIFICATION_DEVICE_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+  const DEFAULT_DEVICE_ID = "default";
+
+  // Store a notification in the user's persistent queue and push it to the
+  // user's connected sockets. Each user has their own sequence, clients fetch
+  // with `after=<seq>` and acknowledge what they got.
+  async function queueNotificationForUser(userPub, notification) {
+    if (!userPub || !notification) {
+      return null;
+    }
+
+    const type = Object.values(NOTIFICATION_TYPES).includes(notification.type)
+      ? notification.type
+      : NOTIFICATION_TYPES.SYSTEM_ALERT;
+
+    const normalizedNotification = {
+      type,
+      data: notification.data !== undefined ? notification.data : {},
+      timestamp:
+        typeof notification.timestamp === "number"
+          ? notification.timestamp
+          : Date.now(),
+    };
+
+    try {
+      const { seq } = await dbGet(
+        `
+      INSERT INTO notification_sequences (user_pub, last_seq) VALUES (?, 1)
+      ON CONFLICT(user_pub) DO UPDATE SET last_seq = last_seq + 1
+      RETURNING last_seq AS seq
+    `,
+        [userPub]
+      );
+
+      await dbRun(
+        `
+      INSERT INTO notifications (user_pub, seq, type, data, timestamp, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `,
+        [
+          userPub,
+          seq,
+          normalizedNotification.type,
+          JSON.stringify(normalizedNotification.data),
+          normalizedNotification.timestamp,
+          Date.now(),
+        ]
+      );
 
-  if (!userNotificationQueues.has(userPub)) {
-    userNotificationQueues.set(userPub, []);
+      // Sequences are contiguous, so this keeps the newest entries only
+      await dbRun("DELETE FROM notifications WHERE user_pub = ? AND seq <= ?", [
+        userPub,
+        seq - MAX_NOTIFICATIONS_PER_USER,
+      ]);
+
+      const queued = { seq, ...normalizedNotification };
+      publishNotification(userPub, queued);
+      return queued;
+    } catch (error) {
+      console.error("❌ Failed to queue notification:", error);
+      return null;
+    }
   }
 
-  const queue = userNotificationQueues.get(userPub);
-  queue.push(normalizedNotification);
+  async function getNotificationsForUser(userPub, { after = 0, limit } = {}) {
+    const rows = await dbAll(
+      `
+    SELECT seq, type, data, timestamp FROM notifications
+    WHERE user_pub = ? AND seq > ?
+    ORDER BY seq
+    LIMIT ?
+  `,
+      [userPub, after, limit || MAX_NOTIFICATIONS_PER_USER]
+    );
 
-  if (queue.length > MAX_NOTIFICATIONS_PER_USER) {
-    queue.splice(0, queue.length - MAX_NOTIFICATIONS_PER_USER);
+    return rows.map((row) => ({
+      seq: row.seq,
+      type: row.type,
+      data: JSON.parse(row.data),
+      timestamp: row.timestamp,
+    }));
+  }
+
+  function isValidDeviceId(deviceId) {
+    return (
+      typeof deviceId === "string" &&
+      deviceId.length > 0 &&
+      deviceId.length <= 128
+    );
+  }
+
+  // Register a device (or mark it active) and return its read cursor
+  async function touchNotificationDevice(userPub, deviceId) {
+    const now = Date.now();
+    await dbRun(
+      `
+    INSERT INTO notification_devices (user_pub, device_id, cursor_seq, registered_at, last_active)
+    VALUES (?, ?, 0, ?, ?)
+    ON CONFLICT(user_pub, device_id) DO UPDATE SET last_active = excluded.last_active
+  `,
+      [userPub, deviceId, now, now]
+    );
+    return getDeviceCursor(userPub, deviceId);
   }
-}
 
-function getAndClearNotificationsForUser(userPub, limit) {
-  if (!userNotificationQueues.has(userPub)) {
-    return [];
+  async function getDeviceCursor(userPub, deviceId) {
+    const row = await dbGet(
+      "SELECT cursor_seq FROM notification_devices WHERE user_pub = ? AND device_id = ?",
+      [userPub, deviceId]
+    );
+    return row ? row.cursor_seq : 0;
   }
 
-  const queue = userNotificationQueues.get(userPub);
-  let notifications = [...queue];
+  async function getNotificationDevices(userPub) {
+    const rows = await dbAll(
+      `
+    SELECT device_id, cursor_seq, registered_at, last_active
+    FROM notification_devices WHERE user_pub = ?
+    ORDER BY last_active DESC
+  `,
+      [userPub]
+    );
+    return rows.map((row) => ({
+      deviceId: row.device_id,
+      cursor: row.cursor_seq,
+      registeredAt: row.registered_at,
+      lastActive: row.last_active,
+    }));
+  }
 
-  if (
-    typeof limit === "number" &&
-    !Number.isNaN(limit) &&
-    limit > 0 &&
-    notifications.length > limit
-  ) {
-    notifications = notifications.slice(notifications.length - limit);
+  // A notification is removed once every active device has read past it
+  async function pruneReadNotifications(userPub) {
+    const { changes } = await dbRun(
+      `
+    DELETE FROM notifications WHERE user_pub = ? AND seq <= (
+      SELECT MIN(cursor_seq) FROM notification_devices
+      WHERE user_pub = ? AND last_active >= ?
+    )
+  `,
+      [userPub, userPub, Date.now() - NOTIFICATION_DEVICE_TTL_MS]
+    );
+    return changes;
   }
 
-  userNotificationQueues.set(userPub, []);
-  return notifications;
-}
+  // Move the device cursor up to and including `seq`
+  async function acknowledgeNotifications(userPub, deviceId, seq) {
+    await touchNotificationDevice(userPub, deviceId);
+    await dbRun(
+      `
+    UPDATE notification_devices SET cursor_seq = MAX(cursor_seq, ?)
+    WHERE user_pub = ? AND device_id = ?
+  `,
+      [seq, userPub, deviceId]
+    );
+    const pruned = await pruneReadNotifications(userPub);
+    const cursor = await getDeviceCursor(userPub, deviceId);
+    return { cursor, pruned };
+  }
+
+  async function removeNotificationDevice(userPub, deviceId) {
+    const { changes } = await dbRun(
+      "DELETE FROM notification_devices WHERE user_pub = ? AND device_id = ?",
+      [userPub, deviceId]
+    );
+    if (changes > 0) {
+      await pruneReadNotifications(userPub);
+    }
+    return changes > 0;
+  }
 
-// Fuse.js configuration for fuzzy search
-const fuseOptions = {
-  keys: [
-    { name: "username", weight: 0.7 },
-    { name: "displayName", weight: 0.3 },
-  ],
-  threshold: CONFIG.FUSE_THRESHOLD,
-  includeScore: true,
-  minMatchCharLength: 2,
-};
+  async function pruneExpiredNotifications() {
+    try {
+      await dbRun("DELETE FROM notification_devices WHERE last_active < ?", [
+        Date.now() - NOTIFICATION_DEVICE_TTL_MS,
+      ]);
 
-// ============================================================================
-// INIZIALIZZAZIONE DATABASE
-// ============================================================================
+      const { changes } = await dbRun(
+        "DELETE FROM notifications WHERE created_at < ?",
+        [Date.now() - NOTIFICATION_TTL_MS]
+      );
+      if (changes > 0) {
+        console.log(`🧹 Pruned ${changes} expired notifications`);
+      }
+    } catch (error) {
+      console.error("❌ Failed to prune notifications:", error);
+    }
+  }
 
-async function initDatabase() {
-  return new Promise((resolve, reject) => {
-    // Create tables if they don't exist
-    db.serialize(() => {
-      // Username table
-      db.run(`
-        CREATE TABLE IF NOT EXISTS usernames (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          username TEXT UNIQUE NOT NULL,
-          display_name TEXT,
-          user_pub TEXT NOT NULL,
-          epub TEXT,
-          last_seen INTEGER,
-          created_at INTEGER DEFAULT (strftime('%s', 'now'))
-        )
-      `);
+  // Fuse.js configuration for fuzzy search
+  const fuseOptions = {
+    keys: [
+      { name: "username", weight: 0.7 },
+      { name: "displayName", weight: 0.3 },
+    ],
+    threshold: CONFIG.FUSE_THRESHOLD,
+    includeScore: true,
+    minMatchCharLength: 2,
+  };
 
-      // Protocol statistics table
-      db.run(`
-        CREATE TABLE IF NOT EXISTS protocol_stats (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          stat_type TEXT UNIQUE NOT NULL,
-          stat_value INTEGER DEFAULT 0,
-          last_updated INTEGER DEFAULT (strftime('%s', 'now')),
-          created_at INTEGER DEFAULT (strftime('%s', 'now'))
-        )
-      `);
+  // ============================================================================
+  // INIZIALIZZAZIONE DATABASE
+  // ============================================================================
 
-      // Add epub column if it doesn't exist (for existing databases)
-      db.run(`ALTER TABLE usernames ADD COLUMN epub TEXT`, (err) => {
+  function dbRun(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      runStatement(sql, params, function (err) {
         if (err) {
-          if (err.message.includes("duplicate column name")) {
-            console.log("✅ Epub column already exists in usernames table");
-          } else {
-            console.error("❌ Error adding epub column:", err);
-          }
+          reject(err);
         } else {
-          console.log("✅ Added epub column to usernames table");
+          resolve({ lastID: this.lastID, changes: this.changes });
         }
       });
+    });
+  }
 
-      // Indexes for performance
-      db.run(`CREATE INDEX IF NOT EXISTS idx_username ON usernames(username)`);
-      db.run(
-        `CREATE INDEX IF NOT EXISTS idx_display_name ON usernames(display_name)`
-      );
-      db.run(`CREATE INDEX IF NOT EXISTS idx_user_pub ON usernames(user_pub)`);
+  // Runs a multi-statement script. The connection runs nothing else until
+  // it is done, so a BEGIN...COMMIT script is never interleaved
+  function dbExec(sql) {
+    return new Promise((resolve, reject) => {
+      db.exec(sql, (err) => (err ? reject(err) : resolve()));
+    });
+  }
 
-      // Load data into memory
-      loadUsernamesFromDB();
-      loadProtocolStatsFromDB();
-      console.log("✅ Database initialized");
-      resolve();
+  // Transactions on the shared connection run one at a time: `work` starts
+  // once the previous one has settled
+  let transactionQueue = Promise.resolve();
+  function queueTransaction(work) {
+    const run = transactionQueue.then(work);
+    transactionQueue = run.catch(() => {});
+    return run;
+  }
+
+  function dbGet(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
     });
-  });
-}
+  }
 
-// ============================================================================
-// PROTOCOL STATISTICS FUNCTIONS
-// ============================================================================
+  function dbAll(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+  }
 
-function loadProtocolStatsFromDB() {
-  db.all("SELECT stat_type, stat_value FROM protocol_stats", (err, rows) => {
-    if (err) {
-      console.error("❌ Failed to load protocol stats from DB:", err);
-      return;
-    }
+  async function initDatabase() {
+    const { from, to, applied } = await migrate(db);
+    applied.forEach(({ version, name }) =>
+      console.log(`✅ Applied migration ${version} (${name})`)
+    );
+    console.log(
+      `📦 Database schema version ${to}${from !== to ? ` (was ${from})` : ""}`
+    );
 
-    // Reset cache with default values
-    protocolStatsCache = {
-      totalMessages: 0,
-      totalGroups: 0,
-      totalTokenRooms: 0,
-      totalPublicRooms: 0,
-      totalConversations: 0,
-      totalContacts: 0,
-      lastUpdated: Date.now(),
-    };
+    // Load data into memory. Claims are judged against the index, so it must
+    // be complete before the Gun listeners start
+    await loadUsernamesFromDB();
+    await loadUsernameDisputesFromDB();
+    await loadUsernameReleasesFromDB();
+    loadProtocolStatsFromDB();
+    console.log("✅ Database initialized");
+  }
 
-    // Load values from database
-    rows.forEach((row) => {
-      switch (row.stat_type) {
-        case "totalMessages":
-          protocolStatsCache.totalMessages = row.stat_value || 0;
-          break;
-        case "totalGroups":
-          protocolStatsCache.totalGroups = row.stat_value || 0;
-          break;
-        case "totalTokenRooms":
-          protocolStatsCache.totalTokenRooms = row.stat_value || 0;
-          break;
-        case "totalPublicRooms":
-          protocolStatsCache.totalPublicRooms = row.stat_value || 0;
-          break;
-        case "totalConversations":
-          protocolStatsCache.totalConversations = row.stat_value || 0;
-          break;
+  // ============================================================================
+  // PROTOCOL STATISTICS FUNCTIONS
+  // ============================================================================
+
+  function loadProtocolStatsFromDB() {
+    db.all("SELECT stat_type, stat_value FROM protocol_stats", (err, rows) => {
+      if (err) {
+        console.error("❌ Failed to load protocol stats from DB:", err);
+        return;
       }
-    });
 
-    console.log(`📊 Loaded protocol stats from DB:`, protocolStatsCache);
-  });
-}
+      // Reset cache with default values
+      protocolStatsCache = {
+        totalMessages: 0,
+        totalGroups: 0,
+        totalTokenRooms: 0,
+        totalPublicRooms: 0,
+        totalConversations: 0,
+        totalContacts: 0,
+        lastUpdated: Date.now(),
+      };
+
+      // Load values from database
+      rows.forEach((row) => {
+        switch (row.stat_type) {
+          case "totalMessages":
+            protocolStatsCache.totalMessages = row.stat_value || 0;
+            break;
+          case "totalGroups":
+            protocolStatsCache.totalGroups = row.stat_value || 0;
+            break;
+          case "totalTokenRooms":
+            protocolStatsCache.totalTokenRooms = row.stat_value || 0;
+            break;
+          case "totalPublicRooms":
+            protocolStatsCache.totalPublicRooms = row.stat_value || 0;
+            break;
+          case "totalConversations":
+            protocolStatsCache.totalConversations = row.stat_value || 0;
+            break;
+        }
+      });
+
+      console.log(`📊 Loaded protocol stats from DB:`, protocolStatsCache);
+    });
+  }
 
-function saveProtocolStatToDB(statType, statValue) {
-  db.run(
-    `
+  function saveProtocolStatToDB(statType, statValue) {
+    return new Promise((resolve) => {
+      runStatement(
+        `
     INSERT OR REPLACE INTO protocol_stats (stat_type, stat_value, last_updated)
     VALUES (?, ?, ?)
   `,
-    [statType, statValue, Date.now()],
-    (err) => {
-      if (err) {
-        console.error(`❌ Failed to save ${statType} to DB:`, err);
-      } else {
-        console.log(`✅ Saved ${statType}: ${statValue} to database`);
+        [statType, statValue, Date.now()],
+        (err) => {
+          if (err) {
+            console.error(`❌ Failed to save ${statType} to DB:`, err);
+          } else {
+            console.log(`✅ Saved ${statType}: ${statValue} to database`);
+          }
+          resolve();
+        }
+      );
+    });
+  }
+
+  function saveAllProtocolStatsToDB() {
+    return Promise.all(
+      PROTOCOL_STAT_TYPES.map((statType) =>
+        saveProtocolStatToDB(statType, protocolStatsCache[statType])
+      )
+    );
+  }
+
+  const PROTOCOL_STAT_TYPES = [
+    "totalMessages",
+    "totalGroups",
+    "totalTokenRooms",
+    "totalPublicRooms",
+    "totalConversations",
+  ];
+
+  const HOUR_MS = 60 * 60 * 1000;
+
+  // Bump a protocol counter, persist the running total and record the
+  // increment in the current hourly bucket
+  function incrementProtocolStat(statType, amount = 1) {
+    const now = Date.now();
+    protocolStatsCache[statType] += amount;
+    protocolStatsCache.lastUpdated = now;
+    saveProtocolStatToDB(statType, protocolStatsCache[statType]);
+
+    runStatement(
+      `
+    INSERT INTO protocol_stats_history (stat_type, granularity, bucket_start, increment, total)
+    VALUES (?, 'hour', ?, ?, ?)
+    ON CONFLICT(stat_type, granularity, bucket_start) DO UPDATE SET
+      increment = increment + excluded.increment,
+      total = excluded.total
+  `,
+      [
+        statType,
+        Math.floor(now / HOUR_MS) * HOUR_MS,
+        amount,
+        protocolStatsCache[statType],
+      ],
+      (err) => {
+        if (err) {
+          console.error(`❌ Failed to record ${statType} history:`, err);
+        }
       }
-    }
-  );
-}
+    );
+  }
 
-// ============================================================================
-// USERNAME INDEX FUNCTIONS
-// ============================================================================
+  // Fold hourly buckets older than the hourly retention into daily buckets and
+  // drop daily buckets past the daily retention, as one transaction
+  async function rollupProtocolStatsHistory() {
+    const hourlyCutoff =
+      Math.floor(
+        (Date.now() - CONFIG.STATS_HOURLY_RETENTION_DAYS * DAY_MS) / DAY_MS
+      ) * DAY_MS;
+    const dailyCutoff = Date.now() - CONFIG.STATS_DAILY_RETENTION_DAYS * DAY_MS;
+
+    try {
+      const { count } = await dbGet(
+        "SELECT COUNT(*) AS count FROM protocol_stats_history WHERE granularity = 'hour' AND bucket_start < ?",
+        [hourlyCutoff]
+      );
 
-function loadUsernamesFromDB() {
-  db.all("SELECT * FROM usernames", (err, rows) => {
-    if (err) {
-      console.error("❌ Failed to load usernames from DB:", err);
-      return;
+      // Both cutoffs are integers computed here, so they are inlined
+      await queueTransaction(() =>
+        dbExec(`
+      BEGIN IMMEDIATE;
+      INSERT INTO protocol_stats_history (stat_type, granularity, bucket_start, increment, total)
+      SELECT stat_type, 'day', (bucket_start / ${DAY_MS}) * ${DAY_MS}, SUM(increment), MAX(total)
+      FROM protocol_stats_history
+      WHERE granularity = 'hour' AND bucket_start < ${hourlyCutoff}
+      GROUP BY stat_type, (bucket_start / ${DAY_MS}) * ${DAY_MS}
+      ON CONFLICT(stat_type, granularity, bucket_start) DO UPDATE SET
+        increment = increment + excluded.increment,
+        total = MAX(total, excluded.total);
+      DELETE FROM protocol_stats_history WHERE granularity = 'hour' AND bucket_start < ${hourlyCutoff};
+      DELETE FROM protocol_stats_history WHERE granularity = 'day' AND bucket_start < ${dailyCutoff};
+      COMMIT;
+    `).catch(async (error) => {
+          // A failed statement leaves the transaction open
+          await dbRun("ROLLBACK").catch(() => {});
+          throw error;
+        })
+      );
+
+      if (count > 0) {
+        console.log(`📊 Rolled up ${count} hourly stat buckets`);
+      }
+    } catch (error) {
+      console.error("❌ Failed to roll up protocol stats history:", error);
     }
+  }
 
-    usernameIndex.clear();
+  // Buckets of `statTypes` starting between `from` (a bucket boundary) and
+  // `to`. Daily series also include the hourly buckets that have not been
+  // rolled up yet.
+  async function getProtocolStatsHistory(statTypes, { from, to, granularity }) {
+    const bucketSize = granularity === "day" ? DAY_MS : HOUR_MS;
+    const placeholders = statTypes.map(() => "?").join(", ");
+    const granularities = granularity === "day" ? "'hour', 'day'" : "'hour'";
+
+    const rows = await dbAll(
+      `
+    SELECT stat_type, (bucket_start / ${bucketSize}) * ${bucketSize} AS bucket,
+      SUM(increment) AS increment, MAX(total) AS total
+    FROM protocol_stats_history
+    WHERE stat_type IN (${placeholders})
+      AND granularity IN (${granularities})
+      AND bucket_start >= ? AND bucket_start <= ?
+    GROUP BY stat_type, bucket
+    ORDER BY bucket
+  `,
+      [...statTypes, from, to]
+    );
+
+    const series = {};
+    statTypes.forEach((statType) => {
+      series[statType] = [];
+    });
     rows.forEach((row) => {
-      usernameIndex.set(row.username.toLowerCase(), {
-        userId: row.user_pub,
-        username: row.username,
-        displayName: row.display_name || row.username,
-        pub: row.user_pub,
-        epub: row.epub,
-        lastSeen: row.last_seen || Date.now(),
+      series[row.stat_type].push({
+        bucketStart: row.bucket,
+        increment: row.increment,
+        total: row.total,
       });
     });
+    return series;
+  }
 
-    rebuildFuseIndex();
-    console.log(`📚 Loaded ${usernameIndex.size} usernames from SQLite`);
-  });
-}
-
-function rebuildFuseIndex() {
-  const indexArray = Array.from(usernameIndex.values());
-  fuseIndex = new Fuse(indexArray, fuseOptions);
-}
-
-function saveUsernameToDB(usernameData) {
-  const { username, displayName, userPub, epub, lastSeen } = usernameData;
+  // ============================================================================
+  // USERNAME INDEX FUNCTIONS
+  // ============================================================================
 
-  db.run(
-    `
-    INSERT OR REPLACE INTO usernames (username, display_name, user_pub, epub, last_seen)
-    VALUES (?, ?, ?, ?, ?)
-  `,
-    [username, displayName, userPub, epub, lastSeen || Date.now()],
-    (err) => {
-      if (err) {
-        console.error("❌ Failed to save username to DB:", err);
-      }
+  async function loadUsernamesFromDB() {
+    let rows;
+    try {
+      rows = await dbAll("SELECT * FROM usernames");
+    } catch (err) {
+      console.error("❌ Failed to load usernames from DB:", err);
+      return;
     }
-  );
-}
 
-async function addUsernameToIndex(userData) {
-  const now = Date.now();
+    usernameIndex.load(
+      rows.map((row) => [
+        row.username.toLowerCase(),
+        {
+          userId: row.user_pub,
+          username: row.username,
+          displayName: row.display_name || row.username,
+          pub: row.user_pub,
+          userPub: row.user_pub,
+          epub: row.epub,
+          verified: row.verified === 1,
+          lastSeen: row.last_seen || Date.now(),
+        },
+      ])
+    );
 
-  // Rate limiting: don't sync too frequently
-  if (now - lastSyncTime < SYNC_COOLDOWN) {
-    return;
+    rebuildFuseIndex();
+    console.log(`📚 Loaded ${usernameIndex.size} usernames from SQLite`);
   }
-  lastSyncTime = now;
 
-  const key = userData.username.toLowerCase();
-  const existing = usernameIndex.get(key);
-
-  usernameIndex.set(key, userData);
-  rebuildFuseIndex();
-  saveUsernameToDB(userData);
-
-  // Log changes (GunDB handles sync, no Socket.IO needed for persistent data)
-  if (!existing) {
-    console.log(`✅ Added new user ${userData.username} to index`);
-  } else if (existing.epub !== userData.epub && userData.epub) {
-    console.log(`✅ Updated epub for ${userData.username}`);
-  } else if (existing.displayName !== userData.displayName) {
-    console.log(`✅ Updated display name for ${userData.username}`);
-  } else {
-    console.log(`✅ Updated ${userData.username} in index`);
+  async function loadUsernameDisputesFromDB() {
+    try {
+      const rows = await dbAll(
+        "SELECT username, claimant_pub FROM username_disputes"
+      );
+      usernameDisputes.clear();
+      rows.forEach(({ username, claimant_pub }) => {
+        if (!usernameDisputes.has(username)) {
+          usernameDisputes.set(username, new Set());
+        }
+        usernameDisputes.get(username).add(claimant_pub);
+      });
+    } catch (err) {
+      console.error("❌ Failed to load username disputes from DB:", err);
+    }
   }
-}
-
-// ============================================================================
-// GUNDB SYNC
-// ============================================================================
 
-async function syncWithGunDB() {
-  console.log("🔄 Starting GunDB sync...");
+  async function loadUsernameReleasesFromDB() {
+    try {
+      const rows = await dbAll(
+        "SELECT username, user_pub FROM username_releases"
+      );
+      releasedUsernames.clear();
+      rows.forEach(({ username, user_pub }) => {
+        if (!releasedUsernames.has(username)) {
+          releasedUsernames.set(username, new Set());
+        }
+        releasedUsernames.get(username).add(user_pub);
+      });
+    } catch (err) {
+      console.error("❌ Failed to load username releases from DB:", err);
+    }
+  }
 
-  try {
-    // Listen for username mappings (usernames/username -> userPub)
-    // Only sync users who are actively using the app (recent activity)
-    gun
-      .get("usernames")
-      .map()
-      .on(async (userPub, username) => {
-        if (userPub && username) {
-          // Check if this user has recent activity (last 24 hours)
-          try {
-            const userData = await new Promise((resolve) => {
-              const timeout = setTimeout(() => resolve(null), 2000);
-              gun.get(userPub).once((data) => {
-                clearTimeout(timeout);
-                resolve(data || null);
-              });
-            });
+  function rebuildFuseIndex() {
+    const indexArray = Array.from(usernameIndex.values());
+    fuseIndex = new Fuse(indexArray, fuseOptions);
+  }
 
-            if (userData && userData.lastSeen) {
-              const lastSeen = userData.lastSeen;
-              const now = Date.now();
-              const dayInMs = 24 * 60 * 60 * 1000;
+  // Write every pending index update in a single transaction
+  function flushIndexWrites() {
+    if (indexFlushTimer) {
+      clearTimeout(indexFlushTimer);
+      indexFlushTimer = null;
+    }
+    if (indexFlushInProgress || pendingIndexWrites.size === 0) {
+      return Promise.resolve(0);
+    }
 
-              // Only sync users with activity in the last 24 hours
-              if (now - lastSeen < dayInMs) {
-                console.log(
-                  `📝 Active user detected: ${username} -> ${userPub.substring(
-                    0,
-                    16
-                  )}...`
-                );
+    indexFlushInProgress = true;
+    return queueTransaction(writeIndexBatch);
+  }
 
-                // Try to get the epub for this user
-                let epub = null;
-                try {
-                  epub = await new Promise((resolve) => {
-                    const timeout = setTimeout(() => resolve(null), 3000);
-                    gun
-                      .get(userPub)
-                      .get("epub")
-                      .once((data) => {
-                        clearTimeout(timeout);
-                        resolve(data || null);
-                      });
-                  });
-                } catch (error) {
-                  console.log("⚠️ Could not fetch epub for user:", username);
-                }
+  // Takes the pending writes once the transaction queue gets to it, so
+  // updates queued while waiting go in the same batch
+  function writeIndexBatch() {
+    const batch = Array.from(pendingIndexWrites.entries());
+    pendingIndexWrites.clear();
+
+    return new Promise((resolve) => {
+      db.serialize(() => {
+        // A failed BEGIN makes the COMMIT below fail too, which requeues the
+        // batch
+        runStatement("BEGIN TRANSACTION", [], (err) => {
+          if (err) {
+            console.error("❌ Failed to start username index flush:", err);
+          }
+        });
 
-                addUsernameToIndex({
-                  userId: userPub,
-                  username: username,
-                  displayName: username,
-                  userPub: userPub,
-                  epub: epub,
-                  lastSeen: Date.now(),
-                });
-              } else {
-                console.log(
-                  `⏰ Skipping inactive user: ${username} (last seen: ${new Date(
-                    lastSeen
-                  ).toISOString()})`
+        // Index keys are case-insensitive: drop the row under any casing
+        // before writing the current one
+        const remove = db.prepare(
+          "DELETE FROM usernames WHERE username = ? COLLATE NOCASE"
+        );
+        const insert = db.prepare(`
+        INSERT INTO usernames (username, display_name, user_pub, epub, verified, last_seen)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `);
+        batch.forEach(([key, userData]) => {
+          const onError = (err) => {
+            if (err) {
+              console.error(`❌ Failed to save username ${key}:`, err);
+            }
+          };
+          remove.run([key], onError);
+          if (!userData) return;
+
+          const { username, displayName, userPub, epub, verified, lastSeen } =
+            userData;
+          insert.run(
+            [
+              username,
+              displayName,
+              userPub,
+              epub,
+              verified ? 1 : 0,
+              lastSeen || Date.now(),
+            ],
+            onError
+          );
+        });
+        remove.finalize();
+        insert.finalize();
+
+        runStatement("COMMIT", [], (err) => {
+          indexFlushInProgress = false;
+
+          if (err) {
+            console.error("❌ Failed to flush username index to DB:", err);
+            runStatement("ROLLBACK", [], (rollbackErr) => {
+              if (rollbackErr) {
+                console.error(
+                  "❌ Failed to roll back username index flush:",
+                  rollbackErr
                 );
               }
-            }
-          } catch (error) {
-            console.log("⚠️ Could not check user activity:", username);
+            });
+            // Put the batch back unless a newer update is already queued
+            batch.forEach(([key, userData]) => {
+              if (!pendingIndexWrites.has(key)) {
+                pendingIndexWrites.set(key, userData);
+              }
+            });
+          } else {
+            console.log(`💾 Flushed ${batch.length} username updates to DB`);
           }
-        }
+
+          if (pendingIndexWrites.size > 0) {
+            scheduleIndexFlush();
+          }
+          resolve(err ? 0 : batch.length);
+        });
       });
+    });
+  }
 
-    // Listen for alias mappings (~@username -> userPub)
-    gun
-      .get("~@")
-      .map()
-      .on(async (aliasData, username) => {
-        if (aliasData && username) {
-          console.log(
-            `📝 Alias mapping detected: ~@${username} -> ${aliasData.substring(
-              0,
-              16
-            )}...`
-          );
+  function scheduleIndexFlush() {
+    if (stopped) return;
+    if (pendingIndexWrites.size >= CONFIG.INDEX_FLUSH_BATCH_SIZE) {
+      flushIndexWrites();
+    } else if (!indexFlushTimer) {
+      indexFlushTimer = setTimeout(
+        flushIndexWrites,
+        CONFIG.INDEX_FLUSH_INTERVAL_MS
+      );
+    }
+  }
 
-          // Extract userPub from alias data
-          const userPub = aliasData
-            .replace("~@", "")
-            .replace(username, "")
-            .replace(/^~/, "");
+  function removeUsernameFromIndex(key) {
+    if (usernameIndex.delete(key) && fuseIndex) {
+      fuseIndex.remove((doc) => doc.username.toLowerCase() === key);
+    }
+  }
 
-          if (userPub && userPub.length > 10) {
-            // Try to get the epub for this user
-            let epub = null;
-            try {
-              epub = await new Promise((resolve) => {
-                const timeout = setTimeout(() => resolve(null), 3000);
-                gun
-                  .get(userPub)
-                  .get("epub")
-                  .once((data) => {
-                    clearTimeout(timeout);
-                    resolve(data || null);
-                  });
-              });
-            } catch (error) {
-              console.log("⚠️ Could not fetch epub for user:", username);
-            }
+  // Where an index change came from, recorded in username_history
+  const USERNAME_SOURCES = {
+    REST: "rest",
+    ADMIN: "admin",
+    gun: (path) => `gun:${path}`,
+  };
 
-            addUsernameToIndex({
-              userId: userPub,
-              username: username,
-              displayName: username,
-              userPub: userPub,
-              epub: epub,
-              lastSeen: Date.now(),
-            });
-          }
-        }
+  // Webhook event announcing a history action, if subscribers care about it:
+  // binds and transfers give a name to a pub, renames and releases take one
+  // away. `displayName` is only known for the first three
+  const USERNAME_HISTORY_WEBHOOKS = {
+    bind: "user.registered",
+    transfer: "user.registered",
+    rename: "user.username_changed",
+    release: "user.username_changed",
+  };
+
+  // Appends to the username audit trail and announces binding changes to
+  // webhooks. Never throws: a failed audit write must not block the index
+  // update it describes
+  function recordUsernameHistory({
+    action,
+    username,
+    previousUsername = null,
+    userPub,
+    previousPub = null,
+    epub = null,
+    previousEpub = null,
+    displayName = null,
+    source,
+  }) {
+    const webhookEvent = USERNAME_HISTORY_WEBHOOKS[action];
+    if (webhookEvent === "user.registered") {
+      emitWebhookEvent(webhookEvent, {
+        pub: userPub,
+        username: username.toLowerCase(),
+        displayName,
+        previousPub,
+        action,
+        source,
+      });
+    } else if (webhookEvent) {
+      emitWebhookEvent(webhookEvent, {
+        pub: userPub,
+        oldUsername: (previousUsername || username).toLowerCase(),
+        username: action === "release" ? null : username.toLowerCase(),
+        displayName,
+        action,
+        source,
       });
+    }
 
-    // Listen for new registered users (legacy path)
-    gun
-      .get("users")
-      .map()
-      .on(async (userData, userId) => {
-        if (userData && userData.alias) {
-          // Try to get the epub for this user
-          let epub = null;
-          try {
-            // Try multiple approaches to get epub
-            const userPub = userData.pub || userId;
-            if (userPub) {
-              // Approach 1: Direct epub lookup
-              epub = await new Promise((resolve) => {
-                const timeout = setTimeout(() => resolve(null), 2000);
-                gun
-                  .get(userPub)
-                  .get("epub")
-                  .once((data) => {
-                    clearTimeout(timeout);
-                    resolve(data || null);
-                  });
-              });
+    return dbRun(
+      `INSERT INTO username_history
+       (action, username, previous_username, user_pub, previous_pub, epub, previous_epub, source, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        action,
+        username.toLowerCase(),
+        previousUsername ? previousUsername.toLowerCase() : null,
+        userPub,
+        previousPub,
+        epub,
+        previousEpub,
+        source,
+        Date.now(),
+      ]
+    ).catch((error) =>
+      console.error(`❌ Failed to record ${action} of ${username}:`, error)
+    );
+  }
 
-              // Approach 2: Via user keys if first approach failed
-              if (!epub) {
-                epub = await new Promise((resolve) => {
-                  const timeout = setTimeout(() => resolve(null), 2000);
-                  gun
-                    .get(userPub)
-                    .get("user")
-                    .get("epub")
-                    .once((data) => {
-                      clearTimeout(timeout);
-                      resolve(data || null);
-                    });
-                });
-              }
-            }
-          } catch (error) {
-            console.log("⚠️ Could not fetch epub for user:", userData.alias);
-          }
+  // Public view of an index entry. `disputed` flags names other pubs have
+  // also claimed
+  function formatUsernameEntry(userData) {
+    return {
+      username: userData.username,
+      displayName: userData.displayName,
+      pub: userData.pub,
+      epub: userData.epub,
+      lastSeen: userData.lastSeen,
+      verified: Boolean(userData.verified),
+      disputed: usernameDisputes.has(userData.username.toLowerCase()),
+    };
+  }
 
-          addUsernameToIndex({
-            userId,
-            username: userData.alias,
-            displayName: userData.displayName || userData.alias,
-            userPub: userData.pub || userId,
-            epub: epub,
-            lastSeen: userData.lastSeen || Date.now(),
-          });
-        }
+  // Typeahead ranking of GET /api/search: an exact match first, then
+  // prefix matches, favouring names that are mostly typed already. Within
+  // that, the Fuse score and a bonus for users seen recently (halved every
+  // USER_SEARCH_RECENCY_HALF_LIFE_MS) decide
+  const USER_SEARCH_WEIGHTS = {
+    exact: 2,
+    prefix: 1,
+    completion: 0.5,
+    fuzzy: 1,
+    recency: 0.5,
+  };
+  const USER_SEARCH_RECENCY_HALF_LIFE_MS = 7 * 24 * 60 * 60 * 1000;
+
+  // Candidates for `query`, once per username, best first. Up to
+  // SEARCH_CANDIDATE_WINDOW prefix matches (in key order, so an exact match
+  // is always among them) and as many Fuse hits are ranked; `truncated`
+  // tells whether either source had more. `now` is fixed by the first page
+  // so scores stay comparable across pages
+  function rankUsernameCandidates(query, now) {
+    const prefix = query.toLowerCase();
+    const windowSize = CONFIG.SEARCH_CANDIDATE_WINDOW;
+    const fuzzyScores = new Map(); // username key -> 0..1, higher is closer
+    let truncated = false;
+
+    const prefixKeys = usernameIndex.keysWithPrefix(prefix, windowSize + 1);
+    if (prefixKeys.length > windowSize) {
+      truncated = true;
+      prefixKeys.pop();
+    }
+    for (const key of prefixKeys) {
+      fuzzyScores.set(key, 1);
+    }
+    if (fuseIndex && prefix.length >= fuseOptions.minMatchCharLength) {
+      const hits = fuseIndex.search(query, { limit: windowSize + 1 });
+      if (hits.length > windowSize) {
+        truncated = true;
+        hits.pop();
+      }
+      hits.forEach(({ item, score }) => {
+        const key = item.username.toLowerCase();
+        if (!usernameIndex.has(key)) return;
+        fuzzyScores.set(key, Math.max(fuzzyScores.get(key) || 0, 1 - score));
       });
+    }
 
-    // Listen for display name updates
-    gun
-      .get("displayNames")
-      .map()
-      .on((displayData, username) => {
-        if (displayData && displayData.userPub) {
-          console.log(
-            `🔄 Display name update received: ${username} for ${displayData.userPub.substring(
-              0,
-              16
-            )}...`
-          );
+    const ranked = Array.from(fuzzyScores, ([key, fuzzy]) => {
+      const userData = usernameIndex.get(key);
+      const age = Math.max(now - (userData.lastSeen || 0), 0);
+      const isPrefix = key.startsWith(prefix);
+      const score =
+        (key === prefix ? USER_SEARCH_WEIGHTS.exact : 0) +
+        (isPrefix ? USER_SEARCH_WEIGHTS.prefix : 0) +
+        (isPrefix
+          ? (USER_SEARCH_WEIGHTS.completion * prefix.length) / key.length
+          : 0) +
+        USER_SEARCH_WEIGHTS.fuzzy * fuzzy +
+        USER_SEARCH_WEIGHTS.recency *
+          Math.pow(0.5, age / USER_SEARCH_RECENCY_HALF_LIFE_MS);
+      return { key, userData, score };
+    }).sort(compareSearchRanks);
+    return { ranked, truncated };
+  }
 
-          // Find existing user by userPub (not by username, since username might have changed)
-          let existingUser = null;
-          for (const [key, userData] of usernameIndex.entries()) {
-            if (userData.userPub === displayData.userPub) {
-              existingUser = userData;
-              // Remove old username from index if it changed
-              if (key !== username.toLowerCase()) {
-                console.log(
-                  `📝 Username changed from "${key}" to "${username.toLowerCase()}"`
-                );
-                usernameIndex.delete(key);
-              }
-              break;
-            }
-          }
+  function compareSearchRanks(a, b) {
+    if (a.score !== b.score) return b.score - a.score;
+    return a.key < b.key ? -1 : a.key > b.key ? 1 : 0;
+  }
 
-          if (existingUser) {
-            // Update with new username and display name
-            addUsernameToIndex({
-              userId: displayData.userPub,
-              username: username,
-              displayName: username,
-              userPub: displayData.userPub,
-              pub: displayData.userPub,
-              epub: existingUser.epub,
-              lastSeen: Date.now(),
-            });
-          } else {
-            console.log(
-              `⚠️ User not found in index, adding as new user: ${username}`
-            );
-            // User not found, add as new entry (might be first time setting display name)
-            addUsernameToIndex({
-              userId: displayData.userPub,
-              username: username,
-              displayName: username,
-              userPub: displayData.userPub,
-              pub: displayData.userPub,
-              epub: null,
-              lastSeen: Date.now(),
-            });
-          }
-        }
-      });
+  // Search cursors are base64url of the ranking time and the (score, key) of
+  // the last result of the previous page
+  function encodeSearchCursor(now, { score, key }) {
+    return Buffer.from(JSON.stringify({ n: now, s: score, k: key })).toString(
+      "base64url"
+    );
+  }
 
-    // Listen for epub key updates (when users publish their encryption keys)
-    // This is a more generic approach - listen to all user nodes for epub changes
-    let epubListenerActive = false;
+  function decodeSearchCursor(cursor) {
+    try {
+      const { n, s, k } = JSON.parse(
+        Buffer.from(cursor, "base64url").toString()
+      );
+      if (
+        typeof n !== "number" ||
+        typeof s !== "number" ||
+        typeof k !== "string"
+      ) {
+        return null;
+      }
+      return { now: n, score: s, key: k };
+    } catch (error) {
+      return null;
+    }
+  }
 
-    function startEpubListener() {
-      if (epubListenerActive) return;
-      epubListenerActive = true;
+  function formatUsernameHistory(row) {
+    return {
+      id: row.id,
+      action: row.action,
+      username: row.username,
+      previousUsername: row.previous_username,
+      pub: row.user_pub,
+      previousPub: row.previous_pub,
+      epub: row.epub,
+      previousEpub: row.previous_epub,
+      source: row.source,
+      timestamp: row.created_at,
+    };
+  }
 
-      console.log("🔑 Starting epub key listener...");
+  // Ownership policy: a name belongs to its first verified claim, i.e. a
+  // signed /api/register, an accepted transfer or an admin assignment. Claims
+  // synced from Gun are unverified: they can bind a free name but never take
+  // one from another pub, while a verified claim replaces an unverified
+  // owner. Reserved names are only assigned by an admin (or transferred by
+  // their owner, `override`), blocked names not at all.
+  // Returns null if `userPub` may hold `key`, otherwise why not
+  function checkUsernameClaim(
+    key,
+    userPub,
+    { verified = false, override = false } = {}
+  ) {
+    const owner = usernameIndex.get(key);
+    if (owner && owner.userPub === userPub) {
+      return null;
+    }
+    if (blockedUsernames.has(key)) {
+      return { status: 403, reason: "blocked", error: "Username is blocked" };
+    }
+    if (override) {
+      return null;
+    }
+    if (reservedUsernames.has(key)) {
+      return { status: 403, reason: "reserved", error: "Username is reserved" };
+    }
+    const formerOwners = releasedUsernames.get(key);
+    if (!verified && formerOwners && formerOwners.has(userPub)) {
+      return {
+        status: 409,
+        reason: "released",
+        error: "Username was released by this pub",
+      };
+    }
+    if (owner && (owner.verified || !verified)) {
+      return { status: 409, reason: "taken", error: "Username already taken" };
+    }
+    return null;
+  }
 
-      // Listen to all user nodes for epub changes
-      gun
-        .get("users")
-        .map()
-        .on(async (userData, userId) => {
-          if (userData && userId) {
-            const userPub = userData.pub || userId;
+  // A claim on a name owned by another pub is kept as a dispute for admins
+  // to review instead of being applied
+  function rejectUsernameClaim(key, userPub, source, rejection) {
+    console.log(
+      `⛔ Rejected claim on "${key}" by ${userPub.substring(0, 16)}... (${
+        rejection.reason
+      }, ${source})`
+    );
+    if (rejection.reason !== "taken") return;
 
-            // Listen for epub changes on this specific user
-            gun
-              .get(userPub)
-              .get("epub")
-              .on(async (epubData) => {
-                if (
-                  epubData &&
-                  typeof epubData === "string" &&
-                  epubData.length > 10
-                ) {
-                  console.log(
-                    `🔑 Epub key published for user: ${userPub.substring(
-                      0,
-                      16
-                    )}...`
-                  );
-
-                  // Find user in our index and update epub
-                  let foundUser = null;
-                  for (const [key, userData] of usernameIndex.entries()) {
-                    if (userData.userPub === userPub) {
-                      foundUser = userData;
-                      break;
-                    }
-                  }
-
-                  if (foundUser) {
-                    console.log(`✅ Updated epub for ${foundUser.username}`);
-                    addUsernameToIndex({
-                      ...foundUser,
-                      epub: epubData,
-                      lastSeen: Date.now(),
-                    });
-                  }
-                }
-              });
-          }
-        });
+    if (!usernameDisputes.has(key)) {
+      usernameDisputes.set(key, new Set());
     }
+    usernameDisputes.get(key).add(userPub);
+
+    const now = Date.now();
+    dbRun(
+      `INSERT INTO username_disputes (username, claimant_pub, source, first_seen, last_seen)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(username, claimant_pub) DO UPDATE SET
+         source = excluded.source,
+         last_seen = excluded.last_seen`,
+      [key, userPub, source, now, now]
+    ).catch((error) =>
+      console.error(`❌ Failed to record dispute on ${key}:`, error)
+    );
+  }
 
-    // Start epub listener after a short delay
-    setTimeout(startEpubListener, 2000);
+  // A new owner settles the disputes on a name and voids offered transfers
+  function resetUsernameClaims(key) {
+    usernameDisputes.delete(key);
+    dbRun("DELETE FROM username_disputes WHERE username = ?", [key]).catch(
+      (error) => console.error(`❌ Failed to clear disputes on ${key}:`, error)
+    );
+    dbRun("DELETE FROM username_transfers WHERE username = ?", [key]).catch(
+      (error) => console.error(`❌ Failed to clear transfer of ${key}:`, error)
+    );
+  }
 
-    console.log("✅ GunDB sync active");
-  } catch (error) {
-    console.error("❌ GunDB sync failed:", error);
+  // `pub` gave `key` away. Gun keeps replaying its old claims, so from now
+  // on only a verified claim gives the name back to it
+  function markUsernameReleased(key, pub) {
+    if (!releasedUsernames.has(key)) {
+      releasedUsernames.set(key, new Set());
+    }
+    releasedUsernames.get(key).add(pub);
+    dbRun(
+      `INSERT OR REPLACE INTO username_releases (username, user_pub, released_at)
+       VALUES (?, ?, ?)`,
+      [key, pub, Date.now()]
+    ).catch((error) =>
+      console.error(`❌ Failed to record release of ${key}:`, error)
+    );
   }
-}
 
-// ============================================================================
-// SOCKET.IO REAL-TIME NOTIFICATIONS
-// ============================================================================
+  function clearUsernameRelease(key, pub) {
+    const formerOwners = releasedUsernames.get(key);
+    if (!formerOwners || !formerOwners.delete(pub)) return;
+    if (formerOwners.size === 0) releasedUsernames.delete(key);
+    dbRun("DELETE FROM username_releases WHERE username = ? AND user_pub = ?", [
+      key,
+      pub,
+    ]).catch((error) =>
+      console.error(`❌ Failed to clear release of ${key}:`, error)
+    );
+  }
 
-// Track online users
-const onlineUsers = new Map(); // userPub -> socket.id
+  // Removes a name from the index and SQLite so it can be claimed again
+  function unbindUsername(key) {
+    removeUsernameFromIndex(key);
+    pendingIndexWrites.set(key, null);
+    scheduleIndexFlush();
+    resetUsernameClaims(key);
+  }
 
-// Track room presence
-const roomPresence = new Map(); // roomId -> { roomType, users: Set<userPub>, lastSeen: Map<userPub, timestamp> }
+  // Explicit release by the owner or an admin, recorded in the history
+  function releaseUsername(key, { source }) {
+    const owner = usernameIndex.get(key);
+    if (!owner) return null;
+
+    unbindUsername(key);
+    markUsernameReleased(key, owner.userPub);
+    recordUsernameHistory({
+      action: "release",
+      username: key,
+      userPub: owner.userPub,
+      epub: owner.epub,
+      source,
+    });
+    console.log(`🔓 Released username ${owner.username} (${source})`);
+    return owner;
+  }
 
-io.on("connection", (socket) => {
-  console.log(`🔌 Client connected: ${socket.id}`);
+  // Epub published by `pub`, taken from another name it holds or from Gun,
+  // for names bound to it by a transfer or an admin
+  async function findPublishedEpub(pub) {
+    const known = usernameIndex.findByPub(pub);
+    if (known && known.epub) return known.epub;
+    return gun ? readGunOnce(gun.get(pub).get("epub")) : null;
+  }
 
-  // User joins with their pub key
-  socket.on("join", (data) => {
-    const userPub = data.userPub;
-    console.log(`👤 Client joined: ${userPub?.substring(0, 16)}...`);
-    socket.join(`user:${userPub}`);
-    onlineUsers.set(userPub, socket.id);
+  // `source` is one of USERNAME_SOURCES; `previousUsername` is the name the
+  // pub held before when this update is a rename. `verified` and `override`
+  // are passed to checkUsernameClaim, `action` replaces the history action
+  // of a new binding. Resolves false when the policy rejects the claim.
+  async function addUsernameToIndex(
+    userData,
+    {
+      source,
+      previousUsername = null,
+      verified = false,
+      override = false,
+      action = null,
+    } = {}
+  ) {
+    const key = userData.username.toLowerCase();
+    const existing = usernameIndex.get(key);
+    const userPub = userData.userPub || userData.pub;
+    const samePub = existing && existing.userPub === userPub;
+
+    const rejection = checkUsernameClaim(key, userPub, { verified, override });
+    if (rejection) {
+      rejectUsernameClaim(key, userPub, source, rejection);
+      return false;
+    }
 
-    // Notify others that this user is online
-    socket.broadcast.emit("userPresence", {
+    const entry = {
+      ...userData,
+      pub: userPub,
       userPub,
-      isOnline: true,
-      lastSeen: Date.now(),
-    });
-  });
+      // A listener that timed out fetching the epub must not erase a known one
+      epub: userData.epub || (samePub ? existing.epub : null) || null,
+      verified: verified || Boolean(samePub && existing.verified),
+    };
 
-  // User joins a room for presence tracking
-  socket.on("joinRoom", (data) => {
-    const { roomId, roomType, userPub } = data;
-    if (!roomId || !roomType || !userPub) return;
+    // The in-memory index and Fuse are updated right away, SQLite in batches
+    usernameIndex.set(key, entry);
+    if (!fuseIndex) {
+      rebuildFuseIndex();
+    } else {
+      if (existing) {
+        fuseIndex.remove((doc) => doc.username.toLowerCase() === key);
+      }
+      fuseIndex.add(entry);
+    }
 
-    console.log(
-      `🏠 User joined room: ${userPub?.substring(
-        0,
-        8
-      )}... -> ${roomId} (${roomType})`
-    );
+    pendingIndexWrites.set(key, entry);
+    scheduleIndexFlush();
 
-    // Join socket room for targeted notifications
-    socket.join(`room:${roomId}`);
+    if (existing && !samePub) {
+      resetUsernameClaims(key);
+      // Handed over by its owner or moved by an admin
+      if (action === "transfer" || source === USERNAME_SOURCES.ADMIN) {
+        markUsernameReleased(key, existing.userPub);
+      }
+    }
+    if (entry.verified) {
+      clearUsernameRelease(key, userPub);
+    }
 
-    // Update room presence tracking
-    if (!roomPresence.has(roomId)) {
-      roomPresence.set(roomId, {
-        roomType,
-        users: new Set(),
-        lastSeen: new Map(),
+    if (!samePub) {
+      recordUsernameHistory({
+        action: action || (previousUsername ? "rename" : "bind"),
+        username: key,
+        previousUsername,
+        userPub,
+        previousPub: existing ? existing.userPub : null,
+        epub: entry.epub,
+        displayName: entry.displayName || entry.username,
+        source,
+      });
+    } else if (entry.epub && entry.epub !== existing.epub) {
+      recordUsernameHistory({
+        action: "epub_change",
+        username: key,
+        userPub,
+        epub: entry.epub,
+        previousEpub: existing.epub || null,
+        source,
       });
     }
 
-    const room = roomPresence.get(roomId);
-    room.users.add(userPub);
-    room.lastSeen.set(userPub, Date.now());
-
-    // Notify room members of new presence
-    socket.to(`room:${roomId}`).emit("roomPresence", {
-      roomId,
-      roomType,
-      userPubs: Array.from(room.users),
-      onlineCount: room.users.size,
-      lastSeen: Object.fromEntries(room.lastSeen),
-    });
-  });
+    if (entry.epub && entry.epub !== (samePub ? existing.epub : null)) {
+      emitWebhookEvent("user.epub_published", {
+        pub: userPub,
+        username: entry.username,
+        epub: entry.epub,
+      });
+    }
 
-  // User leaves a room
-  socket.on("leaveRoom", (data) => {
-    const { roomId, userPub } = data;
-    if (!roomId || !userPub) return;
+    // Log changes (GunDB handles sync, no Socket.IO needed for persistent data)
+    if (!existing) {
+      console.log(`✅ Added new user ${entry.username} to index`);
+    } else if (existing.epub !== entry.epub && entry.epub) {
+      console.log(`✅ Updated epub for ${entry.username}`);
+    } else if (existing.displayName !== entry.displayName) {
+      console.log(`✅ Updated display name for ${entry.username}`);
+    } else {
+      console.log(`✅ Updated ${entry.username} in index`);
+    }
+    return true;
+  }
 
-    console.log(
-      `🏠 User left room: ${userPub?.substring(0, 8)}... -> ${roomId}`
-    );
+  // ============================================================================
+  // MESSAGE CACHE FUNCTIONS
+  // ============================================================================
 
-    // Leave socket room
-    socket.leave(`room:${roomId}`);
+  // Shown instead of the ciphertext when the client shared no preview
+  const ENCRYPTED_PREVIEW_PLACEHOLDER = "🔒 Encrypted message";
 
-    // Update room presence tracking
-    const room = roomPresence.get(roomId);
-    if (room) {
-      room.users.delete(userPub);
-      room.lastSeen.set(userPub, Date.now()); // Update last seen time
+  function parsePageSize(value) {
+    const parsed = parseInt(value, 10);
+    if (Number.isNaN(parsed) || parsed <= 0) {
+      return CONFIG.DEFAULT_PAGE_SIZE;
+    }
+    return Math.min(parsed, CONFIG.MAX_PAGE_SIZE);
+  }
 
-      // Notify room members of presence change
-      socket.to(`room:${roomId}`).emit("roomPresence", {
-        roomId,
-        roomType: room.roomType,
-        userPubs: Array.from(room.users),
-        onlineCount: room.users.size,
-        lastSeen: Object.fromEntries(room.lastSeen),
-      });
+  // `limit` of the username searches, a query string
+  function parseSearchLimit(value) {
+    const parsed = parseInt(value, 10);
+    if (Number.isNaN(parsed) || parsed <= 0) {
+      return CONFIG.MAX_USERNAME_RESULTS;
     }
-  });
+    return Math.min(parsed, CONFIG.MAX_SEARCH_RESULTS);
+  }
 
-  // Update room presence status
-  socket.on("updateRoomPresence", (data) => {
-    const { roomId, roomType, userPub, status } = data;
-    if (!roomId || !userPub) return;
+  function parseTimestampParam(value) {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? null : parsed;
+  }
 
-    console.log(
-      `🏠 Room presence update: ${userPub?.substring(
-        0,
-        8
-      )}... -> ${roomId} (${status})`
+  // Cursors are opaque to clients: base64url of the (timestamp, rowid) of the
+  // oldest message in the previous page
+  function encodeCursor(timestamp, id) {
+    return Buffer.from(JSON.stringify({ t: timestamp, i: id })).toString(
+      "base64url"
     );
+  }
 
-    const room = roomPresence.get(roomId);
-    if (room) {
-      if (status === "online") {
-        room.users.add(userPub);
-      } else if (status === "offline") {
-        room.users.delete(userPub);
+  function decodeCursor(cursor) {
+    if (typeof cursor !== "string" || !cursor) {
+      return null;
+    }
+    try {
+      const { t, i } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+      if (typeof t !== "number" || typeof i !== "number") {
+        return null;
       }
-      room.lastSeen.set(userPub, Date.now());
-
-      // Notify room members
-      socket.to(`room:${roomId}`).emit("roomPresence", {
-        roomId,
-        roomType: room.roomType,
-        userPubs: Array.from(room.users),
-        onlineCount: room.users.size,
-        lastSeen: Object.fromEntries(room.lastSeen),
-      });
+      return { timestamp: t, id: i };
+    } catch (error) {
+      return null;
     }
-  });
+  }
 
-  // Handle disconnect
-  socket.on("disconnect", () => {
-    console.log(`🔌 Client disconnected: ${socket.id}`);
-
-    // Find and remove user from online list and all rooms
-    for (const [userPub, socketId] of onlineUsers.entries()) {
-      if (socketId === socket.id) {
-        onlineUsers.delete(userPub);
-
-        // Remove user from all rooms
-        for (const [roomId, room] of roomPresence.entries()) {
-          if (room.users.has(userPub)) {
-            room.users.delete(userPub);
-            room.lastSeen.set(userPub, Date.now());
-
-            // Notify room members of presence change
-            socket.to(`room:${roomId}`).emit("roomPresence", {
-              roomId,
-              roomType: room.roomType,
-              userPubs: Array.from(room.users),
-              onlineCount: room.users.size,
-              lastSeen: Object.fromEntries(room.lastSeen),
-            });
-          }
-        }
+  // Gun reads waiting for their timeout: timer -> settle. stop() settles
+  // them early so no timer outlives the relay
+  const gunReadTimers = new Map();
+
+  // Runs `read(settle)` and resolves with what it settles, or with
+  // `fallback()` after `timeoutMs`
+  function readGunWithTimeout(read, timeoutMs, fallback) {
+    return new Promise((resolve) => {
+      const settle = (value) => {
+        clearTimeout(timer);
+        gunReadTimers.delete(timer);
+        resolve(value);
+      };
+      const timer = setTimeout(() => settle(fallback()), timeoutMs);
+      gunReadTimers.set(timer, () => settle(fallback()));
+      read(settle);
+    });
+  }
 
-        // Notify others that this user is offline
-        socket.broadcast.emit("userPresence", {
-          userPub,
-          isOnline: false,
-          lastSeen: Date.now(),
-        });
-        break;
-      }
-    }
-  });
+  // Value of a Gun node, or null if it does not arrive within `timeoutMs`
+  function readGunOnce(chain, timeoutMs = CONFIG.GUN_FETCH_TIMEOUT_MS) {
+    return readGunWithTimeout(
+      (settle) => chain.once((data) => settle(data || null)),
+      timeoutMs,
+      () => null
+    );
+  }
 
-  // === EPHEMERAL EVENTS ===
+  // Collect every child of a Gun node once, giving up after `timeoutMs`
+  function collectGunChildren(node, timeoutMs = CONFIG.GUN_FETCH_TIMEOUT_MS) {
+    const children = new Map();
+    return readGunWithTimeout(
+      () =>
+        node.map().once((data, key) => {
+          if (data && key) {
+            children.set(key, data);
+          }
+        }),
+      timeoutMs,
+      () => children
+    );
+  }
 
-  // Typing indicator - DEPRECATED: Now handled P2P via GunDB
-  socket.on("typing", (data) => {
-    // Typing notifications are now handled directly between peers via GunDB
-    // This event is kept for backward compatibility but does nothing
-    if (process.env.NODE_ENV === "development") {
-      console.log(
-        "⚠️ Typing event received but ignored - use P2P TypingManager instead"
-      );
+  function normalizeRoomMessage(roomId, key, raw) {
+    if (!raw || typeof raw !== "object") {
+      return null;
     }
-  });
 
-  // Message read receipt
-  socket.on("messageRead", (data) => {
-    const { messageId, readerPub, senderPub } = data;
-    console.log(
-      `✓✓ Message ${messageId?.substring(
-        0,
-        8
-      )}... read by ${readerPub?.substring(0, 8)}...`
+    const content = [raw.content, raw.message, raw.text].find(
+      (value) => typeof value === "string"
     );
+    if (content === undefined) {
+      return null;
+    }
 
-    // Notify sender that message was read
-    io.to(`user:${senderPub}`).emit("messageRead", {
-      messageId,
-      readerPub,
-    });
-  });
+    const timestamp = Number(raw.timestamp);
 
-  // Presence update
-  socket.on("presence", (data) => {
-    const { userPub, isOnline, lastSeen } = data;
-    console.log(
-      `👤 Presence update: ${userPub?.substring(0, 8)}... is ${
-        isOnline ? "online" : "offline"
-      }`
-    );
+    return {
+      roomId,
+      messageId: typeof raw.id === "string" && raw.id ? raw.id : key,
+      senderPub: raw.senderPub || raw.from || raw.sender || null,
+      senderAlias: raw.senderAlias || raw.username || raw.alias || null,
+      content,
+      timestamp: Number.isFinite(timestamp) ? timestamp : Date.now(),
+    };
+  }
 
-    if (isOnline) {
-      onlineUsers.set(userPub, socket.id);
-    } else {
-      onlineUsers.delete(userPub);
+  async function cacheRoomMessages(messages) {
+    const now = Date.now();
+    let cached = 0;
+
+    for (const message of messages) {
+      try {
+        await dbRun(
+          `
+        INSERT INTO room_messages (room_id, message_id, sender_pub, sender_alias, content, timestamp, cached_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(room_id, message_id) DO UPDATE SET
+          sender_pub = excluded.sender_pub,
+          sender_alias = excluded.sender_alias,
+          content = excluded.content,
+          timestamp = excluded.timestamp,
+          cached_at = excluded.cached_at
+      `,
+          [
+            message.roomId,
+            message.messageId,
+            message.senderPub,
+            message.senderAlias,
+            message.content,
+            message.timestamp,
+            now,
+          ]
+        );
+        cached++;
+      } catch (error) {
+        console.error(
+          `❌ Failed to cache message ${message.messageId} for room ${message.roomId}:`,
+          error
+        );
+      }
     }
 
-    // Broadcast to all clients
-    socket.broadcast.emit("userPresence", {
-      userPub,
-      isOnline,
-      lastSeen,
-    });
-  });
-
-  // === PERSISTENT EVENTS (for optimization notifications) ===
+    return cached;
+  }
 
-  // Message sent notification
-  socket.on("messageSent", (data) => {
-    const { messageId, senderPub, recipientPub, timestamp } = data;
-    console.log(
-      `📨 Message sent: ${messageId?.substring(
-        0,
-        8
-      )}... from ${senderPub?.substring(0, 8)}... to ${recipientPub?.substring(
-        0,
-        8
-      )}...`
+  // Keyset pagination over a message cache table. Pages are read newest-first
+  // but returned in chronological order.
+  async function queryMessagePage(
+    table,
+    keyColumn,
+    keyValue,
+    { limit, before }
+  ) {
+    const params = [keyValue];
+    let cursorClause = "";
+    if (before) {
+      cursorClause = "AND (timestamp < ? OR (timestamp = ? AND id < ?))";
+      params.push(before.timestamp, before.timestamp, before.id);
+    }
+    params.push(limit + 1);
+
+    const rows = await dbAll(
+      `
+    SELECT * FROM ${table}
+    WHERE ${keyColumn} = ? ${cursorClause}
+    ORDER BY timestamp DESC, id DESC
+    LIMIT ?
+  `,
+      params
     );
 
-    // Notify recipient that a new message was sent
-    io.to(`user:${recipientPub}`).emit("messageReceived", {
-      messageId,
-      senderPub,
-      recipientPub,
-      timestamp,
-    });
-  });
-
-  // Chat started notification
-  socket.on("startChat", (data) => {
-    const { userPub } = data;
-    console.log(`💬 Chat started with: ${userPub?.substring(0, 16)}...`);
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+    const oldest = page[page.length - 1];
 
-    // Could notify the other user that someone wants to chat
-    // (optional - currently not used in client)
-  });
+    return {
+      rows: page.reverse(),
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(oldest.timestamp, oldest.id) : null,
+    };
+  }
 
-  // Contact updated notification
-  socket.on("contactUpdated", (data) => {
-    const { contactPub, contactName, action, timestamp } = data;
-    console.log(
-      `👤 Contact ${action}: ${contactName} (${contactPub?.substring(0, 8)}...)`
+  async function getCachedRoomMessages(roomId, options = {}) {
+    const page = await queryMessagePage(
+      "room_messages",
+      "room_id",
+      roomId,
+      options
     );
 
-    // Could broadcast to update contact lists
-    // (optional - currently GunDB handles sync)
-  });
+    return {
+      messages: page.rows.map((row) => ({
+        id: row.message_id,
+        roomId,
+        senderPub: row.sender_pub,
+        senderAlias: row.sender_alias,
+        content: row.content,
+        timestamp: row.timestamp,
+      })),
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
+    };
+  }
 
-  // === NOTIFICATION EVENTS ===
+  async function preloadRoomMessages(roomId) {
+    if (!gun) {
+      return 0;
+    }
 
-  // Message notification (when user receives a new message)
-  socket.on("messageNotification", (data) => {
-    const { messageId, senderPub, recipientPub, messagePreview, timestamp } =
-      data;
-    console.log(
-      `🔔 Message notification: ${messageId?.substring(
-        0,
-        8
-      )}... from ${senderPub?.substring(0, 8)}... to ${recipientPub?.substring(
-        0,
-        8
-      )}...`
+    const children = await collectGunChildren(
+      gun.get(CONFIG.PUBLIC_ROOMS_NODE).get(roomId).get("messages")
     );
 
-    // Send notification to recipient
-    io.to(`user:${recipientPub}`).emit("newMessageNotification", {
-      messageId,
-      senderPub,
-      recipientPub,
-      messagePreview,
-      timestamp,
-      type: "message",
-    });
-  });
+    const messages = [];
+    for (const [key, raw] of children.entries()) {
+      const message = normalizeRoomMessage(roomId, key, raw);
+      if (message) {
+        messages.push(message);
+      }
+    }
 
-  // Message read notification
-  socket.on("messageReadNotification", (data) => {
-    const { messageId, readerPub, senderPub, timestamp } = data;
-    console.log(
-      `✓ Message read notification: ${messageId?.substring(
-        0,
-        8
-      )}... by ${readerPub?.substring(0, 8)}...`
+    const cached = await cacheRoomMessages(messages);
+    console.log(`📥 Preloaded ${cached} messages for room ${roomId}`);
+    return cached;
+  }
+
+  async function invalidateRoomCache(roomId) {
+    const { changes } = await dbRun(
+      "DELETE FROM room_messages WHERE room_id = ?",
+      [roomId]
     );
+    console.log(`🗑️ Invalidated ${changes} cached messages for room ${roomId}`);
+    return changes;
+  }
 
-    // Notify sender that message was read
-    io.to(`user:${senderPub}`).emit("messageReadNotification", {
-      messageId,
-      readerPub,
-      timestamp,
-      type: "read",
-    });
-  });
+  // Both participants always map to the same conversation, whatever the order
+  function getConversationId(user1, user2) {
+    return [user1, user2].sort().join(":");
+  }
 
-  // Typing notification - DEPRECATED: Now handled P2P via GunDB
-  socket.on("typingNotification", (data) => {
-    // Typing notifications are now handled directly between peers via GunDB
-    // This event is kept for backward compatibility but does nothing
-    if (process.env.NODE_ENV === "development") {
-      console.log(
-        "⚠️ Typing notification received but ignored - use P2P TypingManager instead"
-      );
+  // SEA ciphertext is serialized as "SEA{...}" or as an { ct, iv, s } object
+  function isEncryptedContent(content) {
+    if (typeof content === "string") {
+      return content.startsWith("SEA{");
     }
-  });
+    return Boolean(
+      content && typeof content === "object" && content.ct && content.iv
+    );
+  }
 
-  // === GROUP NOTIFICATION EVENTS ===
+  function isEncryptedMessage(raw) {
+    return (
+      raw.isEncrypted === true ||
+      raw.encrypted === true ||
+      [raw.content, raw.encryptedContent, raw.message].some(isEncryptedContent)
+    );
+  }
 
-  // Group message notification (when user receives a new group message)
-  socket.on("groupMessageNotification", (data) => {
-    const {
-      messageId,
-      senderPub,
-      groupId,
-      groupName,
-      messagePreview,
-      timestamp,
-      memberPubs,
-    } = data;
-    console.log(
-      `🔔 Group message notification: ${messageId?.substring(
-        0,
-        8
-      )}... from ${senderPub?.substring(
-        0,
-        8
-      )}... in group ${groupName} (${groupId?.substring(0, 8)}...)`
+  function normalizePrivateMessage(conversationId, key, raw, fallback = {}) {
+    if (!raw || typeof raw !== "object") {
+      return null;
+    }
+
+    const rawContent = [raw.content, raw.encryptedContent, raw.message].find(
+      (value) => value !== undefined && value !== null
     );
+    const content =
+      rawContent === undefined
+        ? null
+        : typeof rawContent === "string"
+        ? rawContent
+        : JSON.stringify(rawContent);
+
+    const isEncrypted = isEncryptedMessage(raw);
+
+    // The relay can't read encrypted content: only keep a preview the client
+    // chose to share, never one derived from the ciphertext
+    let contentPreview =
+      typeof raw.messagePreview === "string" ? raw.messagePreview : null;
+    if (!contentPreview && !isEncrypted && content) {
+      contentPreview = content;
+    }
+    if (contentPreview) {
+      contentPreview = contentPreview.substring(
+        0,
+        CONFIG.MESSAGE_PREVIEW_LENGTH
+      );
+    }
 
-    // Send notification to all group members except sender
-    memberPubs.forEach((memberPub) => {
-      if (memberPub !== senderPub) {
-        io.to(`user:${memberPub}`).emit("newGroupMessageNotification", {
-          messageId,
-          senderPub,
-          groupId,
-          groupName,
-          messagePreview,
-          timestamp,
-          type: "group_message",
-        });
+    if (content === null && contentPreview === null) {
+      return null;
+    }
+
+    const timestamp = Number(raw.timestamp);
+
+    return {
+      conversationId,
+      messageId:
+        (typeof raw.messageId === "string" && raw.messageId) ||
+        (typeof raw.id === "string" && raw.id) ||
+        key,
+      senderPub: raw.senderPub || raw.from || fallback.senderPub || null,
+      recipientPub: raw.recipientPub || raw.to || fallback.recipientPub || null,
+      content,
+      contentPreview,
+      isEncrypted,
+      timestamp: Number.isFinite(timestamp) ? timestamp : Date.now(),
+    };
+  }
+
+  // Messages from Gun update the cached copy, keeping what a partial update
+  // lacks. With `fillMissing` (notifications) a known message only gains a
+  // preview it had none of, and only from its own sender: the stored
+  // ciphertext and sender stay untouched
+  async function cachePrivateMessages(messages, { fillMissing = false } = {}) {
+    const now = Date.now();
+    let cached = 0;
+    const onConflict = fillMissing
+      ? `content_preview = excluded.content_preview
+        WHERE private_messages.content_preview IS NULL
+          AND private_messages.sender_pub = excluded.sender_pub`
+      : `sender_pub = COALESCE(excluded.sender_pub, sender_pub),
+          recipient_pub = COALESCE(excluded.recipient_pub, recipient_pub),
+          content = COALESCE(excluded.content, content),
+          content_preview = COALESCE(excluded.content_preview, content_preview),
+          is_encrypted = MAX(excluded.is_encrypted, is_encrypted),
+          cached_at = excluded.cached_at`;
+
+    for (const message of messages) {
+      try {
+        await dbRun(
+          `
+        INSERT INTO private_messages (conversation_id, message_id, sender_pub, recipient_pub, content, content_preview, is_encrypted, timestamp, cached_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(conversation_id, message_id) DO UPDATE SET
+          ${onConflict}
+      `,
+          [
+            message.conversationId,
+            message.messageId,
+            message.senderPub,
+            message.recipientPub,
+            message.content,
+            message.contentPreview,
+            message.isEncrypted ? 1 : 0,
+            message.timestamp,
+            now,
+          ]
+        );
+        cached++;
+      } catch (error) {
+        console.error(
+          `❌ Failed to cache private message ${message.messageId}:`,
+          error
+        );
       }
-    });
-  });
+    }
 
-  // Group typing notification
-  socket.on("groupTypingNotification", (data) => {
-    const { senderPub, groupId, groupName, isTyping, timestamp, memberPubs } =
-      data;
-    console.log(
-      `⌨️ Group typing notification: ${senderPub?.substring(0, 8)}... is ${
-        isTyping ? "typing" : "stopped typing"
-      } in group ${groupName}`
+    return cached;
+  }
+
+  async function getCachedConversationMessages(conversationId, options = {}) {
+    const page = await queryMessagePage(
+      "private_messages",
+      "conversation_id",
+      conversationId,
+      options
     );
 
-    // Send typing indicator to all group members except sender
-    memberPubs.forEach((memberPub) => {
-      if (memberPub !== senderPub) {
-        io.to(`user:${memberPub}`).emit("groupTypingNotification", {
-          senderPub,
-          groupId,
-          groupName,
-          isTyping,
-          timestamp,
-          type: "group_typing",
-        });
+    return {
+      messages: page.rows.map((row) => ({
+        id: row.message_id,
+        senderPub: row.sender_pub,
+        recipientPub: row.recipient_pub,
+        content: row.content,
+        contentPreview:
+          row.content_preview ||
+          (row.is_encrypted ? ENCRYPTED_PREVIEW_PLACEHOLDER : null),
+        isEncrypted: row.is_encrypted === 1,
+        timestamp: row.timestamp,
+      })),
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
+    };
+  }
+
+  // Conversations followed in GunDB, least recently used first. Past
+  // MAX_CONVERSATION_LISTENERS the oldest listener is detached
+  const conversationListeners = new Map(); // conversationId -> listener
+
+  // True if the conversation is followed, marking it as recently used
+  function isFollowingConversation(conversationId) {
+    const listener = conversationListeners.get(conversationId);
+    if (!listener) {
+      return false;
+    }
+    conversationListeners.delete(conversationId);
+    conversationListeners.set(conversationId, listener);
+    return true;
+  }
+
+  function followConversation(conversationId, listener) {
+    conversationListeners.set(conversationId, listener);
+    while (conversationListeners.size > CONFIG.MAX_CONVERSATION_LISTENERS) {
+      const [oldestId, oldest] = conversationListeners.entries().next().value;
+      conversationListeners.delete(oldestId);
+      detachGunListener(oldest);
+    }
+  }
+
+  // `.off()` on a `map().on()` chain does not stop Gun from calling back for
+  // children, so handlers check `active` and unsubscribe on their next call
+  function attachGunListener(chain, handler) {
+    const listener = { active: true, chain: null };
+    listener.chain = chain.on((data, key, message, event) => {
+      if (!listener.active) {
+        event.off();
+        return;
       }
+      handler(data, key);
     });
-  });
+    return listener;
+  }
 
-  // Group member added notification
-  socket.on("groupMemberAddedNotification", (data) => {
-    const { groupId, groupName, newMemberPub, addedByPub, memberPubs } = data;
-    console.log(
-      `👥 Group member added: ${newMemberPub?.substring(
-        0,
-        8
-      )}... to group ${groupName} by ${addedByPub?.substring(0, 8)}...`
-    );
+  function detachGunListener(listener) {
+    listener.active = false;
+    listener.chain.off();
+  }
 
-    // Notify all group members
-    memberPubs.forEach((memberPub) => {
-      io.to(`user:${memberPub}`).emit("groupMemberAddedNotification", {
-        groupId,
-        groupName,
-        newMemberPub,
-        addedByPub,
-        type: "group_member_added",
+  // Load a conversation from GunDB and keep following it for new messages
+  async function preloadConversationMessages(user1, user2) {
+    if (!gun) {
+      return 0;
+    }
+
+    const conversationId = getConversationId(user1, user2);
+    const messagesNode = gun
+      .get(CONFIG.CONVERSATIONS_NODE)
+      .get(conversationId)
+      .get("messages");
+    const toMessage = (raw, key) =>
+      normalizePrivateMessage(conversationId, key, raw, {
+        senderPub: raw && raw.recipientPub === user1 ? user2 : user1,
+        recipientPub: raw && raw.recipientPub === user1 ? user1 : user2,
       });
-    });
-  });
 
-  // Group member removed notification
-  socket.on("groupMemberRemovedNotification", (data) => {
-    const { groupId, groupName, removedMemberPub, removedByPub, memberPubs } =
-      data;
-    console.log(
-      `👥 Group member removed: ${removedMemberPub?.substring(
-        0,
-        8
-      )}... from group ${groupName} by ${removedByPub?.substring(0, 8)}...`
-    );
+    const children = await collectGunChildren(messagesNode);
+    const messages = [];
+    for (const [key, raw] of children.entries()) {
+      const message = toMessage(raw, key);
+      if (message) {
+        messages.push(message);
+      }
+    }
 
-    // Notify all group members
-    memberPubs.forEach((memberPub) => {
-      io.to(`user:${memberPub}`).emit("groupMemberRemovedNotification", {
-        groupId,
-        groupName,
-        removedMemberPub,
-        removedByPub,
-        type: "group_member_removed",
+    if (!isFollowingConversation(conversationId)) {
+      const listener = attachGunListener(messagesNode.map(), (raw, key) => {
+        metrics.gunSyncEvents.inc({ source: "conversation_messages" });
+        const message = toMessage(raw, key);
+        if (message) {
+          cachePrivateMessages([message]);
+        }
       });
-    });
-  });
+      followConversation(conversationId, listener);
+    }
 
-  // === ADDITIONAL NOTIFICATION EVENTS ===
+    return cachePrivateMessages(messages);
+  }
 
-  // Message notification (when user receives a new message)
-  socket.on("messageNotification", (data) => {
-    const { messageId, senderPub, recipientPub, messagePreview, timestamp } =
-      data;
+  async function invalidateConversationCache(user1, user2) {
+    const conversationId = getConversationId(user1, user2);
+    const { changes } = await dbRun(
+      "DELETE FROM private_messages WHERE conversation_id = ?",
+      [conversationId]
+    );
     console.log(
-      `🔔 Message notification: ${messageId?.substring(
-        0,
-        8
-      )}... from ${senderPub?.substring(0, 8)}... to ${recipientPub?.substring(
+      `🗑️ Invalidated ${changes} cached messages for conversation ${user1.substring(
         0,
         8
-      )}...`
+      )}.../${user2.substring(0, 8)}...`
     );
+    return changes;
+  }
 
-    // Send notification to recipient
-    io.to(`user:${recipientPub}`).emit("newMessageNotification", {
-      messageId,
-      senderPub,
-      recipientPub,
-      messagePreview,
-      timestamp,
-      type: "message",
-    });
-  });
+  // Keep only the newest messages of each room and conversation
+  async function pruneMessageCache() {
+    const targets = [
+      ["room_messages", "room_id", CONFIG.MAX_CACHED_MESSAGES_PER_ROOM],
+      [
+        "private_messages",
+        "conversation_id",
+        CONFIG.MAX_MESSAGES_PER_CONVERSATION,
+      ],
+    ];
+
+    for (const [table, keyColumn, maxMessages] of targets) {
+      try {
+        const { changes } = await dbRun(
+          `
+        DELETE FROM ${table} WHERE id IN (
+          SELECT id FROM (
+            SELECT id, ROW_NUMBER() OVER (
+              PARTITION BY ${keyColumn} ORDER BY timestamp DESC, id DESC
+            ) AS position
+            FROM ${table}
+          ) WHERE position > ?
+        )
+      `,
+          [maxMessages]
+        );
+        if (changes > 0) {
+          console.log(`🧹 Pruned ${changes} old messages from ${table}`);
+        }
+      } catch (error) {
+        console.error(`❌ Failed to prune ${table}:`, error);
+      }
+    }
+  }
 
-  // Message read notification
-  socket.on("messageReadNotification", (data) => {
-    const { messageId, readerPub, senderPub, timestamp } = data;
-    console.log(
-      `✓ Message read notification: ${messageId?.substring(
-        0,
-        8
-      )}... by ${readerPub?.substring(0, 8)}...`
+  // ============================================================================
+  // SEA AUTHENTICATION
+  // ============================================================================
+
+  // Returns the signed payload if `signature` was produced by `pub`, else null
+  async function verifySeaSignature(signature, pub) {
+    if (typeof signature !== "string" || typeof pub !== "string") {
+      return null;
+    }
+    try {
+      const data = await SEA.verify(signature, pub);
+      return data === undefined || data === false ? null : data;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // A proof is a SEA-signed { pub, action, timestamp } sent in the
+  // `X-Linda-Pub` / `X-Linda-Signature` headers. Returns the proven pub or null.
+  async function verifyRequestProof(req, action) {
+    const pub = req.get("X-Linda-Pub");
+    const signature = req.get("X-Linda-Signature");
+    if (!pub || !signature) {
+      return null;
+    }
+
+    const data = await verifySeaSignature(signature, pub);
+    if (
+      !data ||
+      typeof data !== "object" ||
+      data.pub !== pub ||
+      data.action !== action ||
+      typeof data.timestamp !== "number" ||
+      Math.abs(Date.now() - data.timestamp) > CONFIG.AUTH_MAX_CLOCK_SKEW_MS
+    ) {
+      return null;
+    }
+
+    return pub;
+  }
+
+  // Event times reported by clients, held within the accepted clock skew of
+  // now so they cannot backdate or postdate what they record
+  function clampEventTimestamp(timestamp) {
+    const now = Date.now();
+    if (typeof timestamp !== "number" || !Number.isFinite(timestamp)) {
+      return now;
+    }
+    return Math.min(
+      Math.max(timestamp, now - CONFIG.AUTH_MAX_CLOCK_SKEW_MS),
+      now + CONFIG.AUTH_MAX_CLOCK_SKEW_MS
     );
+  }
 
-    // Notify sender that message was read
-    io.to(`user:${senderPub}`).emit("messageReadNotification", {
-      messageId,
-      readerPub,
-      timestamp,
-      type: "read",
-    });
-  });
-});
+  // Record a nonce as used. Resolves false if it was already consumed.
+  async function consumeNonce(nonce, pub) {
+    try {
+      await dbRun(
+        "INSERT INTO auth_nonces (nonce, user_pub, expires_at) VALUES (?, ?, ?)",
+        [nonce, pub, Date.now() + 2 * CONFIG.AUTH_MAX_CLOCK_SKEW_MS]
+      );
+      return true;
+    } catch (error) {
+      if (error.code === "SQLITE_CONSTRAINT") {
+        return false;
+      }
+      throw error;
+    }
+  }
 
-// Helper function to get online users count
-function getOnlineUsersCount() {
-  return onlineUsers.size;
-}
+  // Checks a body carrying `pub`, `timestamp`, `nonce` and a SEA signature
+  // by `pub` of those fields plus `fields`, then burns the nonce. Returns
+  // null if the body is valid, otherwise { status, error }
+  async function checkSignedBody(body, fields) {
+    const { pub, timestamp, nonce, signature } = body || {};
+    if (typeof pub !== "string" || !pub) {
+      return { status: 400, error: "pub is required" };
+    }
+    if (typeof nonce !== "string" || nonce.length < 8 || nonce.length > 128) {
+      return {
+        status: 400,
+        error: "A nonce of 8 to 128 characters is required",
+      };
+    }
 
-// Helper function to check if user is online
-function isUserOnline(userPub) {
-  return onlineUsers.has(userPub);
-}
+    const signed = await verifySeaSignature(signature, pub);
+    if (
+      !signed ||
+      typeof signed !== "object" ||
+      signed.pub !== pub ||
+      signed.timestamp !== timestamp ||
+      signed.nonce !== nonce ||
+      Object.keys(fields).some((name) => signed[name] !== fields[name])
+    ) {
+      return { status: 401, error: "Invalid signature" };
+    }
 
-// ============================================================================
-// API ROUTES
-// ============================================================================
+    if (
+      typeof timestamp !== "number" ||
+      Math.abs(Date.now() - timestamp) > CONFIG.AUTH_MAX_CLOCK_SKEW_MS
+    ) {
+      return { status: 401, error: "Signature expired" };
+    }
 
-// Health check
-app.get("/api/health", (req, res) => {
-  res.json({
-    status: "healthy",
-    version: SERVER_VERSION,
-    timestamp: Date.now(),
-    config: CONFIG,
-    stats: {
-      usernames: usernameIndex.size,
-      onlineUsers: getOnlineUsersCount(),
-    },
-  });
-});
+    if (!(await consumeNonce(nonce, pub))) {
+      return { status: 401, error: "Signature already used" };
+    }
+    return null;
+  }
 
-// Protocol statistics endpoint
-app.get("/api/stats/protocol", async (req, res) => {
-  try {
-    console.log("📊 Protocol statistics requested");
+  async function pruneExpiredNonces() {
+    try {
+      await dbRun("DELETE FROM auth_nonces WHERE expires_at < ?", [Date.now()]);
+    } catch (error) {
+      console.error("❌ Failed to prune auth nonces:", error);
+    }
+  }
 
-    // Return cached stats (updated by notifications)
-    res.json({
-      success: true,
-      timestamp: Date.now(),
-      stats: {
-        ...protocolStatsCache,
-        totalContacts: usernameIndex.size, // Always fresh from our index
-        lastUpdated: Date.now(),
-      },
-    });
-  } catch (error) {
-    console.error("❌ Protocol stats error:", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to fetch protocol statistics",
-    });
+  // Private conversation routes: the caller must prove, with a request proof
+  // for `action`, to be one of the two pubs in the URL
+  function requireConversationParticipant(action) {
+    return async (req, res, next) => {
+      try {
+        const pub = await verifyRequestProof(req, action);
+        if (!pub) {
+          return res.status(401).json({
+            success: false,
+            error: "A valid participant signature is required",
+          });
+        }
+        if (pub !== req.params.user1 && pub !== req.params.user2) {
+          return res.status(403).json({
+            success: false,
+            error: "Only the participants can access this conversation",
+          });
+        }
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
   }
-});
 
-// User notification endpoint
-app.get("/api/notifications/:userPub", (req, res) => {
-  try {
-    const { userPub } = req.params;
-    if (!userPub) {
-      return res.status(400).json({
+  // Routes serving one user's data need a request proof by that user, whose
+  // pub `getUserPub` reads from the request
+  function requireUserProof(action, getUserPub) {
+    return async (req, res, next) => {
+      try {
+        const pub = await verifyRequestProof(req, action);
+        if (!pub) {
+          return res.status(401).json({
+            success: false,
+            error: "A valid signature by the user is required",
+          });
+        }
+        if (pub !== getUserPub(req)) {
+          return res.status(403).json({
+            success: false,
+            error: "The signature does not belong to this user",
+          });
+        }
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  // Admin-only routes take `Authorization: Bearer <ADMIN_TOKEN>` and are
+  // disabled while ADMIN_TOKEN is unset
+  function requireAdmin(req, res, next) {
+    const adminToken = CONFIG.ADMIN_TOKEN;
+    if (!adminToken) {
+      return res.status(503).json({
         success: false,
-        error: "userPub is required",
+        error: "Admin API disabled: ADMIN_TOKEN is not set",
       });
     }
 
-    const limitParam = req.query.limit;
-    const parsedLimit = limitParam ? parseInt(limitParam, 10) : undefined;
-    const limit =
-      typeof parsedLimit === "number" && !Number.isNaN(parsedLimit) && parsedLimit > 0
-        ? parsedLimit
-        : undefined;
+    const match = /^Bearer (.+)$/.exec(req.get("Authorization") || "");
+    const digest = (value) =>
+      crypto.createHash("sha256").update(value).digest();
+    if (
+      !match ||
+      !crypto.timingSafeEqual(digest(match[1]), digest(adminToken))
+    ) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid admin token",
+      });
+    }
 
-    const notifications = getAndClearNotificationsForUser(userPub, limit);
-    res.json(notifications);
-  } catch (error) {
-    console.error("❌ Notifications fetch error:", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to fetch notifications",
-    });
+    next();
   }
-});
 
-// Message notification (for cache/stat updates)
-app.post("/api/notify/message", (req, res) => {
-  try {
-    const { userPub, messageData, timestamp } = req.body || {};
+  // ============================================================================
+  // RATE LIMITING
+  // ============================================================================
 
-    if (!userPub || !messageData) {
-      return res.status(400).json({
-        success: false,
-        error: "userPub and messageData are required",
-      });
-    }
-
-    const eventTimestamp =
-      typeof timestamp === "number" ? timestamp : Date.now();
-
-    const recipientPub =
-      typeof messageData?.recipientPub === "string"
-        ? messageData.recipientPub
-        : null;
-    const senderPub =
-      typeof messageData?.senderPub === "string" ? messageData.senderPub : null;
-    const messageId =
-      typeof messageData?.messageId === "string" ? messageData.messageId : null;
-    const messagePreview =
-      typeof messageData?.messagePreview === "string"
-        ? messageData.messagePreview
-        : null;
-
-    if (recipientPub) {
-      queueNotificationForUser(recipientPub, {
-        type: NOTIFICATION_TYPES.CACHE_UPDATED,
-        data: {
-          event: "message",
-          messageId,
-          senderPub: senderPub || userPub,
-          recipientPub,
-          messagePreview,
-          meta: {
-            contentLength: messageData.contentLength,
-          },
-        },
-        timestamp: eventTimestamp,
-      });
+  const rateLimitBuckets = new Map(); // `${budget}|${key}` -> { tokens, updatedAt }
+  const rateLimitStats = new Map(); // budget -> { allowed, limited }
+
+  // Take `cost` tokens from the bucket of `key` for `budget`
+  function consumeRateLimit(budget, key, cost = 1) {
+    const limit = CONFIG.RATE_LIMITS[budget];
+    if (!limit) {
+      return { allowed: true };
     }
 
-    queueNotificationForUser(userPub, {
-      type: NOTIFICATION_TYPES.CACHE_UPDATED,
-      data: {
-        event: "message",
-        messageId,
-        senderPub: userPub,
-        recipientPub: recipientPub || senderPub,
-        messagePreview,
-        meta: {
-          contentLength: messageData.contentLength,
-        },
-      },
-      timestamp: eventTimestamp,
-    });
+    const now = Date.now();
+    const refillPerMs = limit.refillPerMinute / 60000;
+    const bucketKey = `${budget}|${key}`;
+    const bucket = rateLimitBuckets.get(bucketKey) || {
+      tokens: limit.capacity,
+      updatedAt: now,
+    };
 
-    protocolStatsCache.totalMessages++;
-    protocolStatsCache.lastUpdated = Date.now();
-    saveProtocolStatToDB("totalMessages", protocolStatsCache.totalMessages);
-
-    queueNotificationForUser(userPub, {
-      type: NOTIFICATION_TYPES.STATS_UPDATED,
-      data: {
-        totalMessages: protocolStatsCache.totalMessages,
-        totalConversations: protocolStatsCache.totalConversations,
-        totalContacts: protocolStatsCache.totalContacts,
-        lastUpdated: protocolStatsCache.lastUpdated,
-      },
-    });
+    bucket.tokens = Math.min(
+      limit.capacity,
+      bucket.tokens + (now - bucket.updatedAt) * refillPerMs
+    );
+    bucket.updatedAt = now;
+    rateLimitBuckets.set(bucketKey, bucket);
 
-    res.json({
-      success: true,
-      message: "Message notification queued",
-      timestamp: eventTimestamp,
-    });
-  } catch (error) {
-    console.error("❌ Message notification error:", error);
-    res.status(500).json({
+    if (!rateLimitStats.has(budget)) {
+      rateLimitStats.set(budget, { allowed: 0, limited: 0 });
+    }
+    const stats = rateLimitStats.get(budget);
+
+    // A single fan-out larger than the bucket is allowed once it is full
+    const required = Math.min(cost, limit.capacity);
+    if (bucket.tokens < required) {
+      stats.limited++;
+      return {
+        allowed: false,
+        limit: limit.capacity,
+        remaining: Math.floor(bucket.tokens),
+        retryAfter: Math.ceil((required - bucket.tokens) / refillPerMs / 1000),
+      };
+    }
+
+    bucket.tokens -= required;
+    stats.allowed++;
+    return {
+      allowed: true,
+      limit: limit.capacity,
+      remaining: Math.floor(bucket.tokens),
+    };
+  }
+
+  function sendRateLimited(res, result) {
+    res.set("Retry-After", String(result.retryAfter));
+    res.set("X-RateLimit-Limit", String(result.limit));
+    res.set("X-RateLimit-Remaining", "0");
+    return res.status(429).json({
       success: false,
-      error: "Failed to queue message notification",
+      error: "Too many requests",
+      retryAfter: result.retryAfter,
     });
   }
-});
 
-// Conversation notification (for cache/stat updates)
-app.post("/api/notify/conversation", (req, res) => {
-  try {
-    const { userPub, conversationData, timestamp } = req.body || {};
+  // Express middleware limiting a route by client IP
+  function rateLimit(budget) {
+    return (req, res, next) => {
+      const result = consumeRateLimit(budget, `ip:${req.ip}`);
+      if (!result.allowed) {
+        return sendRateLimited(res, result);
+      }
+      if (result.limit !== undefined) {
+        res.set("X-RateLimit-Limit", String(result.limit));
+        res.set("X-RateLimit-Remaining", String(result.remaining));
+      }
+      next();
+    };
+  }
 
-    if (!userPub || !conversationData) {
-      return res.status(400).json({
-        success: false,
-        error: "userPub and conversationData are required",
-      });
+  // Limit a socket event by connection IP and authenticated pub. Emits
+  // `rateLimited` to the client and returns false when over budget.
+  function allowSocketEvent(socket, event, userPub, cost = 1) {
+    const keys = [`ip:${socket.handshake.address}`];
+    if (userPub) {
+      keys.push(`pub:${userPub}`);
     }
 
-    const eventTimestamp =
-      typeof timestamp === "number" ? timestamp : Date.now();
+    for (const key of keys) {
+      const result = consumeRateLimit(event, key, cost);
+      if (!result.allowed) {
+        socket.emit("rateLimited", {
+          event,
+          error: "Too many requests",
+          retryAfter: result.retryAfter,
+        });
+        return false;
+      }
+    }
+    return true;
+  }
 
-    const contactPub =
-      typeof conversationData?.contactPub === "string"
-        ? conversationData.contactPub
-        : null;
-    const contactName =
-      typeof conversationData?.contactName === "string"
-        ? conversationData.contactName
-        : null;
+  // Drop buckets that have refilled completely, they carry no state
+  function pruneRateLimitBuckets() {
+    const now = Date.now();
+    for (const [bucketKey, bucket] of rateLimitBuckets.entries()) {
+      const limit = CONFIG.RATE_LIMITS[bucketKey.split("|")[0]];
+      const refilled =
+        bucket.tokens +
+        ((now - bucket.updatedAt) * limit.refillPerMinute) / 60000;
+      if (refilled >= limit.capacity) {
+        rateLimitBuckets.delete(bucketKey);
+      }
+    }
+  }
 
-    if (contactPub && contactPub !== userPub) {
-      queueNotificationForUser(contactPub, {
-        type: NOTIFICATION_TYPES.CACHE_UPDATED,
-        data: {
-          event: "conversation",
-          initiatorPub: userPub,
-          contactPub,
-          contactName,
-        },
-        timestamp: eventTimestamp,
-      });
+  function getRateLimitStats() {
+    return {
+      trackedKeys: rateLimitBuckets.size,
+      budgets: Object.fromEntries(rateLimitStats),
+    };
+  }
+
+  // ============================================================================
+  // FULL-TEXT MESSAGE SEARCH
+  // ============================================================================
+
+  // Turn free text into a safe FTS5 expression: every word must match, the
+  // last one as a prefix so results update while typing
+  function buildFtsQuery(text) {
+    const terms = String(text).match(/[\p{L}\p{N}_]+/gu) || [];
+    return terms
+      .map((term, index) =>
+        index === terms.length - 1 ? `"${term}"*` : `"${term}"`
+      )
+      .join(" ");
+  }
+
+  async function searchMessages({
+    query,
+    type,
+    roomId,
+    senderPub,
+    from,
+    to,
+    participantPub,
+    limit,
+    offset,
+  }) {
+    const ftsQuery = buildFtsQuery(query);
+    if (!ftsQuery) {
+      return { results: [], total: 0 };
     }
 
-    queueNotificationForUser(userPub, {
-      type: NOTIFICATION_TYPES.CACHE_UPDATED,
-      data: {
-        event: "conversation",
-        initiatorPub: userPub,
-        contactPub: contactPub || userPub,
-        contactName,
-      },
-      timestamp: eventTimestamp,
-    });
+    const branches = [];
+    const countBranches = [];
+    const params = [];
+    const countParams = [];
+
+    const addBranch = (select, source, where, branchParams) => {
+      branches.push(`${select} ${source} WHERE ${where.join(" AND ")}`);
+      countBranches.push(
+        `SELECT COUNT(*) AS count ${source} WHERE ${where.join(" AND ")}`
+      );
+      params.push(...branchParams);
+      countParams.push(...branchParams);
+    };
+
+    const commonFilters = (alias) => {
+      const where = [];
+      const values = [];
+      if (senderPub) {
+        where.push(`${alias}.sender_pub = ?`);
+        values.push(senderPub);
+      }
+      if (from !== null) {
+        where.push(`${alias}.timestamp >= ?`);
+        values.push(from);
+      }
+      if (to !== null) {
+        where.push(`${alias}.timestamp <= ?`);
+        values.push(to);
+      }
+      return { where, values };
+    };
+
+    if (type === "all" || type === "room") {
+      const filters = commonFilters("m");
+      const where = ["room_messages_fts MATCH ?", ...filters.where];
+      const values = [ftsQuery, ...filters.values];
+      if (roomId) {
+        where.push("m.room_id = ?");
+        values.push(roomId);
+      }
+      addBranch(
+        `SELECT 'room' AS type, m.message_id, m.room_id, NULL AS conversation_id,
+        m.sender_pub, NULL AS recipient_pub, m.timestamp,
+        snippet(room_messages_fts, 0, '<mark>', '</mark>', '…', 12) AS snippet,
+        bm25(room_messages_fts) AS score`,
+        "FROM room_messages_fts JOIN room_messages m ON m.id = room_messages_fts.rowid",
+        where,
+        values
+      );
+    }
+
+    // Private previews are only searched on behalf of a proven participant
+    if ((type === "all" || type === "private") && participantPub && !roomId) {
+      const filters = commonFilters("p");
+      addBranch(
+        `SELECT 'private' AS type, p.message_id, NULL AS room_id, p.conversation_id,
+        p.sender_pub, p.recipient_pub, p.timestamp,
+        snippet(private_messages_fts, 0, '<mark>', '</mark>', '…', 12) AS snippet,
+        bm25(private_messages_fts) AS score`,
+        "FROM private_messages_fts JOIN private_messages p ON p.id = private_messages_fts.rowid",
+        [
+          "private_messages_fts MATCH ?",
+          "(p.sender_pub = ? OR p.recipient_pub = ?)",
+          ...filters.where,
+        ],
+        [ftsQuery, participantPub, participantPub, ...filters.values]
+      );
+    }
+
+    if (branches.length === 0) {
+      return { results: [], total: 0 };
+    }
 
-    protocolStatsCache.totalConversations++;
-    protocolStatsCache.lastUpdated = Date.now();
-    saveProtocolStatToDB(
-      "totalConversations",
-      protocolStatsCache.totalConversations
+    const unionSql = branches.join(" UNION ALL ");
+    const rows = await dbAll(
+      `${unionSql} ORDER BY score, timestamp DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
     );
+    const counts = await dbAll(countBranches.join(" UNION ALL "), countParams);
+
+    return {
+      results: rows.map((row) => ({
+        type: row.type,
+        messageId: row.message_id,
+        roomId: row.room_id,
+        conversationId: row.conversation_id,
+        senderPub: row.sender_pub,
+        recipientPub: row.recipient_pub,
+        timestamp: row.timestamp,
+        snippet: row.snippet,
+        // bm25() is lower-is-better, expose it as higher-is-better
+        score: -row.score,
+      })),
+      total: counts.reduce((sum, row) => sum + row.count, 0),
+    };
+  }
 
-    queueNotificationForUser(userPub, {
-      type: NOTIFICATION_TYPES.STATS_UPDATED,
-      data: {
-        totalMessages: protocolStatsCache.totalMessages,
-        totalConversations: protocolStatsCache.totalConversations,
-        totalContacts: protocolStatsCache.totalContacts,
-        lastUpdated: protocolStatsCache.lastUpdated,
-      },
-    });
+  // ============================================================================
+  // CONVERSATION ANALYTICS
+  // ============================================================================
 
-    res.json({
-      success: true,
-      message: "Conversation notification queued",
-      timestamp: eventTimestamp,
-    });
-  } catch (error) {
-    console.error("❌ Conversation notification error:", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to queue conversation notification",
-    });
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  function startOfDay(timestamp) {
+    return Math.floor(timestamp / DAY_MS) * DAY_MS;
+  }
+
+  // Add one event to the user's daily bucket for `contactPub` ("" when the
+  // other side is unknown)
+  function recordConversationActivity(
+    userPub,
+    contactPub,
+    counters,
+    timestamp
+  ) {
+    const {
+      sent = 0,
+      received = 0,
+      encrypted = 0,
+      plaintext = 0,
+      started = 0,
+    } = counters;
+
+    runStatement(
+      `
+    INSERT INTO user_conversation_stats (
+      user_pub, contact_pub, bucket_day, messages_sent, messages_received,
+      encrypted_messages, plaintext_messages, conversations_started, last_activity
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(user_pub, contact_pub, bucket_day) DO UPDATE SET
+      messages_sent = messages_sent + excluded.messages_sent,
+      messages_received = messages_received + excluded.messages_received,
+      encrypted_messages = encrypted_messages + excluded.encrypted_messages,
+      plaintext_messages = plaintext_messages + excluded.plaintext_messages,
+      conversations_started = conversations_started + excluded.conversations_started,
+      last_activity = MAX(COALESCE(last_activity, 0), excluded.last_activity)
+  `,
+      [
+        userPub,
+        contactPub || "",
+        startOfDay(timestamp),
+        sent,
+        received,
+        encrypted,
+        plaintext,
+        started,
+        timestamp,
+      ],
+      (err) => {
+        if (err) {
+          console.error("❌ Failed to record conversation stats:", err);
+        }
+      }
+    );
   }
-});
 
-// Protocol statistics notification endpoint
-app.post("/api/stats/notify", (req, res) => {
-  try {
-    const { type, data, timestamp } = req.body;
+  function recordMessageActivity(
+    senderPub,
+    recipientPub,
+    isEncrypted,
+    timestamp
+  ) {
+    const encryption = isEncrypted ? { encrypted: 1 } : { plaintext: 1 };
+
+    recordConversationActivity(
+      senderPub,
+      recipientPub,
+      { sent: 1, ...encryption },
+      timestamp
+    );
+    if (recipientPub && recipientPub !== senderPub) {
+      recordConversationActivity(
+        recipientPub,
+        senderPub,
+        { received: 1, ...encryption },
+        timestamp
+      );
+    }
+  }
+
+  async function getConversationStats(userPub, { from, to }) {
+    const params = [userPub];
+    let rangeClause = "";
+    if (from !== null) {
+      rangeClause += " AND bucket_day >= ?";
+      params.push(startOfDay(from));
+    }
+    if (to !== null) {
+      rangeClause += " AND bucket_day <= ?";
+      params.push(to);
+    }
+
+    const rows = await dbAll(
+      `
+    SELECT contact_pub,
+      SUM(messages_sent) AS sent,
+      SUM(messages_received) AS received,
+      SUM(encrypted_messages) AS encrypted,
+      SUM(plaintext_messages) AS plaintext,
+      SUM(conversations_started) AS started,
+      MAX(last_activity) AS last_activity
+    FROM user_conversation_stats
+    WHERE user_pub = ?${rangeClause}
+    GROUP BY contact_pub
+  `,
+      params
+    );
+
+    const stats = {
+      totalMessages: 0,
+      messagesSent: 0,
+      messagesReceived: 0,
+      conversationsStarted: 0,
+      distinctContacts: 0,
+      encryptedMessages: 0,
+      plaintextMessages: 0,
+      encryptedRatio: 0,
+      lastActivity: null,
+      mostActiveConversations: [],
+    };
+
+    const conversations = [];
+    rows.forEach((row) => {
+      stats.messagesSent += row.sent;
+      stats.messagesReceived += row.received;
+      stats.conversationsStarted += row.started;
+      stats.encryptedMessages += row.encrypted;
+      stats.plaintextMessages += row.plaintext;
+      stats.lastActivity = Math.max(stats.lastActivity || 0, row.last_activity);
+
+      if (row.contact_pub) {
+        conversations.push({
+          contactPub: row.contact_pub,
+          messages: row.sent + row.received,
+          messagesSent: row.sent,
+          messagesReceived: row.received,
+          lastActivity: row.last_activity,
+        });
+      }
+    });
+
+    stats.totalMessages = stats.messagesSent + stats.messagesReceived;
+    stats.distinctContacts = conversations.length;
+    if (stats.totalMessages > 0) {
+      stats.encryptedRatio = stats.encryptedMessages / stats.totalMessages;
+    }
+    stats.mostActiveConversations = conversations
+      .sort(
+        (a, b) => b.messages - a.messages || b.lastActivity - a.lastActivity
+      )
+      .slice(0, CONFIG.MOST_ACTIVE_CONVERSATIONS);
+
+    return stats;
+  }
+
+  // ============================================================================
+  // WEBHOOKS
+  // ============================================================================
+
+  const WEBHOOK_EVENTS = [
+    "user.registered",
+    "user.username_changed",
+    "user.epub_published",
+    "message.notified",
+    "stats.updated",
+  ];
+
+  const WEBHOOK_DELIVERY_STATUSES = [
+    "pending",
+    "sending",
+    "retrying",
+    "delivered",
+    "dead",
+  ];
+
+  let webhookWorkerRunning = false;
+
+  function isValidWebhookUrl(value) {
+    try {
+      const url = new URL(value);
+      return url.protocol === "https:" || url.protocol === "http:";
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // `events` is a list of WEBHOOK_EVENTS, or ["*"] for all of them
+  function isValidWebhookEvents(events) {
+    return (
+      Array.isArray(events) &&
+      events.length > 0 &&
+      events.every((event) => event === "*" || WEBHOOK_EVENTS.includes(event))
+    );
+  }
+
+  // The secret is only returned when the webhook is created
+  function formatWebhook(row) {
+    return {
+      id: row.id,
+      url: row.url,
+      events: JSON.parse(row.events),
+      description: row.description,
+      active: row.active === 1,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+
+  function formatWebhookDelivery(row) {
+    return {
+      id: row.id,
+      webhookId: row.webhook_id,
+      event: row.event,
+      status: row.status,
+      attempts: row.attempts,
+      nextAttemptAt: ["delivered", "dead"].includes(row.status)
+        ? null
+        : row.next_attempt_at,
+      lastStatusCode: row.last_status_code,
+      lastError: row.last_error,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+
+  // `X-Linda-Signature` is the hex HMAC-SHA256 of "<timestamp>.<body>"
+  function signWebhookPayload(secret, timestamp, body) {
+    return crypto
+      .createHmac("sha256", secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+  }
+
+  // Queue `event` for every active webhook subscribed to it. Never throws:
+  // webhooks must not break the request that triggered them.
+  async function emitWebhookEvent(event, data) {
+    try {
+      const webhooks = await dbAll(
+        "SELECT id, events FROM webhooks WHERE active = 1"
+      );
+      const subscribers = webhooks.filter((webhook) => {
+        const events = JSON.parse(webhook.events);
+        return events.includes("*") || events.includes(event);
+      });
+      if (subscribers.length === 0) return;
+
+      // The body is fixed at queue time so every retry is signed identically
+      const now = Date.now();
+      const payload = JSON.stringify({ event, timestamp: now, data });
+      for (const webhook of subscribers) {
+        await dbRun(
+          `INSERT INTO webhook_deliveries
+         (webhook_id, event, payload, status, next_attempt_at, created_at, updated_at)
+         VALUES (?, ?, ?, 'pending', ?, ?, ?)`,
+          [webhook.id, event, payload, now, now, now]
+        );
+      }
+
+      setImmediate(processWebhookDeliveries);
+    } catch (error) {
+      console.error(`❌ Failed to queue webhook event ${event}:`, error);
+    }
+  }
+
+  async function attemptWebhookDelivery(delivery) {
+    const timestamp = Date.now();
+    const headers = {
+      "Content-Type": "application/json",
+      "User-Agent": `linda-relay/${SERVER_VERSION}`,
+      "X-Linda-Event": delivery.event,
+      "X-Linda-Delivery": String(delivery.id),
+      "X-Linda-Timestamp": String(timestamp),
+      "X-Linda-Signature": `sha256=${signWebhookPayload(
+        delivery.secret,
+        timestamp,
+        delivery.payload
+      )}`,
+    };
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: "POST",
+        headers,
+        body: delivery.payload,
+        redirect: "manual",
+        signal: AbortSignal.timeout(CONFIG.WEBHOOK_TIMEOUT_MS),
+      });
+      return {
+        ok: response.ok,
+        statusCode: response.status,
+        error: response.ok ? null : `HTTP ${response.status}`,
+      };
+    } catch (error) {
+      return { ok: false, statusCode: null, error: error.message };
+    }
+  }
+
+  async function recordWebhookAttempt(delivery, result) {
+    const now = Date.now();
+    const attempts = delivery.attempts + 1;
+
+    if (result.ok) {
+      await dbRun(
+        `UPDATE webhook_deliveries
+       SET status = 'delivered', attempts = ?, last_status_code = ?, last_error = NULL, updated_at = ?
+       WHERE id = ?`,
+        [attempts, result.statusCode, now, delivery.id]
+      );
+      return;
+    }
+
+    if (attempts >= CONFIG.WEBHOOK_MAX_ATTEMPTS) {
+      await dbRun(
+        `UPDATE webhook_deliveries
+       SET status = 'dead', attempts = ?, last_status_code = ?, last_error = ?, updated_at = ?
+       WHERE id = ?`,
+        [attempts, result.statusCode, result.error, now, delivery.id]
+      );
+      await dbRun(
+        `INSERT OR REPLACE INTO webhook_dead_letters
+       (delivery_id, webhook_id, event, payload, attempts, last_status_code, last_error, failed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          delivery.id,
+          delivery.webhook_id,
+          delivery.event,
+          delivery.payload,
+          attempts,
+          result.statusCode,
+          result.error,
+          now,
+        ]
+      );
+      console.error(
+        `❌ Webhook delivery ${delivery.id} (${delivery.event}) dead after ${attempts} attempts: ${result.error}`
+      );
+      return;
+    }
+
+    const delay = CONFIG.WEBHOOK_RETRY_BASE_MS * 2 ** (attempts - 1);
+    await dbRun(
+      `UPDATE webhook_deliveries
+     SET status = 'retrying', attempts = ?, next_attempt_at = ?, last_status_code = ?, last_error = ?, updated_at = ?
+     WHERE id = ?`,
+      [attempts, now + delay, result.statusCode, result.error, now, delivery.id]
+    );
+  }
+
+  // Claim due deliveries and send them. A claim is a lease: deliveries left in
+  // "sending" by a crashed worker become due again once it expires, and other
+  // instances sharing the database skip claimed rows.
+  async function processWebhookDeliveries() {
+    if (webhookWorkerRunning) return;
+    webhookWorkerRunning = true;
+
+    try {
+      for (;;) {
+        const now = Date.now();
+        const claimed = await dbAll(
+          `
+        UPDATE webhook_deliveries
+        SET status = 'sending', next_attempt_at = ?
+        WHERE id IN (
+          SELECT d.id FROM webhook_deliveries d
+          JOIN webhooks w ON w.id = d.webhook_id AND w.active = 1
+          WHERE d.status IN ('pending', 'retrying', 'sending')
+            AND d.next_attempt_at <= ?
+          ORDER BY d.next_attempt_at
+          LIMIT ?
+        )
+        RETURNING id, webhook_id, event, payload, attempts
+      `,
+          [now + CONFIG.WEBHOOK_TIMEOUT_MS * 2, now, CONFIG.WEBHOOK_BATCH_SIZE]
+        );
+        if (claimed.length === 0) break;
+
+        const webhooks = new Map();
+        for (const delivery of claimed) {
+          if (!webhooks.has(delivery.webhook_id)) {
+            webhooks.set(
+              delivery.webhook_id,
+              await dbGet("SELECT url, secret FROM webhooks WHERE id = ?", [
+                delivery.webhook_id,
+              ])
+            );
+          }
+        }
+
+        await Promise.all(
+          claimed.map(async (delivery) => {
+            const webhook = webhooks.get(delivery.webhook_id);
+            if (!webhook) return;
+            const result = await attemptWebhookDelivery({
+              ...delivery,
+              ...webhook,
+            });
+            await recordWebhookAttempt(delivery, result);
+          })
+        );
+      }
+    } catch (error) {
+      console.error("❌ Webhook worker error:", error);
+    } finally {
+      webhookWorkerRunning = false;
+    }
+  }
+
+  async function pruneWebhookDeliveries() {
+    try {
+      const cutoff =
+        Date.now() - CONFIG.WEBHOOK_DELIVERY_RETENTION_DAYS * DAY_MS;
+      await dbRun(
+        "DELETE FROM webhook_deliveries WHERE status IN ('delivered', 'dead') AND updated_at < ?",
+        [cutoff]
+      );
+      await dbRun("DELETE FROM webhook_dead_letters WHERE failed_at < ?", [
+        cutoff,
+      ]);
+    } catch (error) {
+      console.error("❌ Failed to prune webhook deliveries:", error);
+    }
+  }
+
+  // ============================================================================
+  // GROUP REGISTRY
+  // ============================================================================
+
+  const GROUP_ROLES = {
+    ADMIN: "admin",
+    MEMBER: "member",
+  };
+
+  function getGroupRecord(groupId) {
+    return dbGet(
+      "SELECT group_id, name, created_by FROM groups WHERE group_id = ?",
+      [groupId]
+    );
+  }
+
+  // Role of `memberPub` in the group, or null if they are not a member
+  async function getGroupRole(groupId, memberPub) {
+    const row = await dbGet(
+      "SELECT role FROM group_members WHERE group_id = ? AND member_pub = ?",
+      [groupId, memberPub]
+    );
+    return row ? row.role : null;
+  }
+
+  async function getGroupMemberPubs(groupId) {
+    const rows = await dbAll(
+      "SELECT member_pub FROM group_members WHERE group_id = ?",
+      [groupId]
+    );
+    return rows.map((row) => row.member_pub);
+  }
+
+  function saveGroup(groupId, { name = null, createdBy = null } = {}) {
+    const now = Date.now();
+    return dbRun(
+      `
+    INSERT INTO groups (group_id, name, created_by, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(group_id) DO UPDATE SET
+      name = COALESCE(excluded.name, name),
+      created_by = COALESCE(created_by, excluded.created_by),
+      updated_at = excluded.updated_at
+  `,
+      [groupId, name, createdBy, now, now]
+    );
+  }
+
+  // Adding an existing member keeps their role; `role` only ever promotes
+  function addGroupMember(groupId, memberPub, role, addedBy = null) {
+    return dbRun(
+      `
+    INSERT INTO group_members (group_id, member_pub, role, added_by, joined_at)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(group_id, member_pub) DO UPDATE SET
+      role = CASE WHEN excluded.role = 'admin' THEN 'admin' ELSE role END
+  `,
+      [groupId, memberPub, role, addedBy, Date.now()]
+    );
+  }
+
+  // The removal is remembered, so Gun entries signed before it are ignored
+  async function removeGroupMember(groupId, memberPub) {
+    await dbRun(
+      "DELETE FROM group_members WHERE group_id = ? AND member_pub = ?",
+      [groupId, memberPub]
+    );
+    await dbRun(
+      `INSERT OR REPLACE INTO group_member_removals (group_id, member_pub, removed_at)
+       VALUES (?, ?, ?)`,
+      [groupId, memberPub, Date.now()]
+    );
+  }
+
+  async function getGroupMemberRemoval(groupId, memberPub) {
+    const row = await dbGet(
+      "SELECT removed_at FROM group_member_removals WHERE group_id = ? AND member_pub = ?",
+      [groupId, memberPub]
+    );
+    return row ? row.removed_at : null;
+  }
+
+  // Anyone can write to `groups/<groupId>`, so only signed entries are
+  // trusted. Gun stores members as `members/<pub>` (and admins as
+  // `admins/<pub>`): `{ pub, addedBy, signature }`, where `addedBy` is a group
+  // admin who signed `{ groupId, memberPub, role, addedAt }`. Unsigned entries
+  // and Gun removals (nulls, which carry no signature) are ignored; members
+  // leave through `groupMemberRemovedNotification`, after which only entries
+  // signed with a later `addedAt` bring them back. Entries without `addedAt`
+  // count as signed at 0.
+  async function applyGunGroupMember(groupId, key, value, role) {
+    if (
+      !value ||
+      typeof value !== "object" ||
+      !isNonEmptyString(value.addedBy)
+    ) {
+      return;
+    }
+    const memberPub = isNonEmptyString(value.pub) ? value.pub : key;
+    if (!memberPub) return;
+
+    const signed = await verifySeaSignature(value.signature, value.addedBy);
+    if (
+      !signed ||
+      signed.groupId !== groupId ||
+      signed.memberPub !== memberPub ||
+      signed.role !== role
+    ) {
+      return;
+    }
+    const addedAt = typeof signed.addedAt === "number" ? signed.addedAt : 0;
+    // A date in the future would outlast any later removal
+    if (addedAt > Date.now() + CONFIG.AUTH_MAX_CLOCK_SKEW_MS) return;
+    const removedAt = await getGroupMemberRemoval(groupId, memberPub);
+    if (removedAt !== null && addedAt <= removedAt) return;
+    if ((await getGroupRole(groupId, value.addedBy)) !== GROUP_ROLES.ADMIN) {
+      return;
+    }
+
+    await addGroupMember(groupId, memberPub, role, value.addedBy);
+  }
+
+  // A group record is `{ createdBy, name, signature }`, with the creator's
+  // signature of `{ groupId, createdBy, name }`. The first signed record
+  // registers the group and makes its creator admin; later ones can only
+  // rename it, and only when signed by the same creator.
+  async function applyGunGroup(groupId, data) {
+    const { createdBy } = data;
+    if (!isNonEmptyString(createdBy)) return;
+
+    const signed = await verifySeaSignature(data.signature, createdBy);
+    if (
+      !signed ||
+      signed.groupId !== groupId ||
+      signed.createdBy !== createdBy
+    ) {
+      return;
+    }
+
+    const group = await getGroupRecord(groupId);
+    if (group && group.created_by && group.created_by !== createdBy) return;
+
+    await saveGroup(groupId, {
+      name: typeof signed.name === "string" ? signed.name : null,
+      createdBy,
+    });
+    // A creator who left stays out when the record is replayed
+    if ((await getGroupMemberRemoval(groupId, createdBy)) === null) {
+      await addGroupMember(groupId, createdBy, GROUP_ROLES.ADMIN);
+    }
+  }
+
+  // Read a group from GunDB once, for groups the live listener has not
+  // delivered yet
+  async function fetchGroupFromGun(groupId) {
+    if (!gun) return;
+
+    const groupNode = gun.get(CONFIG.GROUPS_NODE).get(groupId);
+    const [data, members, admins] = await Promise.all([
+      readGunOnce(groupNode),
+      collectGunChildren(groupNode.get("members")),
+      collectGunChildren(groupNode.get("admins")),
+    ]);
+    if (!data) return;
+
+    await applyGunGroup(groupId, data);
+    for (const [key, value] of members) {
+      await applyGunGroupMember(groupId, key, value, GROUP_ROLES.MEMBER);
+    }
+    for (const [key, value] of admins) {
+      await applyGunGroupMember(groupId, key, value, GROUP_ROLES.ADMIN);
+    }
+  }
+
+  // Registry entry of a group, falling back to GunDB the first time it is seen
+  async function loadGroup(groupId) {
+    const group = await getGroupRecord(groupId);
+    if (group) return group;
+
+    await fetchGroupFromGun(groupId);
+    return getGroupRecord(groupId);
+  }
+
+  // ============================================================================
+  // GUNDB SYNC
+  // ============================================================================
+
+  // Subscriptions made by the sync below, detached by stop()
+  const gunListeners = new Set();
+
+  function listenToGun(chain, handler) {
+    const listener = attachGunListener(chain, handler);
+    gunListeners.add(listener);
+    return listener;
+  }
+
+  async function syncWithGunDB() {
+    console.log("🔄 Starting GunDB sync...");
+
+    try {
+      // Listen for username mappings (usernames/username -> userPub)
+      // Only sync users who are actively using the app (recent activity)
+      listenToGun(gun.get("usernames").map(), async (userPub, username) => {
+        metrics.gunSyncEvents.inc({ source: "usernames" });
+        if (userPub && username) {
+          // Check if this user has recent activity (last 24 hours)
+          try {
+            const userData = await readGunOnce(gun.get(userPub), 2000);
+
+            if (userData && userData.lastSeen) {
+              const lastSeen = userData.lastSeen;
+              const now = Date.now();
+              const dayInMs = 24 * 60 * 60 * 1000;
+
+              // Only sync users with activity in the last 24 hours
+              if (now - lastSeen < dayInMs) {
+                console.log(
+                  `📝 Active user detected: ${username} -> ${userPub.substring(
+                    0,
+                    16
+                  )}...`
+                );
+
+                // Try to get the epub for this user
+                let epub = null;
+                try {
+                  epub = await readGunOnce(gun.get(userPub).get("epub"), 3000);
+                } catch (error) {
+                  console.log("⚠️ Could not fetch epub for user:", username);
+                }
+
+                addUsernameToIndex(
+                  {
+                    userId: userPub,
+                    username: username,
+                    displayName: username,
+                    userPub: userPub,
+                    epub: epub,
+                    lastSeen: Date.now(),
+                  },
+                  { source: USERNAME_SOURCES.gun("usernames") }
+                );
+              } else {
+                console.log(
+                  `⏰ Skipping inactive user: ${username} (last seen: ${new Date(
+                    lastSeen
+                  ).toISOString()})`
+                );
+              }
+            }
+          } catch (error) {
+            console.log("⚠️ Could not check user activity:", username);
+          }
+        }
+      });
+
+      // Listen for alias mappings (~@username -> userPub)
+      listenToGun(gun.get("~@").map(), async (aliasData, username) => {
+        metrics.gunSyncEvents.inc({ source: "aliases" });
+        if (aliasData && username) {
+          console.log(
+            `📝 Alias mapping detected: ~@${username} -> ${aliasData.substring(
+              0,
+              16
+            )}...`
+          );
+
+          // Extract userPub from alias data
+          const userPub = aliasData
+            .replace("~@", "")
+            .replace(username, "")
+            .replace(/^~/, "");
+
+          if (userPub && userPub.length > 10) {
+            // Try to get the epub for this user
+            let epub = null;
+            try {
+              epub = await readGunOnce(gun.get(userPub).get("epub"), 3000);
+            } catch (error) {
+              console.log("⚠️ Could not fetch epub for user:", username);
+            }
+
+            addUsernameToIndex(
+              {
+                userId: userPub,
+                username: username,
+                displayName: username,
+                userPub: userPub,
+                epub: epub,
+                lastSeen: Date.now(),
+              },
+              { source: USERNAME_SOURCES.gun("~@") }
+            );
+          }
+        }
+      });
+
+      // Listen for new registered users (legacy path)
+      listenToGun(gun.get("users").map(), async (userData, userId) => {
+        metrics.gunSyncEvents.inc({ source: "users" });
+        if (userData && userData.alias) {
+          // Try to get the epub for this user
+          let epub = null;
+          try {
+            // Try multiple approaches to get epub
+            const userPub = userData.pub || userId;
+            if (userPub) {
+              // Approach 1: Direct epub lookup
+              epub = await readGunOnce(gun.get(userPub).get("epub"), 2000);
+
+              // Approach 2: Via user keys if first approach failed
+              if (!epub) {
+                epub = await readGunOnce(
+                  gun.get(userPub).get("user").get("epub"),
+                  2000
+                );
+              }
+            }
+          } catch (error) {
+            console.log("⚠️ Could not fetch epub for user:", userData.alias);
+          }
+
+          addUsernameToIndex(
+            {
+              userId,
+              username: userData.alias,
+              displayName: userData.displayName || userData.alias,
+              userPub: userData.pub || userId,
+              epub: epub,
+              lastSeen: userData.lastSeen || Date.now(),
+            },
+            { source: USERNAME_SOURCES.gun("users") }
+          );
+        }
+      });
+
+      // Listen for display name updates
+      listenToGun(gun.get("displayNames").map(), (displayData, username) => {
+        metrics.gunSyncEvents.inc({ source: "display_names" });
+        if (displayData && displayData.userPub) {
+          console.log(
+            `🔄 Display name update received: ${username} for ${displayData.userPub.substring(
+              0,
+              16
+            )}...`
+          );
+
+          // A rename onto a name owned by someone else must not free the
+          // old one
+          const rejection = checkUsernameClaim(
+            username.toLowerCase(),
+            displayData.userPub
+          );
+          if (rejection) {
+            rejectUsernameClaim(
+              username.toLowerCase(),
+              displayData.userPub,
+              USERNAME_SOURCES.gun("displayNames"),
+              rejection
+            );
+            return;
+          }
+
+          // Find existing user by userPub (not by username, since username might have changed)
+          const existingUser = usernameIndex.findByPub(displayData.userPub);
+          let previousUsername = null;
+          // Remove old username from index if it changed
+          if (
+            existingUser &&
+            existingUser.username.toLowerCase() !== username.toLowerCase()
+          ) {
+            previousUsername = existingUser.username.toLowerCase();
+            console.log(
+              `📝 Username changed from "${previousUsername}" to "${username.toLowerCase()}"`
+            );
+            unbindUsername(previousUsername);
+          }
+
+          if (existingUser) {
+            // Update with new username and display name
+            addUsernameToIndex(
+              {
+                userId: displayData.userPub,
+                username: username,
+                displayName: username,
+                userPub: displayData.userPub,
+                pub: displayData.userPub,
+                epub: existingUser.epub,
+                lastSeen: Date.now(),
+              },
+              {
+                source: USERNAME_SOURCES.gun("displayNames"),
+                previousUsername,
+              }
+            );
+          } else {
+            console.log(
+              `⚠️ User not found in index, adding as new user: ${username}`
+            );
+            // User not found, add as new entry (might be first time setting display name)
+            addUsernameToIndex(
+              {
+                userId: displayData.userPub,
+                username: username,
+                displayName: username,
+                userPub: displayData.userPub,
+                pub: displayData.userPub,
+                epub: null,
+                lastSeen: Date.now(),
+              },
+              { source: USERNAME_SOURCES.gun("displayNames") }
+            );
+          }
+        }
+      });
+
+      // Listen for epub key updates (when users publish their encryption keys)
+      // This is a more generic approach - listen to all user nodes for epub changes
+      let epubListenerActive = false;
+      const epubListeners = new Set(); // userPubs already followed
+
+      function startEpubListener() {
+        if (epubListenerActive) return;
+        epubListenerActive = true;
+
+        console.log("🔑 Starting epub key listener...");
+
+        // Listen to all user nodes for epub changes
+        listenToGun(gun.get("users").map(), async (userData, userId) => {
+          if (userData && userId) {
+            const userPub = userData.pub || userId;
+            if (epubListeners.has(userPub)) return;
+            epubListeners.add(userPub);
+
+            // Listen for epub changes on this specific user
+            listenToGun(gun.get(userPub).get("epub"), async (epubData) => {
+              metrics.gunSyncEvents.inc({ source: "epub" });
+              if (
+                epubData &&
+                typeof epubData === "string" &&
+                epubData.length > 10
+              ) {
+                console.log(
+                  `🔑 Epub key published for user: ${userPub.substring(
+                    0,
+                    16
+                  )}...`
+                );
+
+                // Update every name of this user that has another epub
+                usernameIndex
+                  .findAllByPub(userPub)
+                  .filter((foundUser) => foundUser.epub !== epubData)
+                  .forEach((foundUser) => {
+                    console.log(`✅ Updated epub for ${foundUser.username}`);
+                    addUsernameToIndex(
+                      {
+                        ...foundUser,
+                        epub: epubData,
+                        lastSeen: Date.now(),
+                      },
+                      { source: USERNAME_SOURCES.gun("epub") }
+                    );
+                  });
+              }
+            });
+          }
+        });
+      }
+
+      // Start epub listener after a short delay
+      backgroundTimers.push(setTimeout(startEpubListener, 2000));
+
+      // Listen for public room messages and keep the room cache in sync
+      const roomListeners = new Set();
+
+      listenToGun(
+        gun.get(CONFIG.PUBLIC_ROOMS_NODE).map(),
+        (roomData, roomId) => {
+          metrics.gunSyncEvents.inc({ source: "public_rooms" });
+          if (!roomData || !roomId || roomListeners.has(roomId)) return;
+          roomListeners.add(roomId);
+
+          console.log(`🏠 Listening for messages in public room: ${roomId}`);
+
+          listenToGun(
+            gun.get(CONFIG.PUBLIC_ROOMS_NODE).get(roomId).get("messages").map(),
+            (messageData, messageKey) => {
+              metrics.gunSyncEvents.inc({ source: "room_messages" });
+              const message = normalizeRoomMessage(
+                roomId,
+                messageKey,
+                messageData
+              );
+              if (message) {
+                cacheRoomMessages([message]);
+              }
+            }
+          );
+        }
+      );
+
+      // Keep the group registry in sync with group nodes
+      const groupListeners = new Set();
+
+      listenToGun(
+        gun.get(CONFIG.GROUPS_NODE).map(),
+        async (groupData, groupId) => {
+          metrics.gunSyncEvents.inc({ source: "groups" });
+          if (!groupData || !groupId) return;
+          try {
+            // Member entries are checked against the admins, so the record
+            // goes first
+            await applyGunGroup(groupId, groupData);
+          } catch (error) {
+            console.error("❌ Group sync error:", error);
+            return;
+          }
+
+          if (groupListeners.has(groupId)) return;
+          groupListeners.add(groupId);
+
+          const groupNode = gun.get(CONFIG.GROUPS_NODE).get(groupId);
+          [
+            ["members", GROUP_ROLES.MEMBER],
+            ["admins", GROUP_ROLES.ADMIN],
+          ].forEach(([field, role]) => {
+            listenToGun(groupNode.get(field).map(), (value, key) => {
+              metrics.gunSyncEvents.inc({ source: "group_members" });
+              applyGunGroupMember(groupId, key, value, role).catch((error) =>
+                console.error("❌ Group member sync error:", error)
+              );
+            });
+          });
+        }
+      );
+
+      console.log("✅ GunDB sync active");
+    } catch (error) {
+      console.error("❌ GunDB sync failed:", error);
+    }
+  }
+
+  // ============================================================================
+  // SOCKET.IO REAL-TIME NOTIFICATIONS
+  // ============================================================================
+
+  // Online users and room presence live in the shared state backend so every
+  // instance gives the same answer
+  const presenceStore = sharedState.presence;
+
+  function touchUserPresence(userPub) {
+    presenceStore
+      .touch(userPub)
+      .catch((error) => console.error("❌ Presence update error:", error));
+  }
+
+  // Sockets of a user connected to this instance
+  function getUserSockets(userPub) {
+    const socketIds = io.sockets.adapter.rooms.get(`user:${userPub}`);
+    if (!socketIds) {
+      return [];
+    }
+    return Array.from(socketIds)
+      .map((socketId) => io.sockets.sockets.get(socketId))
+      .filter(Boolean);
+  }
+
+  // Emit a queued notification once per socket. The device cursor only moves
+  // when the client acknowledges it, otherwise it stays queued for the next
+  // fetch.
+  function sendNotificationToSocket(socket, notification) {
+    const { userPub, deviceId, deliveredSeqs } = socket.data;
+    if (!deliveredSeqs || deliveredSeqs.has(notification.seq)) {
+      return;
+    }
+    deliveredSeqs.add(notification.seq);
+
+    socket
+      .timeout(CONFIG.NOTIFICATION_ACK_TIMEOUT_MS)
+      .emit("notification", notification, (err) => {
+        if (err) {
+          return;
+        }
+        acknowledgeNotifications(userPub, deviceId, notification.seq)
+          .then(({ cursor }) => {
+            deliveredSeqs.forEach((seq) => {
+              if (seq <= cursor) deliveredSeqs.delete(seq);
+            });
+          })
+          .catch((error) =>
+            console.error("❌ Failed to acknowledge live notification:", error)
+          );
+      });
+  }
+
+  function deliverNotificationLive(userPub, notification) {
+    const sockets = getUserSockets(userPub);
+    sockets.forEach((socket) => sendNotificationToSocket(socket, notification));
+    return sockets.length > 0;
+  }
+
+  // Deliver to local sockets and let the other instances reach theirs
+  function publishNotification(userPub, notification) {
+    deliverNotificationLive(userPub, notification);
+    if (sharedState.isShared) {
+      io.serverSideEmit("notificationQueued", userPub, notification);
+    }
+  }
+
+  io.on("notificationQueued", (userPub, notification) => {
+    deliverNotificationLive(userPub, notification);
+  });
+
+  // Send what the device missed while offline. Live delivery stays paused
+  // (no `deliveredSeqs`) until the backlog has been read, then a second pass
+  // picks up anything queued in the meantime.
+  async function flushNotificationBacklog(socket) {
+    const { userPub, deviceId } = socket.data;
+    try {
+      const cursor = await touchNotificationDevice(userPub, deviceId);
+      const backlog = await getNotificationsForUser(userPub, { after: cursor });
+
+      socket.data.deliveredSeqs = socket.data.deliveredSeqs || new Set();
+      backlog.forEach((notification) =>
+        sendNotificationToSocket(socket, notification)
+      );
+
+      const late = await getNotificationsForUser(userPub, { after: cursor });
+      late.forEach((notification) =>
+        sendNotificationToSocket(socket, notification)
+      );
+
+      if (backlog.length > 0) {
+        console.log(
+          `📬 Flushed ${
+            backlog.length
+          } queued notifications to ${userPub.substring(
+            0,
+            16
+          )}... (${deviceId})`
+        );
+      }
+    } catch (error) {
+      console.error("❌ Failed to flush notification backlog:", error);
+    }
+  }
+
+  // The identity proven during the handshake. Client-supplied sender fields
+  // are never trusted.
+  function getSocketIdentity(socket, event) {
+    const userPub = socket.data.userPub;
+    if (!userPub) {
+      socket.emit("authError", {
+        event,
+        error: "Not authenticated",
+      });
+      return null;
+    }
+    touchUserPresence(userPub);
+    return userPub;
+  }
+
+  function isNonEmptyString(value) {
+    return typeof value === "string" && value.length > 0;
+  }
+
+  const GROUP_ERRORS = {
+    INVALID_PAYLOAD: "invalid_payload",
+    UNKNOWN_GROUP: "unknown_group",
+    FORBIDDEN: "forbidden",
+  };
+
+  // Permission failures are `authError`s, anything else (bad payload, unknown
+  // group) a `groupError`; both carry the `code`
+  function rejectGroupEvent(socket, event, groupId, code, error) {
+    socket.emit(code === GROUP_ERRORS.FORBIDDEN ? "authError" : "groupError", {
+      event,
+      groupId,
+      code,
+      error,
+    });
+  }
+
+  // Fan-out targets come from the registry, never from the client. Resolves
+  // null (after rejecting the event) unless the sender is a group member.
+  async function getGroupRecipients(socket, event, groupId, senderPub) {
+    if (!isNonEmptyString(groupId)) {
+      rejectGroupEvent(
+        socket,
+        event,
+        groupId,
+        GROUP_ERRORS.INVALID_PAYLOAD,
+        "Missing groupId"
+      );
+      return null;
+    }
+
+    const group = await loadGroup(groupId);
+    if (!group) {
+      rejectGroupEvent(
+        socket,
+        event,
+        groupId,
+        GROUP_ERRORS.UNKNOWN_GROUP,
+        "Unknown group"
+      );
+      return null;
+    }
+    if (!(await getGroupRole(groupId, senderPub))) {
+      rejectGroupEvent(
+        socket,
+        event,
+        groupId,
+        GROUP_ERRORS.FORBIDDEN,
+        "Not a group member"
+      );
+      return null;
+    }
+
+    const memberPubs = await getGroupMemberPubs(groupId);
+    return {
+      group,
+      recipients: memberPubs.filter((memberPub) => memberPub !== senderPub),
+    };
+  }
+
+  io.on("connection", (socket) => {
+    console.log(`🔌 Client connected: ${socket.id}`);
+    metrics.socketConnections.inc();
+
+    // Unknown event names share one label so clients cannot add series
+    socket.onAny((event) => {
+      metrics.socketEvents.inc({
+        event: socket.listeners(event).length > 0 ? event : "other",
+      });
+    });
+
+    // Handshake: the client must sign this nonce with its SEA pair
+    socket.data.authNonce = crypto.randomBytes(32).toString("hex");
+    socket.emit("authChallenge", { nonce: socket.data.authNonce });
+
+    socket.on("authenticate", async (data, callback) => {
+      const { pub, signature } = data || {};
+      const nonce = socket.data.authNonce;
+      const reply = (payload) => {
+        if (typeof callback === "function") {
+          callback(payload);
+        }
+      };
+
+      const signed = nonce ? await verifySeaSignature(signature, pub) : null;
+      if (!nonce || signed !== nonce || socket.data.authNonce !== nonce) {
+        console.log(`🔒 Socket authentication failed: ${socket.id}`);
+        socket.emit("authError", {
+          event: "authenticate",
+          error: "Invalid signature",
+        });
+        return reply({ success: false, error: "Invalid signature" });
+      }
+
+      // Each challenge can only be answered once
+      socket.data.authNonce = null;
+      socket.data.userPub = pub;
+      console.log(
+        `🔐 Socket authenticated: ${socket.id} -> ${pub.substring(0, 16)}...`
+      );
+
+      socket.emit("authenticated", { userPub: pub });
+      reply({ success: true, userPub: pub });
+    });
+
+    // User joins with their pub key
+    socket.on("join", async (data) => {
+      const userPub = getSocketIdentity(socket, "join");
+      if (!userPub) return;
+      const { deviceId } = data || {};
+      console.log(`👤 Client joined: ${userPub?.substring(0, 16)}...`);
+      socket.join(`user:${userPub}`);
+
+      socket.data.deviceId = isValidDeviceId(deviceId)
+        ? deviceId
+        : DEFAULT_DEVICE_ID;
+      flushNotificationBacklog(socket);
+
+      try {
+        const cameOnline = await presenceStore.addSocket(
+          userPub,
+          socket.id,
+          socket.data.deviceId
+        );
+
+        // Notify others that this user is online (only for the first socket)
+        if (cameOnline) {
+          socket.broadcast.emit("userPresence", {
+            userPub,
+            isOnline: true,
+            lastSeen: Date.now(),
+          });
+        }
+      } catch (error) {
+        console.error("❌ Presence join error:", error);
+      }
+    });
+
+    // User joins a room for presence tracking
+    socket.on("joinRoom", async (data) => {
+      const userPub = getSocketIdentity(socket, "joinRoom");
+      const { roomId, roomType } = data || {};
+      if (!roomId || !roomType || !userPub) return;
+
+      console.log(
+        `🏠 User joined room: ${userPub?.substring(
+          0,
+          8
+        )}... -> ${roomId} (${roomType})`
+      );
+
+      // Join socket room for targeted notifications
+      socket.join(`room:${roomId}`);
+
+      try {
+        const room = await presenceStore.joinRoom(
+          roomId,
+          roomType,
+          userPub,
+          socket.id
+        );
+
+        // Notify room members of new presence
+        socket.to(`room:${roomId}`).emit("roomPresence", room);
+      } catch (error) {
+        console.error("❌ Room presence error:", error);
+      }
+    });
+
+    // User leaves a room
+    socket.on("leaveRoom", async (data) => {
+      const userPub = getSocketIdentity(socket, "leaveRoom");
+      const { roomId } = data || {};
+      if (!roomId || !userPub) return;
+
+      console.log(
+        `🏠 User left room: ${userPub?.substring(0, 8)}... -> ${roomId}`
+      );
+
+      // Leave socket room
+      socket.leave(`room:${roomId}`);
+
+      try {
+        const room = await presenceStore.leaveRoom(roomId, userPub, socket.id);
+
+        // Notify room members of presence change
+        if (room) {
+          socket.to(`room:${roomId}`).emit("roomPresence", room);
+        }
+      } catch (error) {
+        console.error("❌ Room presence error:", error);
+      }
+    });
+
+    // Update room presence status
+    socket.on("updateRoomPresence", async (data) => {
+      const userPub = getSocketIdentity(socket, "updateRoomPresence");
+      const { roomId, status } = data || {};
+      if (!roomId || !userPub) return;
+
+      console.log(
+        `🏠 Room presence update: ${userPub?.substring(
+          0,
+          8
+        )}... -> ${roomId} (${status})`
+      );
+
+      try {
+        const room = await presenceStore.setRoomStatus(
+          roomId,
+          userPub,
+          socket.id,
+          status
+        );
+
+        // Notify room members
+        if (room) {
+          socket.to(`room:${roomId}`).emit("roomPresence", room);
+        }
+      } catch (error) {
+        console.error("❌ Room presence error:", error);
+      }
+    });
+
+    // Handle disconnect
+    socket.on("disconnect", async () => {
+      console.log(`🔌 Client disconnected: ${socket.id}`);
+
+      const userPub = socket.data.userPub;
+      if (!userPub) return;
+
+      try {
+        // Rooms are only left once none of the user's other sockets is in them
+        const { wentOffline, rooms } = await presenceStore.removeSocket(
+          userPub,
+          socket.id
+        );
+        rooms.forEach((room) => {
+          io.to(`room:${room.roomId}`).emit("roomPresence", room);
+        });
+
+        // Notify others that this user is offline once their last socket is gone
+        if (wentOffline) {
+          io.emit("userPresence", {
+            userPub,
+            isOnline: false,
+            lastSeen: Date.now(),
+          });
+        }
+      } catch (error) {
+        console.error("❌ Presence disconnect error:", error);
+      }
+    });
+
+    // === EPHEMERAL EVENTS ===
+
+    // Typing indicator - DEPRECATED: Now handled P2P via GunDB
+    socket.on("typing", (data) => {
+      // Typing notifications are now handled directly between peers via GunDB
+      // This event is kept for backward compatibility but does nothing
+      if (process.env.NODE_ENV === "development") {
+        console.log(
+          "⚠️ Typing event received but ignored - use P2P TypingManager instead"
+        );
+      }
+    });
+
+    // Message read receipt
+    socket.on("messageRead", (data) => {
+      const readerPub = getSocketIdentity(socket, "messageRead");
+      if (!readerPub) return;
+      const { messageId, senderPub } = data || {};
+      console.log(
+        `✓✓ Message ${messageId?.substring(
+          0,
+          8
+        )}... read by ${readerPub?.substring(0, 8)}...`
+      );
+
+      // Notify sender that message was read
+      io.to(`user:${senderPub}`).emit("messageRead", {
+        messageId,
+        readerPub,
+      });
+    });
+
+    // Presence update
+    socket.on("presence", async (data) => {
+      const userPub = getSocketIdentity(socket, "presence");
+      if (!userPub) return;
+      const { isOnline, lastSeen } = data || {};
+      console.log(
+        `👤 Presence update: ${userPub?.substring(0, 8)}... is ${
+          isOnline ? "online" : "offline"
+        }`
+      );
+
+      try {
+        // Only this socket changes state; the user stays online while any
+        // other socket is still connected
+        let changed;
+        if (isOnline) {
+          changed = await presenceStore.addSocket(
+            userPub,
+            socket.id,
+            socket.data.deviceId || DEFAULT_DEVICE_ID
+          );
+        } else {
+          const { wentOffline, rooms } = await presenceStore.removeSocket(
+            userPub,
+            socket.id
+          );
+          rooms.forEach((room) => {
+            socket.to(`room:${room.roomId}`).emit("roomPresence", room);
+          });
+          changed = wentOffline;
+        }
+        if (!changed) return;
+
+        // Broadcast to all clients
+        socket.broadcast.emit("userPresence", {
+          userPub,
+          isOnline: !!isOnline,
+          lastSeen,
+        });
+      } catch (error) {
+        console.error("❌ Presence update error:", error);
+      }
+    });
+
+    // === PERSISTENT EVENTS (for optimization notifications) ===
+
+    // Message sent notification
+    socket.on("messageSent", (data) => {
+      const senderPub = getSocketIdentity(socket, "messageSent");
+      if (!senderPub) return;
+      const { messageId, recipientPub, timestamp } = data || {};
+      console.log(
+        `📨 Message sent: ${messageId?.substring(
+          0,
+          8
+        )}... from ${senderPub?.substring(
+          0,
+          8
+        )}... to ${recipientPub?.substring(0, 8)}...`
+      );
+
+      // Notify recipient that a new message was sent
+      io.to(`user:${recipientPub}`).emit("messageReceived", {
+        messageId,
+        senderPub,
+        recipientPub,
+        timestamp,
+      });
+    });
+
+    // Chat started notification
+    socket.on("startChat", (data) => {
+      const { userPub } = data;
+      console.log(`💬 Chat started with: ${userPub?.substring(0, 16)}...`);
+
+      // Could notify the other user that someone wants to chat
+      // (optional - currently not used in client)
+    });
+
+    // Contact updated notification
+    socket.on("contactUpdated", (data) => {
+      const { contactPub, contactName, action, timestamp } = data;
+      console.log(
+        `👤 Contact ${action}: ${contactName} (${contactPub?.substring(
+          0,
+          8
+        )}...)`
+      );
+
+      // Could broadcast to update contact lists
+      // (optional - currently GunDB handles sync)
+    });
+
+    // === NOTIFICATION EVENTS ===
+
+    // Message notification (when user receives a new message)
+    socket.on("messageNotification", (data) => {
+      const senderPub = getSocketIdentity(socket, "messageNotification");
+      if (!senderPub) return;
+      if (!allowSocketEvent(socket, "messageNotification", senderPub)) return;
+      const { messageId, recipientPub, messagePreview, timestamp } = data || {};
+      console.log(
+        `🔔 Message notification: ${messageId?.substring(
+          0,
+          8
+        )}... from ${senderPub?.substring(
+          0,
+          8
+        )}... to ${recipientPub?.substring(0, 8)}...`
+      );
+
+      // Send notification to recipient
+      io.to(`user:${recipientPub}`).emit("newMessageNotification", {
+        messageId,
+        senderPub,
+        recipientPub,
+        messagePreview,
+        timestamp,
+        type: "message",
+      });
+    });
+
+    // Message read notification
+    socket.on("messageReadNotification", (data) => {
+      const readerPub = getSocketIdentity(socket, "messageReadNotification");
+      if (!readerPub) return;
+      const { messageId, senderPub, timestamp } = data || {};
+      console.log(
+        `✓ Message read notification: ${messageId?.substring(
+          0,
+          8
+        )}... by ${readerPub?.substring(0, 8)}...`
+      );
+
+      // Notify sender that message was read
+      io.to(`user:${senderPub}`).emit("messageReadNotification", {
+        messageId,
+        readerPub,
+        timestamp,
+        type: "read",
+      });
+    });
+
+    // Typing notification - DEPRECATED: Now handled P2P via GunDB
+    socket.on("typingNotification", (data) => {
+      // Typing notifications are now handled directly between peers via GunDB
+      // This event is kept for backward compatibility but does nothing
+      if (process.env.NODE_ENV === "development") {
+        console.log(
+          "⚠️ Typing notification received but ignored - use P2P TypingManager instead"
+        );
+      }
+    });
+
+    // === GROUP NOTIFICATION EVENTS ===
+
+    // Group message notification (when user receives a new group message)
+    socket.on("groupMessageNotification", async (data) => {
+      const senderPub = getSocketIdentity(socket, "groupMessageNotification");
+      if (!senderPub) return;
+      const { messageId, groupId, groupName, messagePreview, timestamp } =
+        data || {};
+
+      try {
+        const target = await getGroupRecipients(
+          socket,
+          "groupMessageNotification",
+          groupId,
+          senderPub
+        );
+        if (!target) return;
+        const { group, recipients } = target;
+        const fanOut = Math.max(recipients.length, 1);
+        if (
+          !allowSocketEvent(
+            socket,
+            "groupMessageNotification",
+            senderPub,
+            fanOut
+          )
+        ) {
+          return;
+        }
+        console.log(
+          `🔔 Group message notification: ${messageId?.substring(
+            0,
+            8
+          )}... from ${senderPub?.substring(0, 8)}... in group ${
+            groupName || group.name
+          } (${groupId?.substring(0, 8)}...)`
+        );
+
+        // Send notification to all group members except sender
+        recipients.forEach((memberPub) => {
+          io.to(`user:${memberPub}`).emit("newGroupMessageNotification", {
+            messageId,
+            senderPub,
+            groupId,
+            groupName: groupName || group.name,
+            messagePreview,
+            timestamp,
+            type: "group_message",
+          });
+        });
+      } catch (error) {
+        console.error("❌ Group message notification error:", error);
+      }
+    });
+
+    // Group typing notification
+    socket.on("groupTypingNotification", async (data) => {
+      const senderPub = getSocketIdentity(socket, "groupTypingNotification");
+      if (!senderPub) return;
+      const { groupId, groupName, isTyping, timestamp } = data || {};
+
+      try {
+        const target = await getGroupRecipients(
+          socket,
+          "groupTypingNotification",
+          groupId,
+          senderPub
+        );
+        if (!target) return;
+        const { group, recipients } = target;
+        const fanOut = Math.max(recipients.length, 1);
+        if (
+          !allowSocketEvent(
+            socket,
+            "groupTypingNotification",
+            senderPub,
+            fanOut
+          )
+        ) {
+          return;
+        }
+        console.log(
+          `⌨️ Group typing notification: ${senderPub?.substring(0, 8)}... is ${
+            isTyping ? "typing" : "stopped typing"
+          } in group ${groupName || group.name}`
+        );
+
+        // Send typing indicator to all group members except sender
+        recipients.forEach((memberPub) => {
+          io.to(`user:${memberPub}`).emit("groupTypingNotification", {
+            senderPub,
+            groupId,
+            groupName: groupName || group.name,
+            isTyping,
+            timestamp,
+            type: "group_typing",
+          });
+        });
+      } catch (error) {
+        console.error("❌ Group typing notification error:", error);
+      }
+    });
+
+    // Group member added notification
+    socket.on("groupMemberAddedNotification", async (data) => {
+      const addedByPub = getSocketIdentity(
+        socket,
+        "groupMemberAddedNotification"
+      );
+      if (!addedByPub) return;
+      const { groupId, groupName, newMemberPub } = data || {};
+      if (!isNonEmptyString(groupId) || !isNonEmptyString(newMemberPub)) {
+        rejectGroupEvent(
+          socket,
+          "groupMemberAddedNotification",
+          groupId,
+          GROUP_ERRORS.INVALID_PAYLOAD,
+          "groupId and newMemberPub are required"
+        );
+        return;
+      }
+
+      try {
+        // Groups are only registered from a record signed by their creator
+        if (!(await loadGroup(groupId))) {
+          rejectGroupEvent(
+            socket,
+            "groupMemberAddedNotification",
+            groupId,
+            GROUP_ERRORS.UNKNOWN_GROUP,
+            "Unknown group"
+          );
+          return;
+        }
+
+        const role = await getGroupRole(groupId, addedByPub);
+        if (role !== GROUP_ROLES.ADMIN) {
+          rejectGroupEvent(
+            socket,
+            "groupMemberAddedNotification",
+            groupId,
+            GROUP_ERRORS.FORBIDDEN,
+            "Only group admins can add members"
+          );
+          return;
+        }
+
+        await addGroupMember(
+          groupId,
+          newMemberPub,
+          GROUP_ROLES.MEMBER,
+          addedByPub
+        );
+        console.log(
+          `👥 Group member added: ${newMemberPub?.substring(
+            0,
+            8
+          )}... to group ${groupName} by ${addedByPub?.substring(0, 8)}...`
+        );
+
+        // Notify all group members
+        const memberPubs = await getGroupMemberPubs(groupId);
+        memberPubs.forEach((memberPub) => {
+          io.to(`user:${memberPub}`).emit("groupMemberAddedNotification", {
+            groupId,
+            groupName,
+            newMemberPub,
+            addedByPub,
+            type: "group_member_added",
+          });
+        });
+      } catch (error) {
+        console.error("❌ Group member added error:", error);
+      }
+    });
+
+    // Group member removed notification
+    socket.on("groupMemberRemovedNotification", async (data) => {
+      const removedByPub = getSocketIdentity(
+        socket,
+        "groupMemberRemovedNotification"
+      );
+      if (!removedByPub) return;
+      const { groupId, groupName, removedMemberPub } = data || {};
+      if (!isNonEmptyString(groupId) || !isNonEmptyString(removedMemberPub)) {
+        rejectGroupEvent(
+          socket,
+          "groupMemberRemovedNotification",
+          groupId,
+          GROUP_ERRORS.INVALID_PAYLOAD,
+          "groupId and removedMemberPub are required"
+        );
+        return;
+      }
+
+      try {
+        if (!(await loadGroup(groupId))) {
+          rejectGroupEvent(
+            socket,
+            "groupMemberRemovedNotification",
+            groupId,
+            GROUP_ERRORS.UNKNOWN_GROUP,
+            "Unknown group"
+          );
+          return;
+        }
+
+        // Admins can remove anyone, members can only leave
+        const role = await getGroupRole(groupId, removedByPub);
+        const isLeaving = removedMemberPub === removedByPub;
+        if (!role || (role !== GROUP_ROLES.ADMIN && !isLeaving)) {
+          rejectGroupEvent(
+            socket,
+            "groupMemberRemovedNotification",
+            groupId,
+            GROUP_ERRORS.FORBIDDEN,
+            "Only group admins can remove members"
+          );
+          return;
+        }
+
+        // The removed member is notified too
+        const memberPubs = await getGroupMemberPubs(groupId);
+        await removeGroupMember(groupId, removedMemberPub);
+        console.log(
+          `👥 Group member removed: ${removedMemberPub?.substring(
+            0,
+            8
+          )}... from group ${groupName} by ${removedByPub?.substring(0, 8)}...`
+        );
+
+        // Notify all group members
+        memberPubs.forEach((memberPub) => {
+          io.to(`user:${memberPub}`).emit("groupMemberRemovedNotification", {
+            groupId,
+            groupName,
+            removedMemberPub,
+            removedByPub,
+            type: "group_member_removed",
+          });
+        });
+      } catch (error) {
+        console.error("❌ Group member removed error:", error);
+      }
+    });
+  });
+
+  // Helper function to get online users count
+  function getOnlineUsersCount() {
+    return presenceStore.countOnline();
+  }
+
+  // Helper function to check if user is online
+  async function isUserOnline(userPub) {
+    const { isOnline } = await presenceStore.getUser(userPub);
+    return isOnline;
+  }
+
+  // ============================================================================
+  // API ROUTES
+  // ============================================================================
+
+  // Health check
+  app.get("/api/health", async (req, res) => {
+    let onlineUsers = null;
+    try {
+      onlineUsers = await getOnlineUsersCount();
+    } catch (error) {
+      console.error("❌ Online users count error:", error);
+    }
+
+    res.json({
+      status: "healthy",
+      version: SERVER_VERSION,
+      timestamp: Date.now(),
+      config: redactConfig(CONFIG),
+      stats: {
+        usernames: usernameIndex.size,
+        pendingIndexWrites: pendingIndexWrites.size,
+        onlineUsers,
+      },
+      sharedState: {
+        backend: sharedState.backend,
+        instanceId: sharedState.instanceId,
+      },
+      rateLimits: getRateLimitStats(),
+    });
+  });
+
+  // Prometheus metrics
+  app.get("/metrics", async (req, res) => {
+    try {
+      res.set("Content-Type", metricsRegistry.contentType);
+      res.end(await metricsRegistry.metrics());
+    } catch (error) {
+      console.error("❌ Metrics error:", error);
+      res.status(500).end();
+    }
+  });
+
+  // Protocol statistics endpoint
+  app.get("/api/stats/protocol", async (req, res) => {
+    try {
+      console.log("📊 Protocol statistics requested");
+
+      // Return cached stats (updated by notifications)
+      res.json({
+        success: true,
+        timestamp: Date.now(),
+        stats: {
+          ...protocolStatsCache,
+          totalContacts: usernameIndex.size, // Always fresh from our index
+          lastUpdated: Date.now(),
+        },
+      });
+    } catch (error) {
+      console.error("❌ Protocol stats error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch protocol statistics",
+      });
+    }
+  });
+
+  // Protocol statistics over time, in hourly or daily buckets (admin only)
+  app.get("/api/stats/protocol/history", requireAdmin, async (req, res) => {
+    try {
+      const { metric } = req.query;
+      const granularity = req.query.granularity || "hour";
+
+      if (metric && !PROTOCOL_STAT_TYPES.includes(metric)) {
+        return res.status(400).json({
+          success: false,
+          error: `metric must be one of: ${PROTOCOL_STAT_TYPES.join(", ")}`,
+        });
+      }
+      if (granularity !== "hour" && granularity !== "day") {
+        return res.status(400).json({
+          success: false,
+          error: 'granularity must be "hour" or "day"',
+        });
+      }
+
+      // Defaults: the last 24 hours, or the last 30 days for daily buckets.
+      // `from` is widened to the start of its bucket
+      const bucketSize = granularity === "day" ? DAY_MS : HOUR_MS;
+      const to = parseTimestampParam(req.query.to) ?? Date.now();
+      const requestedFrom =
+        parseTimestampParam(req.query.from) ??
+        to - (granularity === "day" ? 30 * DAY_MS : DAY_MS);
+      if (requestedFrom > to) {
+        return res.status(400).json({
+          success: false,
+          error: "from must not be after to",
+        });
+      }
+      const from = Math.floor(requestedFrom / bucketSize) * bucketSize;
+
+      const series = await getProtocolStatsHistory(
+        metric ? [metric] : PROTOCOL_STAT_TYPES,
+        { from, to, granularity }
+      );
+
+      res.json({
+        success: true,
+        granularity,
+        from,
+        to,
+        series,
+      });
+    } catch (error) {
+      console.error("❌ Protocol stats history error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch protocol statistics history",
+      });
+    }
+  });
+
+  // Per-user conversation statistics, only for the user themselves
+  app.get(
+    "/api/stats/conversations",
+    requireUserProof("stats:conversations", (req) => req.query.userPub),
+    async (req, res) => {
+      try {
+        const { userPub } = req.query;
+        const from = parseTimestampParam(req.query.from);
+        const to = parseTimestampParam(req.query.to);
+
+        const stats = await getConversationStats(userPub, { from, to });
+
+        res.json({
+          success: true,
+          userPub,
+          range: { from, to },
+          timestamp: Date.now(),
+          stats,
+        });
+      } catch (error) {
+        console.error("❌ Conversation stats error:", error);
+        res.status(500).json({
+          success: false,
+          error: "Failed to fetch conversation statistics",
+        });
+      }
+    }
+  );
+
+  const notificationOwner = (req) => req.params.userPub;
+
+  // User notification endpoint. Each device reads from its own cursor and
+  // notifications stay queued until every device has acknowledged them.
+  app.get(
+    "/api/notifications/:userPub",
+    requireUserProof("notifications:read", notificationOwner),
+    async (req, res) => {
+      try {
+        const { userPub } = req.params;
+        const deviceId = req.query.deviceId || DEFAULT_DEVICE_ID;
+        if (!isValidDeviceId(deviceId)) {
+          return res.status(400).json({
+            success: false,
+            error: "Invalid deviceId",
+          });
+        }
+
+        const limitParam = req.query.limit;
+        const parsedLimit = limitParam ? parseInt(limitParam, 10) : undefined;
+        const limit =
+          typeof parsedLimit === "number" && !Number.isNaN(parsedLimit) && parsedLimit > 0
+            ? parsedLimit
+            : undefined;
+
+        const cursor = await touchNotificationDevice(userPub, deviceId);
+        const parsedAfter = parseInt(req.query.after, 10);
+        const after = Number.isNaN(parsedAfter)
+          ? cursor
+          : Math.max(parsedAfter, 0);
+
+        const notifications = await getNotificationsForUser(userPub, {
+          after,
+          limit,
+        });
+        res.json(notifications);
+      } catch (error) {
+        console.error("❌ Notifications fetch error:", error);
+        res.status(500).json({
+          success: false,
+          error: "Failed to fetch notifications",
+        });
+      }
+    }
+  );
+
+  // Acknowledge notifications up to a sequence number for one device
+  app.post(
+    "/api/notifications/:userPub/ack",
+    requireUserProof("notifications:ack", notificationOwner),
+    async (req, res) => {
+      try {
+        const { userPub } = req.params;
+        const body = req.body || {};
+        const seq = parseInt(body.seq, 10);
+        const deviceId = body.deviceId || DEFAULT_DEVICE_ID;
+
+        if (Number.isNaN(seq) || seq < 0) {
+          return res.status(400).json({
+            success: false,
+            error: "seq must be a non-negative integer",
+          });
+        }
+        if (!isValidDeviceId(deviceId)) {
+          return res.status(400).json({
+            success: false,
+            error: "Invalid deviceId",
+          });
+        }
+
+        const { cursor, pruned } = await acknowledgeNotifications(
+          userPub,
+          deviceId,
+          seq
+        );
+        res.json({
+          success: true,
+          deviceId,
+          cursor,
+          pruned,
+        });
+      } catch (error) {
+        console.error("❌ Notifications ack error:", error);
+        res.status(500).json({
+          success: false,
+          error: "Failed to acknowledge notifications",
+        });
+      }
+    }
+  );
+
+  // List the devices reading a user's notifications
+  app.get(
+    "/api/notifications/:userPub/devices",
+    requireUserProof("notifications:devices", notificationOwner),
+    async (req, res) => {
+      try {
+        const devices = await getNotificationDevices(req.params.userPub);
+        res.json({
+          success: true,
+          devices,
+        });
+      } catch (error) {
+        console.error("❌ Notification devices error:", error);
+        res.status(500).json({
+          success: false,
+          error: "Failed to fetch devices",
+        });
+      }
+    }
+  );
+
+  // Register a device
+  app.post(
+    "/api/notifications/:userPub/devices",
+    requireUserProof("notifications:devices", notificationOwner),
+    async (req, res) => {
+      try {
+        const { userPub } = req.params;
+        const { deviceId } = req.body || {};
+        if (!isValidDeviceId(deviceId)) {
+          return res.status(400).json({
+            success: false,
+            error: "deviceId is required (max 128 characters)",
+          });
+        }
+
+        const cursor = await touchNotificationDevice(userPub, deviceId);
+        res.json({
+          success: true,
+          deviceId,
+          cursor,
+        });
+      } catch (error) {
+        console.error("❌ Device registration error:", error);
+        res.status(500).json({
+          success: false,
+          error: "Failed to register device",
+        });
+      }
+    }
+  );
+
+  // Unregister a device so it no longer holds back pruning
+  app.delete(
+    "/api/notifications/:userPub/devices/:deviceId",
+    requireUserProof("notifications:devices", notificationOwner),
+    async (req, res) => {
+      try {
+        const { userPub, deviceId } = req.params;
+        const removed = await removeNotificationDevice(userPub, deviceId);
+
+        if (!removed) {
+          return res.status(404).json({
+            success: false,
+            error: "Device not found",
+          });
+        }
+        res.json({
+          success: true,
+          deviceId,
+        });
+      } catch (error) {
+        console.error("❌ Device removal error:", error);
+        res.status(500).json({
+          success: false,
+          error: "Failed to remove device",
+        });
+      }
+    }
+  );
+
+  // Message notification (for cache/stat updates), signed by the sender
+  app.post(
+    "/api/notify/message",
+    rateLimit("notifyMessage"),
+    requireUserProof("notify:message", (req) => req.body?.userPub),
+    (req, res) => {
+      try {
+        const { userPub, messageData, timestamp } = req.body || {};
+
+        if (!userPub || !messageData) {
+          return res.status(400).json({
+            success: false,
+            error: "userPub and messageData are required",
+          });
+        }
+        if (
+          messageData.senderPub !== undefined &&
+          messageData.senderPub !== userPub
+        ) {
+          return res.status(403).json({
+            success: false,
+            error: "Only the sender can notify a message",
+          });
+        }
+
+        const eventTimestamp = clampEventTimestamp(timestamp);
+
+        const recipientPub =
+          typeof messageData?.recipientPub === "string"
+            ? messageData.recipientPub
+            : null;
+        const senderPub =
+          typeof messageData?.senderPub === "string"
+            ? messageData.senderPub
+            : null;
+        const messageId =
+          typeof messageData?.messageId === "string"
+            ? messageData.messageId
+            : null;
+        const messagePreview =
+          typeof messageData?.messagePreview === "string"
+            ? messageData.messagePreview
+            : null;
+
+        // Private messages also feed the conversation cache
+        if (recipientPub && messageId) {
+          const conversationId = getConversationId(
+            senderPub || userPub,
+            recipientPub
+          );
+          const message = normalizePrivateMessage(
+            conversationId,
+            messageId,
+            {
+              timestamp: eventTimestamp,
+              ...messageData,
+              senderPub: userPub,
+              recipientPub,
+            },
+            { senderPub: userPub, recipientPub }
+          );
+          if (message) {
+            cachePrivateMessages([message], { fillMissing: true });
+          }
+        }
+
+        recordMessageActivity(
+          senderPub || userPub,
+          recipientPub,
+          isEncryptedMessage(messageData),
+          eventTimestamp
+        );
+
+        if (recipientPub) {
+          queueNotificationForUser(recipientPub, {
+            type: NOTIFICATION_TYPES.CACHE_UPDATED,
+            data: {
+              event: "message",
+              messageId,
+              senderPub: senderPub || userPub,
+              recipientPub,
+              messagePreview,
+              meta: {
+                contentLength: messageData.contentLength,
+              },
+            },
+            timestamp: eventTimestamp,
+          });
+        }
+
+        queueNotificationForUser(userPub, {
+          type: NOTIFICATION_TYPES.CACHE_UPDATED,
+          data: {
+            event: "message",
+            messageId,
+            senderPub: userPub,
+            recipientPub: recipientPub || senderPub,
+            messagePreview,
+            meta: {
+              contentLength: messageData.contentLength,
+            },
+          },
+          timestamp: eventTimestamp,
+        });
+
+        incrementProtocolStat("totalMessages");
+
+        queueNotificationForUser(userPub, {
+          type: NOTIFICATION_TYPES.STATS_UPDATED,
+          data: {
+            totalMessages: protocolStatsCache.totalMessages,
+            totalConversations: protocolStatsCache.totalConversations,
+            totalContacts: protocolStatsCache.totalContacts,
+            lastUpdated: protocolStatsCache.lastUpdated,
+          },
+        });
+
+        emitWebhookEvent("message.notified", {
+          messageId,
+          senderPub: senderPub || userPub,
+          recipientPub,
+          isEncrypted: isEncryptedMessage(messageData),
+          timestamp: eventTimestamp,
+        });
+
+        res.json({
+          success: true,
+          message: "Message notification queued",
+          timestamp: eventTimestamp,
+        });
+      } catch (error) {
+        console.error("❌ Message notification error:", error);
+        res.status(500).json({
+          success: false,
+          error: "Failed to queue message notification",
+        });
+      }
+    }
+  );
+
+  // Conversation notification (for cache/stat updates), signed by the user
+  // starting the conversation
+  app.post(
+    "/api/notify/conversation",
+    rateLimit("notifyConversation"),
+    requireUserProof("notify:conversation", (req) => req.body?.userPub),
+    (req, res) => {
+      try {
+        const { userPub, conversationData, timestamp } = req.body || {};
+
+        if (!userPub || !conversationData) {
+          return res.status(400).json({
+            success: false,
+            error: "userPub and conversationData are required",
+          });
+        }
+
+        const eventTimestamp = clampEventTimestamp(timestamp);
+
+        const contactPub =
+          typeof conversationData?.contactPub === "string"
+            ? conversationData.contactPub
+            : null;
+        const contactName =
+          typeof conversationData?.contactName === "string"
+            ? conversationData.contactName
+            : null;
+
+        recordConversationActivity(
+          userPub,
+          contactPub,
+          { started: 1 },
+          eventTimestamp
+        );
+        if (contactPub && contactPub !== userPub) {
+          recordConversationActivity(contactPub, userPub, {}, eventTimestamp);
+        }
+
+        if (contactPub && contactPub !== userPub) {
+          queueNotificationForUser(contactPub, {
+            type: NOTIFICATION_TYPES.CACHE_UPDATED,
+            data: {
+              event: "conversation",
+              initiatorPub: userPub,
+              contactPub,
+              contactName,
+            },
+            timestamp: eventTimestamp,
+          });
+        }
+
+        queueNotificationForUser(userPub, {
+          type: NOTIFICATION_TYPES.CACHE_UPDATED,
+          data: {
+            event: "conversation",
+            initiatorPub: userPub,
+            contactPub: contactPub || userPub,
+            contactName,
+          },
+          timestamp: eventTimestamp,
+        });
+
+        incrementProtocolStat("totalConversations");
+
+        queueNotificationForUser(userPub, {
+          type: NOTIFICATION_TYPES.STATS_UPDATED,
+          data: {
+            totalMessages: protocolStatsCache.totalMessages,
+            totalConversations: protocolStatsCache.totalConversations,
+            totalContacts: protocolStatsCache.totalContacts,
+            lastUpdated: protocolStatsCache.lastUpdated,
+          },
+        });
+
+        res.json({
+          success: true,
+          message: "Conversation notification queued",
+          timestamp: eventTimestamp,
+        });
+      } catch (error) {
+        console.error("❌ Conversation notification error:", error);
+        res.status(500).json({
+          success: false,
+          error: "Failed to queue conversation notification",
+        });
+      }
+    }
+  );
+
+  // Protocol statistics notification endpoint
+  app.post("/api/stats/notify", rateLimit("statsNotify"), (req, res) => {
+    try {
+      const { type, data, timestamp } = req.body;
+
+      console.log(
+        `📊 Protocol notification: ${type}`,
+        data ? `(${JSON.stringify(data).substring(0, 100)}...)` : ""
+      );
+
+      // Update cached statistics based on notification type
+      let statType = null;
+      switch (type) {
+        case "message":
+          statType = "totalMessages";
+          break;
+        case "group":
+          statType = "totalGroups";
+          break;
+        case "tokenRoom":
+          statType = "totalTokenRooms";
+          break;
+        case "publicRoom":
+          statType = "totalPublicRooms";
+          break;
+        case "conversation":
+          statType = "totalConversations";
+          break;
+        default:
+          console.log(`⚠️ Unknown notification type: ${type}`);
+          return res.status(400).json({
+            success: false,
+            error: `Unknown notification type: ${type}`,
+          });
+      }
+
+      incrementProtocolStat(statType);
+
+      emitWebhookEvent("stats.updated", {
+        type,
+        stat: statType,
+        value: protocolStatsCache[statType],
+        timestamp: typeof timestamp === "number" ? timestamp : Date.now(),
+      });
+
+      res.json({
+        success: true,
+        message: `Updated ${type} count`,
+        timestamp: Date.now(),
+      });
+    } catch (error) {
+      console.error("❌ Protocol notification error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to process notification",
+      });
+    }
+  });
+
+  // Get online status for specific user
+  app.get("/api/presence/:userPub", async (req, res) => {
+    try {
+      const { userPub } = req.params;
+      const { isOnline, deviceCount, lastActive } = await presenceStore.getUser(
+        userPub
+      );
+      res.json({
+        success: true,
+        userPub,
+        isOnline,
+        deviceCount,
+        lastActive,
+        timestamp: Date.now(),
+      });
+    } catch (error) {
+      console.error("❌ Presence error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch presence",
+      });
+    }
+  });
+
+  // ============================================================================
+  // MESSAGE CACHE API
+  // ============================================================================
+
+  // Messaggi di una room pubblica (con cache)
+  app.get("/api/room/:roomId", async (req, res) => {
+    try {
+      const { roomId } = req.params;
+      const limit = parsePageSize(req.query.limit);
+
+      let before = null;
+      if (req.query.before) {
+        before = decodeCursor(req.query.before);
+        if (!before) {
+          return res.status(400).json({
+            success: false,
+            error: "Invalid cursor",
+          });
+        }
+      }
+
+      let page = await getCachedRoomMessages(roomId, { limit, before });
+      let cached = true;
+
+      // Cache miss on the first page: load the room from GunDB once
+      if (page.messages.length === 0 && !before) {
+        cached = false;
+        await preloadRoomMessages(roomId);
+        page = await getCachedRoomMessages(roomId, { limit, before });
+      }
+      metrics.messageCacheRequests.inc({
+        cache: "room",
+        result: cached ? "hit" : "miss",
+      });
+
+      res.json({
+        success: true,
+        roomId,
+        cached,
+        messages: page.messages,
+        total: page.messages.length,
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor,
+      });
+    } catch (error) {
+      console.error("❌ Room messages error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch room messages",
+      });
+    }
+  });
+
+  // Pre-carica i messaggi di una room (admin only)
+  app.post("/api/room/:roomId/preload", requireAdmin, async (req, res) => {
+    try {
+      const { roomId } = req.params;
+      const preloaded = await preloadRoomMessages(roomId);
+
+      res.json({
+        success: true,
+        roomId,
+        preloaded,
+        timestamp: Date.now(),
+      });
+    } catch (error) {
+      console.error("❌ Room preload error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to preload room messages",
+      });
+    }
+  });
+
+  // Invalida cache di una room (admin only)
+  app.delete("/api/room/:roomId", requireAdmin, async (req, res) => {
+    try {
+      const { roomId } = req.params;
+      const removed = await invalidateRoomCache(roomId);
+
+      res.json({
+        success: true,
+        roomId,
+        removed,
+      });
+    } catch (error) {
+      console.error("❌ Room cache invalidation error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to invalidate room cache",
+      });
+    }
+  });
+
+  // Conversazione privata (con cache) + API legacy
+  app.get(
+    [
+      "/api/private-conversation/:user1/:user2",
+      "/api/conversation/:user1/:user2",
+    ],
+    requireConversationParticipant("conversation:read"),
+    async (req, res) => {
+      try {
+        const { user1, user2 } = req.params;
+        const limit = parsePageSize(req.query.limit);
+
+        let before = null;
+        if (req.query.before) {
+          before = decodeCursor(req.query.before);
+          if (!before) {
+            return res.status(400).json({
+              success: false,
+              error: "Invalid cursor",
+            });
+          }
+        }
+
+        const conversationId = getConversationId(user1, user2);
+        let page = await getCachedConversationMessages(conversationId, {
+          limit,
+          before,
+        });
+        let cached = true;
+
+        if (page.messages.length === 0 && !before) {
+          cached = false;
+          await preloadConversationMessages(user1, user2);
+          page = await getCachedConversationMessages(conversationId, {
+            limit,
+            before,
+          });
+        } else if (!isFollowingConversation(conversationId)) {
+          // Partially cached from notifications: complete it from GunDB in the
+          // background
+          preloadConversationMessages(user1, user2).catch((error) =>
+            console.error("❌ Conversation preload error:", error)
+          );
+        }
+        metrics.messageCacheRequests.inc({
+          cache: "conversation",
+          result: cached ? "hit" : "miss",
+        });
+
+        res.json({
+          success: true,
+          conversationId,
+          participants: [user1, user2].sort(),
+          cached,
+          messages: page.messages,
+          total: page.messages.length,
+          hasMore: page.hasMore,
+          nextCursor: page.nextCursor,
+        });
+      } catch (error) {
+        console.error("❌ Private conversation error:", error);
+        res.status(500).json({
+          success: false,
+          error: "Failed to fetch conversation",
+        });
+      }
+    }
+  );
+
+  // Invalida cache di una conversazione privata
+  app.delete(
+    [
+      "/api/private-conversation/:user1/:user2",
+      "/api/conversation/:user1/:user2",
+    ],
+    requireConversationParticipant("conversation:invalidate"),
+    async (req, res) => {
+      try {
+        const { user1, user2 } = req.params;
+        const removed = await invalidateConversationCache(user1, user2);
+
+        res.json({
+          success: true,
+          conversationId: getConversationId(user1, user2),
+          removed,
+        });
+      } catch (error) {
+        console.error("❌ Conversation cache invalidation error:", error);
+        res.status(500).json({
+          success: false,
+          error: "Failed to invalidate conversation cache",
+        });
+      }
+    }
+  );
+
+  // Ricerca full-text nei messaggi
+  app.get("/api/search/messages", rateLimit("search"), async (req, res) => {
+    try {
+      const { query, type = "all", roomId, senderPub } = req.query;
+
+      if (typeof query !== "string" || !query.trim()) {
+        return res.status(400).json({
+          success: false,
+          error: "query is required",
+        });
+      }
+
+      if (!["all", "private", "room"].includes(type)) {
+        return res.status(400).json({
+          success: false,
+          error: "type must be one of all, private, room",
+        });
+      }
+
+      const limit = Math.min(
+        parsePageSize(req.query.limit),
+        CONFIG.MAX_SEARCH_RESULTS
+      );
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+      const participantPub = await verifyRequestProof(req, "search:messages");
+      if (participantPub) {
+        const limited = consumeRateLimit("search", `pub:${participantPub}`);
+        if (!limited.allowed) {
+          return sendRateLimited(res, limited);
+        }
+      }
+      if (type === "private" && !participantPub) {
+        return res.status(401).json({
+          success: false,
+          error:
+            "A valid participant signature is required to search private messages",
+        });
+      }
+
+      const { results, total } = await searchMessages({
+        query,
+        type,
+        roomId: typeof roomId === "string" ? roomId : null,
+        senderPub: typeof senderPub === "string" ? senderPub : null,
+        from: parseTimestampParam(req.query.from),
+        to: parseTimestampParam(req.query.to),
+        participantPub,
+        limit,
+        offset,
+      });
+
+      res.json({
+        success: true,
+        query,
+        type,
+        results,
+        total,
+        limit,
+        offset,
+        hasMore: offset + results.length < total,
+        privateIncluded: Boolean(participantPub),
+      });
+    } catch (error) {
+      console.error("❌ Message search error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to search messages",
+      });
+    }
+  });
+
+  // ============================================================================
+  // USERNAME API
+  // ============================================================================
+
+  // Ricerca username per autocompletamento: risultati unici, ordinati per
+  // corrispondenza esatta/prefisso, somiglianza e attività recente, con
+  // paginazione a cursore e filtri (online, seenSince, hasEpub)
+  app.get("/api/search", rateLimit("search"), async (req, res) => {
+    try {
+      const query = typeof req.query.q === "string" ? req.query.q.trim() : "";
+      if (!query) {
+        return res.status(400).json({
+          success: false,
+          error: "q is required",
+        });
+      }
+
+      const limit = parseSearchLimit(req.query.limit);
+
+      let cursor = null;
+      if (req.query.cursor) {
+        cursor = decodeSearchCursor(req.query.cursor);
+        if (!cursor) {
+          return res.status(400).json({
+            success: false,
+            error: "Invalid cursor",
+          });
+        }
+      }
+
+      let seenSince = null;
+      if (req.query.seenSince !== undefined) {
+        seenSince = parseTimestampParam(req.query.seenSince);
+        if (seenSince === null) {
+          return res.status(400).json({
+            success: false,
+            error: "seenSince must be a timestamp in milliseconds",
+          });
+        }
+      }
+      const onlineOnly = req.query.online === "true";
+      const hasEpub = req.query.hasEpub === "true";
+
+      const now = cursor ? cursor.now : Date.now();
+      const candidates = rankUsernameCandidates(query, now);
+      let ranked = candidates.ranked.filter(
+        ({ userData }) =>
+          (seenSince === null || (userData.lastSeen || 0) >= seenSince) &&
+          (!hasEpub || Boolean(userData.epub))
+      );
+      if (cursor) {
+        ranked = ranked.filter((rank) => compareSearchRanks(rank, cursor) > 0);
+      }
+
+      // Presence is only looked up for every candidate when filtering on it
+      const presence = await presenceStore.getUsers(
+        Array.from(
+          new Set(
+            (onlineOnly ? ranked : ranked.slice(0, limit + 1)).map(
+              ({ userData }) => userData.userPub
+            )
+          )
+        )
+      );
+      if (onlineOnly) {
+        ranked = ranked.filter(
+          ({ userData }) => presence.get(userData.userPub).isOnline
+        );
+      }
+
+      const page = ranked.slice(0, limit);
+      const hasMore = ranked.length > limit;
+      res.json({
+        success: true,
+        query,
+        results: page.map(({ userData, score }) => ({
+          ...formatUsernameEntry(userData),
+          online: presence.get(userData.userPub).isOnline,
+          score: Math.round(score * 1000) / 1000,
+        })),
+        hasMore,
+        nextCursor: hasMore
+          ? encodeSearchCursor(now, page[page.length - 1])
+          : null,
+        truncated: candidates.truncated,
+      });
+    } catch (error) {
+      console.error("❌ Username search error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      });
+    }
+  });
+
+  // Ricerca username
+  app.get("/api/search/:username", rateLimit("search"), async (req, res) => {
+    try {
+      const { username } = req.params;
+      const limit = parseSearchLimit(req.query.limit);
+
+      console.log(`🔍 Searching for username: ${username}`);
+
+      let results = [];
+
+      // 1. Ricerca esatta per username
+      const exactMatch = usernameIndex.get(username.toLowerCase());
+      if (exactMatch) {
+        results.push(exactMatch);
+      }
+
+      // 2. Ricerca fuzzy con Fuse.js, senza ripetere la corrispondenza esatta
+      if (fuseIndex && results.length < limit) {
+        const fuseResults = fuseIndex
+          .search(username)
+          .map((r) => r.item)
+          .filter(
+            (item) => item.username.toLowerCase() !== username.toLowerCase()
+          );
+        const remaining = limit - results.length;
+        results = results.concat(fuseResults.slice(0, remaining));
+      }
+
+      if (results.length > 0) {
+        return res.json({
+          success: true,
+          found: true,
+          results: results.map(formatUsernameEntry),
+          total: results.length,
+        });
+      } else {
+        return res.status(404).json({
+          success: false,
+          found: false,
+          error: "User not found",
+        });
+      }
+    } catch (error) {
+      console.error("❌ Search error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      });
+    }
+  });
+
+  app.get("/", async (req, res) => {
+    res.send(`
+    <div>
+      <h1>Shogun Linda Relay</h1>
+      <p>This server provides username tracking, search functionality, and real-time notifications for Linda messaging.</p>
+      <p>Available endpoints:</p>
+      <ul>
+        <li>GET /api/health - Server health status</li>
+        <li>GET /api/search?q= - Username autocomplete with ranking and pagination</li>
+        <li>GET /api/search/:username - Search users by username</li>
+        <li>GET /api/search/pub/:pubKey - Search user by public key</li>
+        <li>GET /api/search/messages - Full-text search in cached messages</li>
+        <li>GET /api/users/:username - Check if username exists</li>
+        <li>GET /api/users/pub/:pubKey - Check if user exists by public key</li>
+        <li>POST /api/register - Register new user</li>
+        <li>GET /api/room/:roomId - Cached public room messages</li>
+        <li>POST /api/room/:roomId/preload - Preload a room from GunDB</li>
+        <li>DELETE /api/room/:roomId - Invalidate a room cache</li>
+        <li>GET /api/private-conversation/:user1/:user2 - Cached private conversation</li>
+        <li>DELETE /api/private-conversation/:user1/:user2 - Invalidate a conversation cache</li>
+        <li>GET|POST /api/webhooks - Manage outbound webhooks (admin)</li>
+        <li>GET /metrics - Prometheus metrics</li>
+      </ul>
+      <h3>Real-time Features:</h3>
+      <ul>
+        <li>Socket.IO notifications for new messages</li>
+        <li>Typing indicators</li>
+        <li>Read receipts</li>
+        <li>User presence tracking</li>
+      </ul>
+    </div>
+  `);
+  });
+
+  // Ricerca per public key
+  app.get("/api/search/pub/:pubKey", rateLimit("search"), async (req, res) => {
+    try {
+      const { pubKey } = req.params;
+
+      console.log(`🔍 Searching for public key: ${pubKey.substring(0, 16)}...`);
+
+      // Cerca nell'indice per public key, poi per chiave di cifratura (epub)
+      const userData =
+        usernameIndex.findByPub(pubKey) || usernameIndex.findByEpub(pubKey);
+      if (userData) {
+        return res.json({
+          success: true,
+          found: true,
+          results: [formatUsernameEntry(userData)],
+          total: 1,
+        });
+      }
+
+      return res.status(404).json({
+        success: false,
+        found: false,
+        error: "Public key not found",
+      });
+    } catch (error) {
+      console.error("❌ Pub key search error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      });
+    }
+  });
+
+  // Check if user exists by username
+  app.get("/api/users/:username", async (req, res) => {
+    try {
+      const { username } = req.params;
+
+      console.log(`🔍 Checking if username exists: ${username}`);
+
+      const userData = usernameIndex.get(username.toLowerCase());
+
+      if (userData) {
+        return res.json({
+          exists: true,
+          ...formatUsernameEntry(userData),
+        });
+      } else {
+        return res.status(404).json({
+          exists: false,
+          error: "User not found",
+        });
+      }
+    } catch (error) {
+      console.error("❌ User existence check error:", error);
+      return res.status(500).json({
+        exists: false,
+        error: "Internal server error",
+      });
+    }
+  });
+
+  // Check if user exists by pub key
+  app.get("/api/users/pub/:pubKey", async (req, res) => {
+    try {
+      const { pubKey } = req.params;
+
+      console.log(
+        `🔍 Checking if user exists by pub: ${pubKey.substring(0, 16)}...`
+      );
+
+      const foundUser = usernameIndex.findByPub(pubKey);
+
+      if (foundUser) {
+        return res.json({
+          exists: true,
+          ...formatUsernameEntry(foundUser),
+        });
+      } else {
+        return res.status(404).json({
+          exists: false,
+          error: "User not found",
+        });
+      }
+    } catch (error) {
+      console.error("❌ User existence check by pub error:", error);
+      return res.status(500).json({
+        exists: false,
+        error: "Internal server error",
+      });
+    }
+  });
+
+  // Profili di più utenti in una richiesta, per caricare la lista contatti.
+  // Body: { pubs: [...], usernames: [...] }. Le voci non trovate sono
+  // elencate in `missing`; con If-None-Match uguale all'ETag risponde 304.
+  app.post("/api/users/batch", rateLimit("usersBatch"), async (req, res) => {
+    try {
+      const { pubs = [], usernames = [] } = req.body || {};
+      const isStringList = (value) =>
+        Array.isArray(value) &&
+        value.every((item) => typeof item === "string" && item);
+      if (!isStringList(pubs) || !isStringList(usernames)) {
+        return res.status(400).json({
+          success: false,
+          error: "pubs and usernames must be arrays of non-empty strings",
+        });
+      }
+
+      const uniquePubs = Array.from(new Set(pubs));
+      const uniqueUsernames = Array.from(new Set(usernames));
+      if (
+        uniquePubs.length + uniqueUsernames.length >
+        CONFIG.MAX_BATCH_LOOKUP
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: `At most ${CONFIG.MAX_BATCH_LOOKUP} pubs and usernames per request`,
+        });
+      }
+
+      const byPub = uniquePubs.map((pub) => [
+        pub,
+        usernameIndex.findByPub(pub),
+      ]);
+      const byUsername = uniqueUsernames.map((username) => [
+        username,
+        usernameIndex.get(username.toLowerCase()),
+      ]);
+
+      const found = [...byPub, ...byUsername]
+        .map(([, userData]) => userData)
+        .filter(Boolean);
+      const presence = await presenceStore.getUsers(
+        Array.from(new Set(found.map((userData) => userData.userPub)))
+      );
+
+      const profiles = (entries) =>
+        Object.fromEntries(
+          entries
+            .filter(([, userData]) => userData)
+            .map(([query, userData]) => [
+              query,
+              {
+                ...formatUsernameEntry(userData),
+                online: presence.get(userData.userPub).isOnline,
+              },
+            ])
+        );
+      const missing = (entries) =>
+        entries.filter(([, userData]) => !userData).map(([query]) => query);
+
+      const body = JSON.stringify({
+        success: true,
+        pubs: profiles(byPub),
+        usernames: profiles(byUsername),
+        missing: { pubs: missing(byPub), usernames: missing(byUsername) },
+      });
+
+      // The response has no timestamp, so equal lookups hash the same
+      const etag = `"${crypto
+        .createHash("sha1")
+        .update(body)
+        .digest("base64url")}"`;
+      res.set("ETag", etag);
+      res.set("Cache-Control", "no-cache");
+      const ifNoneMatch = req.get("If-None-Match");
+      if (
+        ifNoneMatch &&
+        ifNoneMatch
+          .split(",")
+          .map((tag) => tag.trim().replace(/^W\//, ""))
+          .includes(etag)
+      ) {
+        return res.status(304).end();
+      }
+
+      res.type("application/json").send(body);
+    } catch (error) {
+      console.error("❌ Batch user lookup error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      });
+    }
+  });
+
+  // Newest first; `before` is the id of the last entry of the previous page
+  async function sendUsernameHistory(req, res, where, params, extra) {
+    const limit = parsePageSize(req.query.limit);
+    const parsedBefore = parseInt(req.query.before, 10);
+    const before = Number.isNaN(parsedBefore) ? null : parsedBefore;
+
+    const rows = await dbAll(
+      `SELECT * FROM username_history
+       WHERE (${where})${before !== null ? " AND id < ?" : ""}
+       ORDER BY id DESC LIMIT ?`,
+      [...params, ...(before !== null ? [before] : []), limit + 1]
+    );
+    const page = rows.slice(0, limit);
+    res.json({
+      success: true,
+      ...extra,
+      history: page.map(formatUsernameHistory),
+      hasMore: rows.length > limit,
+      nextBefore: rows.length > limit ? page[page.length - 1].id : null,
+    });
+  }
+
+  // Storico di uno username: bind, rinomine (da o verso il nome), cambi di
+  // epub e rilasci
+  app.get("/api/users/:username/history", async (req, res) => {
+    try {
+      const username = req.params.username.toLowerCase();
+      await sendUsernameHistory(
+        req,
+        res,
+        "username = ? OR previous_username = ?",
+        [username, username],
+        { username }
+      );
+    } catch (error) {
+      console.error("❌ Username history error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to load username history",
+      });
+    }
+  });
+
+  // Storico degli username legati a una chiave pubblica
+  app.get("/api/users/pub/:pubKey/history", async (req, res) => {
+    try {
+      const { pubKey } = req.params;
+      await sendUsernameHistory(
+        req,
+        res,
+        "user_pub = ? OR previous_pub = ?",
+        [pubKey, pubKey],
+        { pub: pubKey }
+      );
+    } catch (error) {
+      console.error("❌ Pub history error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to load username history",
+      });
+    }
+  });
+
+  // Registra nuovo utente o aggiorna username esistente.
+  // Il body deve contenere la firma SEA di { username, pub, timestamp, nonce }.
+  app.post("/api/register", rateLimit("register"), async (req, res) => {
+    try {
+      const { username, displayName, pub, timestamp, nonce, signature } =
+        req.body || {};
+
+      if (!username || !pub) {
+        return res.status(400).json({
+          success: false,
+          error: "Username and pub are required",
+        });
+      }
+
+      if (typeof nonce !== "string" || nonce.length < 8 || nonce.length > 128) {
+        return res.status(400).json({
+          success: false,
+          error: "A nonce of 8 to 128 characters is required",
+        });
+      }
+
+      const signed = await verifySeaSignature(signature, pub);
+      if (
+        !signed ||
+        typeof signed !== "object" ||
+        signed.username !== username ||
+        signed.pub !== pub ||
+        signed.timestamp !== timestamp ||
+        signed.nonce !== nonce
+      ) {
+        return res.status(401).json({
+          success: false,
+          error: "Invalid signature",
+        });
+      }
+
+      if (
+        typeof timestamp !== "number" ||
+        Math.abs(Date.now() - timestamp) > CONFIG.AUTH_MAX_CLOCK_SKEW_MS
+      ) {
+        return res.status(401).json({
+          success: false,
+          error: "Signature expired",
+        });
+      }
+
+      const limited = consumeRateLimit("register", `pub:${pub}`);
+      if (!limited.allowed) {
+        return sendRateLimited(res, limited);
+      }
+
+      if (!(await consumeNonce(nonce, pub))) {
+        return res.status(401).json({
+          success: false,
+          error: "Signature already used",
+        });
+      }
+
+      const rejection = checkUsernameClaim(username.toLowerCase(), pub, {
+        verified: true,
+      });
+      if (rejection) {
+        return res.status(rejection.status).json({
+          success: false,
+          error: rejection.error,
+        });
+      }
+
+      console.log(
+        `📝 Register/Update request: username="${username}" pub="${pub.substring(
+          0,
+          16
+        )}..."`
+      );
+
+      // **NEW: Check if user already exists with different username**
+      const oldUsername =
+        usernameIndex
+          .keysByPub(pub)
+          .find((key) => key !== username.toLowerCase()) || null;
+      if (oldUsername) {
+        console.log(
+          `📝 Found existing user with old username "${oldUsername}", updating to "${username}"`
+        );
+        unbindUsername(oldUsername);
+      }
+
+      // Get existing user data to preserve epub
+      let existingEpub = null;
+      const existingData = usernameIndex.get(username.toLowerCase());
+      if (existingData && existingData.userPub === pub) {
+        existingEpub = existingData.epub;
+      }
+
+      await addUsernameToIndex(
+        {
+          userId: pub,
+          username,
+          displayName: displayName || username,
+          pub,
+          userPub: pub,
+          epub: existingEpub,
+          lastSeen: Date.now(),
+        },
+        {
+          source: USERNAME_SOURCES.REST,
+          previousUsername: oldUsername,
+          verified: true,
+        }
+      );
+
+      res.json({
+        success: true,
+        message: oldUsername
+          ? `Username updated from "${oldUsername}" to "${username}"`
+          : "User registered successfully",
+      });
+    } catch (error) {
+      console.error("❌ Registration error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      });
+    }
+  });
+
+  // ============================================================================
+  // USERNAME OWNERSHIP API
+  // ============================================================================
+
+  // Rilascio di uno username da parte del proprietario. Il body deve
+  // contenere la firma SEA di { action: "release", username, pub, timestamp,
+  // nonce }
+  app.post(
+    "/api/users/:username/release",
+    rateLimit("register"),
+    async (req, res) => {
+      try {
+        const { username } = req.params;
+        const invalid = await checkSignedBody(req.body, {
+          action: "release",
+          username,
+        });
+        if (invalid) {
+          return res
+            .status(invalid.status)
+            .json({ success: false, error: invalid.error });
+        }
+
+        const key = username.toLowerCase();
+        const owner = usernameIndex.get(key);
+        if (!owner) {
+          return res.status(404).json({
+            success: false,
+            error: "User not found",
+          });
+        }
+        if (owner.userPub !== req.body.pub) {
+          return res.status(403).json({
+            success: false,
+            error: "Only the owner can release this username",
+          });
+        }
+
+        releaseUsername(key, { source: USERNAME_SOURCES.REST });
+        res.json({ success: true, username: key });
+      } catch (error) {
+        console.error("❌ Username release error:", error);
+        res.status(500).json({
+          success: false,
+          error: "Internal server error",
+        });
+      }
+    }
+  );
+
+  // Offerta di trasferimento al pub `to`, firmata dal proprietario su
+  // { action: "transfer", username, to, pub, timestamp, nonce }. Il nome
+  // passa di mano solo quando il destinatario accetta.
+  app.post(
+    "/api/users/:username/transfer",
+    rateLimit("register"),
+    async (req, res) => {
+      try {
+        const { username } = req.params;
+        const { pub, to } = req.body || {};
+        if (typeof to !== "string" || !to || to === pub) {
+          return res.status(400).json({
+            success: false,
+            error: "The recipient pub `to` is required",
+          });
+        }
+
+        const invalid = await checkSignedBody(req.body, {
+          action: "transfer",
+          username,
+          to,
+        });
+        if (invalid) {
+          return res
+            .status(invalid.status)
+            .json({ success: false, error: invalid.error });
+        }
+
+        const key = username.toLowerCase();
+        const owner = usernameIndex.get(key);
+        if (!owner) {
+          return res.status(404).json({
+            success: false,
+            error: "User not found",
+          });
+        }
+        if (owner.userPub !== pub) {
+          return res.status(403).json({
+            success: false,
+            error: "Only the owner can transfer this username",
+          });
+        }
+
+        const now = Date.now();
+        const expiresAt =
+          now + CONFIG.USERNAME_TRANSFER_TTL_HOURS * 60 * 60 * 1000;
+        await dbRun(
+          `INSERT OR REPLACE INTO username_transfers (username, from_pub, to_pub, created_at, expires_at)
+           VALUES (?, ?, ?, ?, ?)`,
+          [key, pub, to, now, expiresAt]
+        );
+
+        console.log(
+          `🤝 Transfer of ${owner.username} offered to ${to.substring(
+            0,
+            16
+          )}...`
+        );
+        res.json({
+          success: true,
+          transfer: { username: key, from: pub, to, expiresAt },
+        });
+      } catch (error) {
+        console.error("❌ Username transfer error:", error);
+        res.status(500).json({
+          success: false,
+          error: "Internal server error",
+        });
+      }
+    }
+  );
+
+  // Accettazione del trasferimento, firmata dal destinatario su
+  // { action: "accept_transfer", username, pub, timestamp, nonce }
+  app.post(
+    "/api/users/:username/transfer/accept",
+    rateLimit("register"),
+    async (req, res) => {
+      try {
+        const { username } = req.params;
+        const invalid = await checkSignedBody(req.body, {
+          action: "accept_transfer",
+          username,
+        });
+        if (invalid) {
+          return res
+            .status(invalid.status)
+            .json({ success: false, error: invalid.error });
+        }
+
+        const { pub } = req.body;
+        const key = username.toLowerCase();
+        const transfer = await dbGet(
+          "SELECT * FROM username_transfers WHERE username = ? AND to_pub = ? AND expires_at > ?",
+          [key, pub, Date.now()]
+        );
+        if (!transfer) {
+          return res.status(404).json({
+            success: false,
+            error: "No pending transfer of this username to this pub",
+          });
+        }
+
+        const owner = usernameIndex.get(key);
+        if (!owner || owner.userPub !== transfer.from_pub) {
+          await dbRun("DELETE FROM username_transfers WHERE username = ?", [
+            key,
+          ]);
+          return res.status(409).json({
+            success: false,
+            error: "The username changed owner after the transfer was offered",
+          });
+        }
+
+        const accepted = await addUsernameToIndex(
+          {
+            userId: pub,
+            username: owner.username,
+            displayName: owner.username,
+            pub,
+            userPub: pub,
+            epub: await findPublishedEpub(pub),
+            lastSeen: Date.now(),
+          },
+          {
+            source: USERNAME_SOURCES.REST,
+            verified: true,
+            override: true,
+            action: "transfer",
+          }
+        );
+        if (!accepted) {
+          return res.status(403).json({
+            success: false,
+            error: "Username is blocked",
+          });
+        }
+
+        res.json({ success: true, username: key, from: transfer.from_pub });
+      } catch (error) {
+        console.error("❌ Username transfer accept error:", error);
+        res.status(500).json({
+          success: false,
+          error: "Internal server error",
+        });
+      }
+    }
+  );
+
+  // Username rivendicati da più pub, con il proprietario attuale
+  app.get("/api/admin/usernames/disputes", requireAdmin, async (req, res) => {
+    try {
+      const rows = await dbAll(
+        "SELECT * FROM username_disputes ORDER BY username, first_seen"
+      );
+      const disputes = new Map();
+      rows.forEach((row) => {
+        if (!disputes.has(row.username)) {
+          const owner = usernameIndex.get(row.username);
+          disputes.set(row.username, {
+            username: row.username,
+            owner: owner ? owner.userPub : null,
+            verified: Boolean(owner && owner.verified),
+            claimants: [],
+          });
+        }
+        disputes.get(row.username).claimants.push({
+          pub: row.claimant_pub,
+          source: row.source,
+          firstSeen: row.first_seen,
+          lastSeen: row.last_seen,
+        });
+      });
+      res.json({ success: true, disputes: Array.from(disputes.values()) });
+    } catch (error) {
+      console.error("❌ Username disputes error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to list username disputes",
+      });
+    }
+  });
+
+  // Archivia le contestazioni lasciando il proprietario attuale
+  app.delete(
+    "/api/admin/usernames/:username/disputes",
+    requireAdmin,
+    async (req, res) => {
+      try {
+        const key = req.params.username.toLowerCase();
+        usernameDisputes.delete(key);
+        const { changes } = await dbRun(
+          "DELETE FROM username_disputes WHERE username = ?",
+          [key]
+        );
+        res.json({ success: true, username: key, dismissed: changes });
+      } catch (error) {
+        console.error("❌ Username dispute dismiss error:", error);
+        res.status(500).json({
+          success: false,
+          error: "Failed to dismiss username disputes",
+        });
+      }
+    }
+  );
 
-    console.log(
-      `📊 Protocol notification: ${type}`,
-      data ? `(${JSON.stringify(data).substring(0, 100)}...)` : ""
-    );
+  // Assegna uno username (anche riservato o già in uso) a un pub
+  app.post(
+    "/api/admin/usernames/:username/assign",
+    requireAdmin,
+    async (req, res) => {
+      try {
+        const { username } = req.params;
+        const { pub } = req.body || {};
+        if (typeof pub !== "string" || !pub) {
+          return res.status(400).json({
+            success: false,
+            error: "pub is required",
+          });
+        }
 
-    // Update cached statistics based on notification type
-    let statType = null;
-    switch (type) {
-      case "message":
-        protocolStatsCache.totalMessages++;
-        statType = "totalMessages";
-        break;
-      case "group":
-        protocolStatsCache.totalGroups++;
-        statType = "totalGroups";
-        break;
-      case "tokenRoom":
-        protocolStatsCache.totalTokenRooms++;
-        statType = "totalTokenRooms";
-        break;
-      case "publicRoom":
-        protocolStatsCache.totalPublicRooms++;
-        statType = "totalPublicRooms";
-        break;
-      case "conversation":
-        protocolStatsCache.totalConversations++;
-        statType = "totalConversations";
-        break;
-      default:
-        console.log(`⚠️ Unknown notification type: ${type}`);
-        return res.status(400).json({
+        const key = username.toLowerCase();
+        const owner = usernameIndex.get(key);
+        const assigned = await addUsernameToIndex(
+          {
+            userId: pub,
+            username,
+            displayName: username,
+            pub,
+            userPub: pub,
+            epub: await findPublishedEpub(pub),
+            lastSeen: Date.now(),
+          },
+          { source: USERNAME_SOURCES.ADMIN, verified: true, override: true }
+        );
+        if (!assigned) {
+          return res.status(403).json({
+            success: false,
+            error: "Username is blocked",
+          });
+        }
+
+        res.json({
+          success: true,
+          username: key,
+          pub,
+          previousPub: owner && owner.userPub !== pub ? owner.userPub : null,
+        });
+      } catch (error) {
+        console.error("❌ Username assign error:", error);
+        res.status(500).json({
           success: false,
-          error: `Unknown notification type: ${type}`,
+          error: "Failed to assign username",
         });
+      }
     }
+  );
 
-    // Save to database
-    if (statType) {
-      saveProtocolStatToDB(statType, protocolStatsCache[statType]);
+  // Rilascio forzato di uno username
+  app.post(
+    "/api/admin/usernames/:username/release",
+    requireAdmin,
+    async (req, res) => {
+      try {
+        const key = req.params.username.toLowerCase();
+        const owner = releaseUsername(key, { source: USERNAME_SOURCES.ADMIN });
+        if (!owner) {
+          return res.status(404).json({
+            success: false,
+            error: "User not found",
+          });
+        }
+        res.json({ success: true, username: key, previousPub: owner.userPub });
+      } catch (error) {
+        console.error("❌ Admin username release error:", error);
+        res.status(500).json({
+          success: false,
+          error: "Failed to release username",
+        });
+      }
     }
+  );
 
-    protocolStatsCache.lastUpdated = Date.now();
-
-    res.json({
-      success: true,
-      message: `Updated ${type} count`,
-      timestamp: Date.now(),
-    });
-  } catch (error) {
-    console.error("❌ Protocol notification error:", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to process notification",
-    });
-  }
-});
+  // ============================================================================
+  // WEBHOOK API
+  // ============================================================================
 
-// Get online status for specific user
-app.get("/api/presence/:userPub", (req, res) => {
-  const { userPub } = req.params;
-  res.json({
-    success: true,
-    userPub,
-    isOnline: isUserOnline(userPub),
-    timestamp: Date.now(),
+  // Elenco webhook registrati
+  app.get("/api/webhooks", requireAdmin, async (req, res) => {
+    try {
+      const rows = await dbAll("SELECT * FROM webhooks ORDER BY created_at");
+      res.json({
+        success: true,
+        webhooks: rows.map(formatWebhook),
+        events: WEBHOOK_EVENTS,
+      });
+    } catch (error) {
+      console.error("❌ Webhook list error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to list webhooks",
+      });
+    }
   });
-});
-
-// ============================================================================
-// USERNAME API
-// ============================================================================
 
-// Ricerca username
-app.get("/api/search/:username", async (req, res) => {
-  try {
-    const { username } = req.params;
-    const { limit = CONFIG.MAX_USERNAME_RESULTS } = req.query;
+  // Registra un webhook. Il secret (generato se assente) viene restituito solo qui.
+  app.post("/api/webhooks", requireAdmin, async (req, res) => {
+    try {
+      const { url, events, description } = req.body || {};
+      const secret = req.body?.secret || crypto.randomBytes(32).toString("hex");
 
-    console.log(`🔍 Searching for username: ${username}`);
+      if (!isValidWebhookUrl(url)) {
+        return res.status(400).json({
+          success: false,
+          error: "A valid http(s) url is required",
+        });
+      }
+      if (!isValidWebhookEvents(events)) {
+        return res.status(400).json({
+          success: false,
+          error: `events must be a non-empty list of: *, ${WEBHOOK_EVENTS.join(
+            ", "
+          )}`,
+        });
+      }
+      if (typeof secret !== "string" || secret.length < 16) {
+        return res.status(400).json({
+          success: false,
+          error: "secret must be at least 16 characters",
+        });
+      }
 
-    let results = [];
+      const id = crypto.randomBytes(12).toString("hex");
+      const now = Date.now();
+      await dbRun(
+        `INSERT INTO webhooks (id, url, secret, events, description, active, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, 1, ?, ?)`,
+        [id, url, secret, JSON.stringify(events), description || null, now, now]
+      );
 
-    // 1. Ricerca esatta per username
-    const exactMatch = usernameIndex.get(username.toLowerCase());
-    if (exactMatch) {
-      results.push(exactMatch);
+      const row = await dbGet("SELECT * FROM webhooks WHERE id = ?", [id]);
+      res.status(201).json({
+        success: true,
+        webhook: { ...formatWebhook(row), secret },
+      });
+    } catch (error) {
+      console.error("❌ Webhook create error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to create webhook",
+      });
     }
+  });
 
-    // 2. Ricerca fuzzy con Fuse.js
-    if (fuseIndex && results.length < limit) {
-      const fuseResults = fuseIndex.search(username);
-      const remaining = limit - results.length;
-      results = results.concat(
-        fuseResults.slice(0, remaining).map((r) => r.item)
-      );
-    }
+  // Dead letters: consegne che hanno esaurito i tentativi
+  app.get("/api/webhooks/dead-letters", requireAdmin, async (req, res) => {
+    try {
+      const { webhookId } = req.query;
+      const limit = parsePageSize(req.query.limit);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+      const params = [];
+      let where = "";
+      if (webhookId) {
+        where = "WHERE webhook_id = ?";
+        params.push(webhookId);
+      }
 
-    if (results.length > 0) {
-      return res.json({
+      const rows = await dbAll(
+        `SELECT * FROM webhook_dead_letters ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      res.json({
         success: true,
-        found: true,
-        results: results.map((r) => ({
-          username: r.username,
-          displayName: r.displayName,
-          pub: r.pub,
-          epub: r.epub,
-          lastSeen: r.lastSeen,
+        deadLetters: rows.map((row) => ({
+          id: row.id,
+          deliveryId: row.delivery_id,
+          webhookId: row.webhook_id,
+          event: row.event,
+          payload: JSON.parse(row.payload),
+          attempts: row.attempts,
+          lastStatusCode: row.last_status_code,
+          lastError: row.last_error,
+          failedAt: row.failed_at,
         })),
-        total: results.length,
       });
-    } else {
-      return res.status(404).json({
+    } catch (error) {
+      console.error("❌ Webhook dead letters error:", error);
+      res.status(500).json({
         success: false,
-        found: false,
-        error: "User not found",
+        error: "Failed to list dead letters",
       });
     }
-  } catch (error) {
-    console.error("❌ Search error:", error);
-    res.status(500).json({
-      success: false,
-      error: "Internal server error",
-    });
-  }
-});
-
-app.get("/", async (req, res) => {
-  res.send(`
-    <div>
-      <h1>Shogun Linda Relay</h1>
-      <p>This server provides username tracking, search functionality, and real-time notifications for Linda messaging.</p>
-      <p>Available endpoints:</p>
-      <ul>
-        <li>GET /api/health - Server health status</li>
-        <li>GET /api/search/:username - Search users by username</li>
-        <li>GET /api/search/pub/:pubKey - Search user by public key</li>
-        <li>GET /api/users/:username - Check if username exists</li>
-        <li>GET /api/users/pub/:pubKey - Check if user exists by public key</li>
-        <li>POST /api/register - Register new user</li>
-      </ul>
-      <h3>Real-time Features:</h3>
-      <ul>
-        <li>Socket.IO notifications for new messages</li>
-        <li>Typing indicators</li>
-        <li>Read receipts</li>
-        <li>User presence tracking</li>
-      </ul>
-    </div>
-  `);
-});
-
-// Ricerca per public key
-app.get("/api/search/pub/:pubKey", async (req, res) => {
-  try {
-    const { pubKey } = req.params;
+  });
 
-    console.log(`🔍 Searching for public key: ${pubKey.substring(0, 16)}...`);
+  // Rimette in coda una consegna fallita, con i tentativi azzerati
+  app.post(
+    "/api/webhooks/dead-letters/:id/retry",
+    requireAdmin,
+    async (req, res) => {
+      try {
+        const deadLetter = await dbGet(
+          "SELECT * FROM webhook_dead_letters WHERE id = ?",
+          [req.params.id]
+        );
+        if (!deadLetter) {
+          return res.status(404).json({
+            success: false,
+            error: "Dead letter not found",
+          });
+        }
 
-    // Cerca nell'indice per public key
-    for (const [username, userData] of usernameIndex.entries()) {
-      if (userData.pub === pubKey) {
-        return res.json({
-          success: true,
-          found: true,
-          results: [
-            {
-              username: userData.username,
-              displayName: userData.displayName,
-              pub: userData.pub,
-              epub: userData.epub,
-              lastSeen: userData.lastSeen,
-            },
-          ],
-          total: 1,
+        const now = Date.now();
+        await dbRun(
+          `UPDATE webhook_deliveries
+         SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = ?
+         WHERE id = ?`,
+          [now, now, deadLetter.delivery_id]
+        );
+        await dbRun("DELETE FROM webhook_dead_letters WHERE id = ?", [
+          deadLetter.id,
+        ]);
+        setImmediate(processWebhookDeliveries);
+
+        res.json({ success: true, deliveryId: deadLetter.delivery_id });
+      } catch (error) {
+        console.error("❌ Webhook retry error:", error);
+        res.status(500).json({
+          success: false,
+          error: "Failed to retry delivery",
         });
       }
     }
+  );
 
-    return res.status(404).json({
-      success: false,
-      found: false,
-      error: "Public key not found",
-    });
-  } catch (error) {
-    console.error("❌ Pub key search error:", error);
-    res.status(500).json({
-      success: false,
-      error: "Internal server error",
-    });
-  }
-});
+  app.get("/api/webhooks/:id", requireAdmin, async (req, res) => {
+    try {
+      const row = await dbGet("SELECT * FROM webhooks WHERE id = ?", [
+        req.params.id,
+      ]);
+      if (!row) {
+        return res.status(404).json({
+          success: false,
+          error: "Webhook not found",
+        });
+      }
+      res.json({ success: true, webhook: formatWebhook(row) });
+    } catch (error) {
+      console.error("❌ Webhook fetch error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch webhook",
+      });
+    }
+  });
 
-// Check if user exists by username
-app.get("/api/users/:username", async (req, res) => {
-  try {
-    const { username } = req.params;
+  // Aggiorna url, eventi, descrizione, stato o secret
+  app.patch("/api/webhooks/:id", requireAdmin, async (req, res) => {
+    try {
+      const row = await dbGet("SELECT * FROM webhooks WHERE id = ?", [
+        req.params.id,
+      ]);
+      if (!row) {
+        return res.status(404).json({
+          success: false,
+          error: "Webhook not found",
+        });
+      }
 
-    console.log(`🔍 Checking if username exists: ${username}`);
+      const { url, events, description, active, secret } = req.body || {};
+      if (url !== undefined && !isValidWebhookUrl(url)) {
+        return res.status(400).json({
+          success: false,
+          error: "A valid http(s) url is required",
+        });
+      }
+      if (events !== undefined && !isValidWebhookEvents(events)) {
+        return res.status(400).json({
+          success: false,
+          error: `events must be a non-empty list of: *, ${WEBHOOK_EVENTS.join(
+            ", "
+          )}`,
+        });
+      }
+      if (active !== undefined && typeof active !== "boolean") {
+        return res.status(400).json({
+          success: false,
+          error: "active must be a boolean",
+        });
+      }
+      if (
+        secret !== undefined &&
+        (typeof secret !== "string" || secret.length < 16)
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: "secret must be at least 16 characters",
+        });
+      }
 
-    const userData = usernameIndex.get(username.toLowerCase());
+      await dbRun(
+        `UPDATE webhooks
+       SET url = ?, events = ?, description = ?, active = ?, secret = ?, updated_at = ?
+       WHERE id = ?`,
+        [
+          url ?? row.url,
+          events !== undefined ? JSON.stringify(events) : row.events,
+          description !== undefined ? description : row.description,
+          active !== undefined ? (active ? 1 : 0) : row.active,
+          secret ?? row.secret,
+          Date.now(),
+          row.id,
+        ]
+      );
 
-    if (userData) {
-      return res.json({
-        exists: true,
-        username: userData.username,
-        displayName: userData.displayName,
-        pub: userData.pub,
-        epub: userData.epub,
-        lastSeen: userData.lastSeen,
+      const updated = await dbGet("SELECT * FROM webhooks WHERE id = ?", [
+        row.id,
+      ]);
+      res.json({ success: true, webhook: formatWebhook(updated) });
+    } catch (error) {
+      console.error("❌ Webhook update error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to update webhook",
       });
-    } else {
-      return res.status(404).json({
-        exists: false,
-        error: "User not found",
+    }
+  });
+
+  // Elimina il webhook insieme al suo log di consegne
+  app.delete("/api/webhooks/:id", requireAdmin, async (req, res) => {
+    try {
+      const { changes } = await dbRun("DELETE FROM webhooks WHERE id = ?", [
+        req.params.id,
+      ]);
+      if (changes === 0) {
+        return res.status(404).json({
+          success: false,
+          error: "Webhook not found",
+        });
+      }
+
+      await dbRun("DELETE FROM webhook_deliveries WHERE webhook_id = ?", [
+        req.params.id,
+      ]);
+      await dbRun("DELETE FROM webhook_dead_letters WHERE webhook_id = ?", [
+        req.params.id,
+      ]);
+      res.json({ success: true });
+    } catch (error) {
+      console.error("❌ Webhook delete error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to delete webhook",
       });
     }
-  } catch (error) {
-    console.error("❌ User existence check error:", error);
-    return res.status(500).json({
-      exists: false,
-      error: "Internal server error",
-    });
-  }
-});
+  });
 
-// Check if user exists by pub key
-app.get("/api/users/pub/:pubKey", async (req, res) => {
-  try {
-    const { pubKey } = req.params;
+  // Log delle consegne, dalla più recente (filtrabile per status ed evento)
+  app.get("/api/webhooks/:id/deliveries", requireAdmin, async (req, res) => {
+    try {
+      const { status, event } = req.query;
+      const limit = parsePageSize(req.query.limit);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
 
-    console.log(
-      `🔍 Checking if user exists by pub: ${pubKey.substring(0, 16)}...`
-    );
+      if (status && !WEBHOOK_DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `status must be one of: ${WEBHOOK_DELIVERY_STATUSES.join(
+            ", "
+          )}`,
+        });
+      }
 
-    // Search through all users to find one with matching pub
-    let foundUser = null;
-    for (const [username, userData] of usernameIndex.entries()) {
-      if (userData.userPub === pubKey || userData.pub === pubKey) {
-        foundUser = userData;
-        break;
+      const params = [req.params.id];
+      let filters = "";
+      if (status) {
+        filters += " AND status = ?";
+        params.push(status);
+      }
+      if (event) {
+        filters += " AND event = ?";
+        params.push(event);
       }
-    }
 
-    if (foundUser) {
-      return res.json({
-        exists: true,
-        username: foundUser.username,
-        displayName: foundUser.displayName,
-        pub: foundUser.pub,
-        epub: foundUser.epub,
-        lastSeen: foundUser.lastSeen,
+      const rows = await dbAll(
+        `SELECT * FROM webhook_deliveries
+       WHERE webhook_id = ?${filters}
+       ORDER BY id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      res.json({
+        success: true,
+        deliveries: rows.map(formatWebhookDelivery),
       });
-    } else {
-      return res.status(404).json({
-        exists: false,
-        error: "User not found",
+    } catch (error) {
+      console.error("❌ Webhook deliveries error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to list deliveries",
       });
     }
-  } catch (error) {
-    console.error("❌ User existence check by pub error:", error);
-    return res.status(500).json({
-      exists: false,
-      error: "Internal server error",
-    });
-  }
-});
+  });
 
-// Registra nuovo utente o aggiorna username esistente
-app.post("/api/register", async (req, res) => {
-  try {
-    const { username, displayName, pub } = req.body;
+  // ============================================================================
+  // SERVER STARTUP
+  // ============================================================================
 
-    if (!username || !pub) {
-      return res.status(400).json({
-        success: false,
-        error: "Username and pub are required",
-      });
-    }
+  // Intervals and delayed jobs cleared by stop()
+  const backgroundTimers = [];
+
+  async function start() {
+    await initDatabase();
 
+    await sharedState.start();
+    if (sharedState.adapter) {
+      io.adapter(sharedState.adapter);
+    }
     console.log(
-      `📝 Register/Update request: username="${username}" pub="${pub.substring(
-        0,
-        16
-      )}..."`
+      `🔗 Shared state: ${sharedState.backend} (instance ${sharedState.instanceId})`
     );
 
-    // **NEW: Check if user already exists with different username**
-    let oldUsername = null;
-    for (const [key, userData] of usernameIndex.entries()) {
-      if (userData.userPub === pub && key !== username.toLowerCase()) {
-        oldUsername = key;
-        console.log(
-          `📝 Found existing user with old username "${oldUsername}", updating to "${username}"`
-        );
-        usernameIndex.delete(oldUsername);
-        break;
-      }
+    // Initialize Shogun Core with same config as client
+    if (!gun && !(await initializeGun())) {
+      throw new Error("Failed to initialize Gun");
     }
 
-    // Get existing user data to preserve epub
-    let existingEpub = null;
-    const existingData = usernameIndex.get(username.toLowerCase());
-    if (existingData && existingData.userPub === pub) {
-      existingEpub = existingData.epub;
-    }
+    await syncWithGunDB();
 
-    await addUsernameToIndex({
-      userId: pub,
-      username,
-      displayName: displayName || username,
-      pub,
-      userPub: pub,
-      epub: existingEpub,
-      lastSeen: Date.now(),
-    });
+    // Periodic save of protocol stats to database (every 5 minutes)
+    backgroundTimers.push(
+      setInterval(() => {
+        console.log("💾 Periodic save of protocol stats to database");
+        saveAllProtocolStatsToDB();
+      }, 5 * 60 * 1000)
+    );
 
-    res.json({
-      success: true,
-      message: oldUsername
-        ? `Username updated from "${oldUsername}" to "${username}"`
-        : "User registered successfully",
-    });
-  } catch (error) {
-    console.error("❌ Registration error:", error);
-    res.status(500).json({
-      success: false,
-      error: "Internal server error",
+    // Forget idle rate limit buckets (every minute)
+    backgroundTimers.push(setInterval(pruneRateLimitBuckets, 60 * 1000));
+
+    // Send due webhook deliveries, including retries and expired leases
+    backgroundTimers.push(
+      setInterval(processWebhookDeliveries, CONFIG.WEBHOOK_POLL_INTERVAL_MS)
+    );
+
+    // Periodic cleanup of the message cache, expired nonces, notifications,
+    // old webhook deliveries and hourly stat buckets
+    backgroundTimers.push(
+      setInterval(() => {
+        pruneMessageCache();
+        pruneExpiredNonces();
+        pruneExpiredNotifications();
+        pruneWebhookDeliveries();
+        rollupProtocolStatsHistory();
+        presenceStore
+          .prune()
+          .catch((error) => console.error("❌ Presence prune error:", error));
+      }, CONFIG.CLEANUP_INTERVAL_MINUTES * 60 * 1000)
+    );
+
+    await new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(CONFIG.PORT, () => {
+        server.off("error", reject);
+        resolve();
+      });
     });
+
+    console.log(
+      `🚀 Linda Username Server ${SERVER_VERSION} running on port ${
+        server.address().port
+      }`
+    );
+    console.log(`📊 Username index: ${usernameIndex.size} entries`);
+    console.log(`📊 Protocol stats: ${JSON.stringify(protocolStatsCache)}`);
+    console.log(`🔌 Socket.IO server ready for real-time notifications`);
+    console.log(`🔧 Config:`, redactConfig(CONFIG));
   }
-});
 
-// ============================================================================
-// SERVER STARTUP
-// ============================================================================
+  async function stop() {
+    stopped = true;
+    backgroundTimers.forEach((timer) => clearInterval(timer));
+    backgroundTimers.length = 0;
+
+    // Stop following Gun and give up on reads still waiting for it
+    gunListeners.forEach(detachGunListener);
+    gunListeners.clear();
+    conversationListeners.forEach(detachGunListener);
+    conversationListeners.clear();
+    Array.from(gunReadTimers.values()).forEach((settle) => settle());
+    // Let the sync steps woken by those reads queue their index writes
+    await new Promise((resolve) => setImmediate(resolve));
+
+    // Disconnect clients and close the HTTP server
+    await new Promise((resolve) => io.close(() => resolve()));
+    server.closeAllConnections();
+
+    // Write pending username updates, after any flush already running, and
+    // final protocol stats
+    await transactionQueue;
+    await flushIndexWrites();
+    console.log("💾 Saving final protocol stats to database...");
+    await saveAllProtocolStatsToDB();
+
+    // Release this instance's sockets in the shared presence tables
+    try {
+      await sharedState.stop();
+    } catch (error) {
+      console.error("❌ Shared state shutdown error:", error);
+    }
 
-async function startServer() {
-  try {
-    await initDatabase();
+    if (ownsGun) {
+      closeGun();
+      console.log("✅ GunDB peers closed");
+    }
 
-    // Initialize Shogun Core with same config as client
-    const gunInitialized = await initializeGun();
-    if (!gunInitialized) {
-      console.error("❌ Failed to initialize Gun, exiting...");
-      process.exit(1);
+    if (!database) {
+      await new Promise((resolve, reject) =>
+        db.close((err) => (err ? reject(err) : resolve()))
+      );
+      console.log("✅ Database connection closed");
     }
+  }
 
-    await syncWithGunDB();
+  return {
+    app,
+    io,
+    server,
+    db,
+    config: CONFIG,
+    get gun() {
+      return gun;
+    },
+    start,
+    stop,
+  };
+}
 
-    // Periodic save of protocol stats to database (every 5 minutes)
-    setInterval(() => {
-      console.log("💾 Periodic save of protocol stats to database");
-      saveProtocolStatToDB("totalMessages", protocolStatsCache.totalMessages);
-      saveProtocolStatToDB("totalGroups", protocolStatsCache.totalGroups);
-      saveProtocolStatToDB(
-        "totalTokenRooms",
-        protocolStatsCache.totalTokenRooms
-      );
-      saveProtocolStatToDB(
-        "totalPublicRooms",
-        protocolStatsCache.totalPublicRooms
-      );
-      saveProtocolStatToDB(
-        "totalConversations",
-        protocolStatsCache.totalConversations
-      );
-    }, 5 * 60 * 1000); // 5 minutes
+module.exports = { createRelay };
 
-    server.listen(PORT, () => {
-      console.log(
-        `🚀 Linda Username Server ${SERVER_VERSION} running on port ${PORT}`
-      );
-      console.log(`📊 Username index: ${usernameIndex.size} entries`);
-      console.log(`📊 Protocol stats: ${JSON.stringify(protocolStatsCache)}`);
-      console.log(`🔌 Socket.IO server ready for real-time notifications`);
-      console.log(`🔧 Config:`, CONFIG);
-    });
+if (require.main === module) {
+  let relay;
+  try {
+    relay = createRelay();
   } catch (error) {
-    console.error("❌ Failed to start server:", error);
+    console.error(`❌ ${error.message}`);
     process.exit(1);
   }
-}
 
-// Graceful shutdown
-process.on("SIGINT", () => {
-  console.log("🛑 Shutting down username server...");
-
-  // Save final protocol stats before shutdown
-  console.log("💾 Saving final protocol stats to database...");
-  saveProtocolStatToDB("totalMessages", protocolStatsCache.totalMessages);
-  saveProtocolStatToDB("totalGroups", protocolStatsCache.totalGroups);
-  saveProtocolStatToDB("totalTokenRooms", protocolStatsCache.totalTokenRooms);
-  saveProtocolStatToDB("totalPublicRooms", protocolStatsCache.totalPublicRooms);
-  saveProtocolStatToDB(
-    "totalConversations",
-    protocolStatsCache.totalConversations
-  );
+  relay.start().catch((error) => {
+    console.error("❌ Failed to start server:", error);
+    process.exit(1);
+  });
 
-  // Wait a moment for database writes to complete
-  setTimeout(() => {
-    db.close((err) => {
-      if (err) {
-        console.error("❌ Error closing database:", err);
-      } else {
-        console.log("✅ Database connection closed");
+  // Graceful shutdown
+  process.on("SIGINT", () => {
+    console.log("🛑 Shutting down username server...");
+    relay.stop().then(
+      () => process.exit(0),
+      (error) => {
+        console.error("❌ Error during shutdown:", error);
+        process.exit(1);
       }
-      process.exit(0);
-    });
-  }, 1000);
-});
-
-startServer().catch(console.error);
+    );
+  });
+}
@@ -0,0 +1,813 @@
+const crypto = require("crypto");
+const { ClusterAdapterWithHeartbeat } = require("socket.io-adapter");
+
+// ============================================================================
+// SHARED STATE BACKENDS
+// ============================================================================
+//
+// Presence (online users, room members) and Socket.IO fan-out live behind a
+// backend so several relay instances can share them:
+//
+// - "memory": process-local Maps, the default for a single instance
+// - "sqlite": tables in the shared SQLite database plus a Socket.IO adapter
+//   that relays broadcasts between instances through a message table
+//
+// Every presence method is async so both backends share one interface.
+
+const SHARED_STATE_BACKENDS = ["memory", "sqlite"];
+
+// Offline entries are kept this long so presence can report lastActive
+const PRESENCE_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+  heartbeatIntervalMs: 5000,
+  heartbeatTimeoutMs: 15000,
+  pollIntervalMs: 100,
+  messageRetentionMs: 60 * 1000,
+};
+
+function roomSnapshot(roomId, roomType, userPubs, lastSeen) {
+  return {
+    roomId,
+    roomType,
+    userPubs,
+    onlineCount: userPubs.length,
+    lastSeen,
+  };
+}
+
+// ============================================================================
+// IN-MEMORY PRESENCE
+// ============================================================================
+
+function createMemoryPresenceStore() {
+  const users = new Map(); // userPub -> { sockets: Map<socketId, deviceId>, lastActive }
+  const rooms = new Map(); // roomId -> { roomType, members: Map<socketId, { userPub, away }>, lastSeen: Map<userPub, timestamp> }
+
+  function roomUsers(room) {
+    const userPubs = new Set();
+    for (const member of room.members.values()) {
+      if (!member.away) userPubs.add(member.userPub);
+    }
+    return userPubs;
+  }
+
+  function snapshot(roomId, room) {
+    return roomSnapshot(
+      roomId,
+      room.roomType,
+      Array.from(roomUsers(room)),
+      Object.fromEntries(room.lastSeen)
+    );
+  }
+
+  return {
+    async addSocket(userPub, socketId, deviceId) {
+      let presence = users.get(userPub);
+      if (!presence) {
+        presence = { sockets: new Map(), lastActive: Date.now() };
+        users.set(userPub, presence);
+      }
+
+      const wasOnline = presence.sockets.size > 0;
+      presence.sockets.set(socketId, deviceId);
+      presence.lastActive = Date.now();
+      return !wasOnline;
+    },
+
+    async removeSocket(userPub, socketId) {
+      const now = Date.now();
+      const changedRooms = [];
+      for (const [roomId, room] of rooms.entries()) {
+        if (!room.members.has(socketId)) continue;
+
+        const wasPresent = roomUsers(room).has(userPub);
+        room.members.delete(socketId);
+        if (wasPresent && !roomUsers(room).has(userPub)) {
+          room.lastSeen.set(userPub, now);
+          changedRooms.push(snapshot(roomId, room));
+        }
+      }
+
+      const presence = users.get(userPub);
+      if (!presence || !presence.sockets.delete(socketId)) {
+        return { wentOffline: false, rooms: changedRooms };
+      }
+
+      presence.lastActive = now;
+      return { wentOffline: presence.sockets.size === 0, rooms: changedRooms };
+    },
+
+    async touch(userPub) {
+      const presence = users.get(userPub);
+      if (presence && presence.sockets.size > 0) {
+        presence.lastActive = Date.now();
+      }
+    },
+
+    async getUser(userPub) {
+      const presence = users.get(userPub);
+      if (!presence) {
+        return { isOnline: false, deviceCount: 0, lastActive: null };
+      }
+
+      return {
+        isOnline: presence.sockets.size > 0,
+        deviceCount: new Set(presence.sockets.values()).size,
+        lastActive: presence.lastActive,
+      };
+    },
+
+    // Map of userPub -> getUser() result for each of `userPubs`
+    async getUsers(userPubs) {
+      const result = new Map();
+      for (const userPub of userPubs) {
+        result.set(userPub, await this.getUser(userPub));
+      }
+      return result;
+    },
+
+    async countOnline() {
+      let count = 0;
+      for (const presence of users.values()) {
+        if (presence.sockets.size > 0) count++;
+      }
+      return count;
+    },
+
+    async stats() {
+      let activeRooms = 0;
+      let roomMembers = 0;
+      for (const room of rooms.values()) {
+        if (room.members.size > 0) activeRooms++;
+        roomMembers += roomUsers(room).size;
+      }
+      return {
+        onlineUsers: await this.countOnline(),
+        rooms: activeRooms,
+        roomMembers,
+      };
+    },
+
+    async joinRoom(roomId, roomType, userPub, socketId) {
+      if (!rooms.has(roomId)) {
+        rooms.set(roomId, {
+          roomType,
+          members: new Map(),
+          lastSeen: new Map(),
+        });
+      }
+
+      const room = rooms.get(roomId);
+      room.members.set(socketId, { userPub, away: false });
+      room.lastSeen.set(userPub, Date.now());
+      return snapshot(roomId, room);
+    },
+
+    async leaveRoom(roomId, userPub, socketId) {
+      const room = rooms.get(roomId);
+      if (!room) return null;
+
+      room.members.delete(socketId);
+      room.lastSeen.set(userPub, Date.now());
+      return snapshot(roomId, room);
+    },
+
+    async setRoomStatus(roomId, userPub, socketId, status) {
+      const room = rooms.get(roomId);
+      if (!room) return null;
+
+      if (status === "online") {
+        room.members.set(socketId, { userPub, away: false });
+      }
+      if (status === "online" || status === "offline") {
+        for (const member of room.members.values()) {
+          if (member.userPub === userPub) member.away = status === "offline";
+        }
+      }
+      room.lastSeen.set(userPub, Date.now());
+      return snapshot(roomId, room);
+    },
+
+    async prune() {
+      const cutoff = Date.now() - PRESENCE_RETENTION_MS;
+      for (const [userPub, presence] of users.entries()) {
+        if (presence.sockets.size === 0 && presence.lastActive < cutoff) {
+          users.delete(userPub);
+        }
+      }
+      for (const [roomId, room] of rooms.entries()) {
+        if (room.members.size > 0) continue;
+        const lastSeen = Math.max(0, ...room.lastSeen.values());
+        if (lastSeen < cutoff) rooms.delete(roomId);
+      }
+    },
+  };
+}
+
+// ============================================================================
+// SQLITE PRESENCE
+// ============================================================================
+
+function promisifyDb(db) {
+  return {
+    run: (sql, params = []) =>
+      new Promise((resolve, reject) => {
+        db.run(sql, params, function (err) {
+          if (err) reject(err);
+          else resolve(this);
+        });
+      }),
+    get: (sql, params = []) =>
+      new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+      }),
+    all: (sql, params = []) =>
+      new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+      }),
+  };
+}
+
+async function initSharedStateTables(sql) {
+  await sql.run("PRAGMA journal_mode = WAL");
+  await sql.run(`
+    CREATE TABLE IF NOT EXISTS relay_instances (
+      instance_id TEXT PRIMARY KEY,
+      started_at INTEGER NOT NULL,
+      last_heartbeat INTEGER NOT NULL
+    )
+  `);
+  await sql.run(`
+    CREATE TABLE IF NOT EXISTS presence_sockets (
+      socket_id TEXT PRIMARY KEY,
+      instance_id TEXT NOT NULL,
+      user_pub TEXT NOT NULL,
+      device_id TEXT NOT NULL,
+      connected_at INTEGER NOT NULL
+    )
+  `);
+  await sql.run(`
+    CREATE TABLE IF NOT EXISTS presence_users (
+      user_pub TEXT PRIMARY KEY,
+      last_active INTEGER NOT NULL
+    )
+  `);
+  await sql.run(`
+    CREATE TABLE IF NOT EXISTS presence_rooms (
+      room_id TEXT PRIMARY KEY,
+      room_type TEXT
+    )
+  `);
+  await sql.run(`
+    CREATE TABLE IF NOT EXISTS presence_room_members (
+      room_id TEXT NOT NULL,
+      socket_id TEXT NOT NULL,
+      instance_id TEXT NOT NULL,
+      user_pub TEXT NOT NULL,
+      away INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (room_id, socket_id)
+    )
+  `);
+  await sql.run(`
+    CREATE TABLE IF NOT EXISTS presence_room_last_seen (
+      room_id TEXT NOT NULL,
+      user_pub TEXT NOT NULL,
+      last_seen INTEGER NOT NULL,
+      PRIMARY KEY (room_id, user_pub)
+    )
+  `);
+  await sql.run(`
+    CREATE TABLE IF NOT EXISTS cluster_messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      nsp TEXT NOT NULL,
+      sender_uid TEXT NOT NULL,
+      target_uid TEXT,
+      kind TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      created_at INTEGER NOT NULL
+    )
+  `);
+  await sql.run(
+    "CREATE INDEX IF NOT EXISTS idx_presence_sockets_user ON presence_sockets(user_pub)"
+  );
+  await sql.run(
+    "CREATE INDEX IF NOT EXISTS idx_presence_room_members_user ON presence_room_members(user_pub, room_id)"
+  );
+  await sql.run(
+    "CREATE INDEX IF NOT EXISTS idx_cluster_messages_created ON cluster_messages(created_at)"
+  );
+}
+
+function createSqlitePresenceStore(sql, instanceId, options) {
+  async function roomUsers(roomId) {
+    const rows = await sql.all(
+      "SELECT DISTINCT user_pub FROM presence_room_members WHERE room_id = ? AND away = 0",
+      [roomId]
+    );
+    return rows.map((row) => row.user_pub);
+  }
+
+  async function snapshot(roomId) {
+    const room = await sql.get(
+      "SELECT room_type FROM presence_rooms WHERE room_id = ?",
+      [roomId]
+    );
+    if (!room) return null;
+
+    const lastSeenRows = await sql.all(
+      "SELECT user_pub, last_seen FROM presence_room_last_seen WHERE room_id = ?",
+      [roomId]
+    );
+    const lastSeen = {};
+    lastSeenRows.forEach((row) => {
+      lastSeen[row.user_pub] = row.last_seen;
+    });
+
+    return roomSnapshot(
+      roomId,
+      room.room_type,
+      await roomUsers(roomId),
+      lastSeen
+    );
+  }
+
+  function touchRoom(roomId, userPub, timestamp) {
+    return sql.run(
+      `INSERT INTO presence_room_last_seen (room_id, user_pub, last_seen)
+       VALUES (?, ?, ?)
+       ON CONFLICT(room_id, user_pub) DO UPDATE SET last_seen = excluded.last_seen`,
+      [roomId, userPub, timestamp]
+    );
+  }
+
+  function touchUser(userPub, timestamp) {
+    return sql.run(
+      `INSERT INTO presence_users (user_pub, last_active) VALUES (?, ?)
+       ON CONFLICT(user_pub) DO UPDATE SET last_active = excluded.last_active`,
+      [userPub, timestamp]
+    );
+  }
+
+  async function socketCount(userPub) {
+    const row = await sql.get(
+      "SELECT COUNT(*) AS count FROM presence_sockets WHERE user_pub = ?",
+      [userPub]
+    );
+    return row.count;
+  }
+
+  return {
+    async addSocket(userPub, socketId, deviceId) {
+      const wasOnline = (await socketCount(userPub)) > 0;
+      await sql.run(
+        `INSERT OR REPLACE INTO presence_sockets
+         (socket_id, instance_id, user_pub, device_id, connected_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [socketId, instanceId, userPub, deviceId, Date.now()]
+      );
+      await touchUser(userPub, Date.now());
+      return !wasOnline;
+    },
+
+    async removeSocket(userPub, socketId) {
+      const now = Date.now();
+      const memberships = await sql.all(
+        "SELECT room_id FROM presence_room_members WHERE socket_id = ?",
+        [socketId]
+      );
+
+      const changedRooms = [];
+      for (const { room_id: roomId } of memberships) {
+        const wasPresent = (await roomUsers(roomId)).includes(userPub);
+        await sql.run(
+          "DELETE FROM presence_room_members WHERE room_id = ? AND socket_id = ?",
+          [roomId, socketId]
+        );
+        if (wasPresent && !(await roomUsers(roomId)).includes(userPub)) {
+          await touchRoom(roomId, userPub, now);
+          changedRooms.push(await snapshot(roomId));
+        }
+      }
+
+      const result = await sql.run(
+        "DELETE FROM presence_sockets WHERE socket_id = ?",
+        [socketId]
+      );
+      if (result.changes === 0) {
+        return { wentOffline: false, rooms: changedRooms };
+      }
+
+      await touchUser(userPub, now);
+      return {
+        wentOffline: (await socketCount(userPub)) === 0,
+        rooms: changedRooms,
+      };
+    },
+
+    async touch(userPub) {
+      if ((await socketCount(userPub)) > 0) {
+        await touchUser(userPub, Date.now());
+      }
+    },
+
+    async getUser(userPub) {
+      const row = await sql.get(
+        `SELECT u.last_active AS lastActive,
+                COUNT(s.socket_id) AS socketCount,
+                COUNT(DISTINCT s.device_id) AS deviceCount
+         FROM presence_users u
+         LEFT JOIN presence_sockets s ON s.user_pub = u.user_pub
+         WHERE u.user_pub = ?
+         GROUP BY u.user_pub`,
+        [userPub]
+      );
+      if (!row) {
+        return { isOnline: false, deviceCount: 0, lastActive: null };
+      }
+
+      return {
+        isOnline: row.socketCount > 0,
+        deviceCount: row.deviceCount,
+        lastActive: row.lastActive,
+      };
+    },
+
+    async getUsers(userPubs) {
+      const result = new Map(
+        userPubs.map((userPub) => [
+          userPub,
+          { isOnline: false, deviceCount: 0, lastActive: null },
+        ])
+      );
+      if (userPubs.length === 0) return result;
+
+      const rows = await sql.all(
+        `SELECT u.user_pub AS userPub,
+                u.last_active AS lastActive,
+                COUNT(s.socket_id) AS socketCount,
+                COUNT(DISTINCT s.device_id) AS deviceCount
+         FROM presence_users u
+         LEFT JOIN presence_sockets s ON s.user_pub = u.user_pub
+         WHERE u.user_pub IN (${userPubs.map(() => "?").join(", ")})
+         GROUP BY u.user_pub`,
+        userPubs
+      );
+      rows.forEach((row) =>
+        result.set(row.userPub, {
+          isOnline: row.socketCount > 0,
+          deviceCount: row.deviceCount,
+          lastActive: row.lastActive,
+        })
+      );
+      return result;
+    },
+
+    async countOnline() {
+      const row = await sql.get(
+        "SELECT COUNT(DISTINCT user_pub) AS count FROM presence_sockets"
+      );
+      return row.count;
+    },
+
+    async stats() {
+      const row = await sql.get(
+        `SELECT
+           (SELECT COUNT(DISTINCT user_pub) FROM presence_sockets) AS onlineUsers,
+           (SELECT COUNT(DISTINCT room_id) FROM presence_room_members) AS rooms,
+           (SELECT COUNT(*) FROM (
+              SELECT DISTINCT room_id, user_pub FROM presence_room_members WHERE away = 0
+           )) AS roomMembers`
+      );
+      return row;
+    },
+
+    async joinRoom(roomId, roomType, userPub, socketId) {
+      await sql.run(
+        "INSERT OR IGNORE INTO presence_rooms (room_id, room_type) VALUES (?, ?)",
+        [roomId, roomType]
+      );
+      await sql.run(
+        `INSERT OR REPLACE INTO presence_room_members
+         (room_id, socket_id, instance_id, user_pub, away)
+         VALUES (?, ?, ?, ?, 0)`,
+        [roomId, socketId, instanceId, userPub]
+      );
+      await touchRoom(roomId, userPub, Date.now());
+      return snapshot(roomId);
+    },
+
+    async leaveRoom(roomId, userPub, socketId) {
+      await sql.run(
+        "DELETE FROM presence_room_members WHERE room_id = ? AND socket_id = ?",
+        [roomId, socketId]
+      );
+      const room = await snapshot(roomId);
+      if (!room) return null;
+
+      await touchRoom(roomId, userPub, Date.now());
+      return snapshot(roomId);
+    },
+
+    async setRoomStatus(roomId, userPub, socketId, status) {
+      const room = await sql.get(
+        "SELECT room_id FROM presence_rooms WHERE room_id = ?",
+        [roomId]
+      );
+      if (!room) return null;
+
+      if (status === "online") {
+        await sql.run(
+          `INSERT OR REPLACE INTO presence_room_members
+           (room_id, socket_id, instance_id, user_pub, away)
+           VALUES (?, ?, ?, ?, 0)`,
+          [roomId, socketId, instanceId, userPub]
+        );
+      }
+      if (status === "online" || status === "offline") {
+        await sql.run(
+          "UPDATE presence_room_members SET away = ? WHERE room_id = ? AND user_pub = ?",
+          [status === "offline" ? 1 : 0, roomId, userPub]
+        );
+      }
+      await touchRoom(roomId, userPub, Date.now());
+      return snapshot(roomId);
+    },
+
+    async prune() {
+      const now = Date.now();
+      const cutoff = now - PRESENCE_RETENTION_MS;
+
+      // Sockets of instances that stopped sending heartbeats are gone
+      const liveInstances =
+        "SELECT instance_id FROM relay_instances WHERE last_heartbeat >= ?";
+      const heartbeatCutoff = now - options.heartbeatTimeoutMs;
+      await sql.run(
+        `DELETE FROM presence_sockets WHERE instance_id NOT IN (${liveInstances})`,
+        [heartbeatCutoff]
+      );
+      await sql.run(
+        `DELETE FROM presence_room_members WHERE instance_id NOT IN (${liveInstances})`,
+        [heartbeatCutoff]
+      );
+      await sql.run("DELETE FROM relay_instances WHERE last_heartbeat < ?", [
+        heartbeatCutoff,
+      ]);
+
+      await sql.run(
+        `DELETE FROM presence_users
+         WHERE last_active < ?
+           AND user_pub NOT IN (SELECT user_pub FROM presence_sockets)`,
+        [cutoff]
+      );
+      await sql.run("DELETE FROM presence_room_last_seen WHERE last_seen < ?", [
+        cutoff,
+      ]);
+      await sql.run(
+        `DELETE FROM presence_rooms
+         WHERE room_id NOT IN (SELECT room_id FROM presence_room_members)
+           AND room_id NOT IN (SELECT room_id FROM presence_room_last_seen)`
+      );
+    },
+  };
+}
+
+// ============================================================================
+// SQLITE SOCKET.IO ADAPTER
+// ============================================================================
+
+function reviveBuffers(key, value) {
+  if (
+    value &&
+    value.type === "Buffer" &&
+    Array.isArray(value.data) &&
+    Object.keys(value).length === 2
+  ) {
+    return Buffer.from(value.data);
+  }
+  return value;
+}
+
+// One poller per process, shared by the adapters of every namespace
+function createSqliteBus(sql, options) {
+  const adapters = new Set();
+  let lastId = 0;
+  let pollTimer = null;
+  let polling = false;
+
+  async function poll() {
+    if (polling) return;
+    polling = true;
+    try {
+      const rows = await sql.all(
+        "SELECT id, nsp, sender_uid, target_uid, kind, payload FROM cluster_messages WHERE id > ? ORDER BY id",
+        [lastId]
+      );
+      rows.forEach((row) => {
+        lastId = row.id;
+        let message;
+        try {
+          message = JSON.parse(row.payload, reviveBuffers);
+        } catch (error) {
+          console.error("❌ Invalid cluster message:", error);
+          return;
+        }
+
+        adapters.forEach((adapter) => {
+          if (adapter.nsp.name !== row.nsp || adapter.uid === row.sender_uid) {
+            return;
+          }
+          if (row.kind === "response") {
+            if (row.target_uid === adapter.uid) adapter.onResponse(message);
+          } else {
+            adapter.onMessage(message, String(row.id));
+          }
+        });
+      });
+    } catch (error) {
+      console.error("❌ Cluster poll error:", error);
+    } finally {
+      polling = false;
+    }
+  }
+
+  return {
+    async start() {
+      const row = await sql.get(
+        "SELECT COALESCE(MAX(id), 0) AS id FROM cluster_messages"
+      );
+      lastId = row.id;
+      pollTimer = setInterval(poll, options.pollIntervalMs);
+    },
+
+    stop() {
+      if (pollTimer) clearInterval(pollTimer);
+      pollTimer = null;
+    },
+
+    subscribe(adapter) {
+      adapters.add(adapter);
+    },
+
+    unsubscribe(adapter) {
+      adapters.delete(adapter);
+    },
+
+    async publish(message, kind, targetUid = null) {
+      const result = await sql.run(
+        `INSERT INTO cluster_messages (nsp, sender_uid, target_uid, kind, payload, created_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          message.nsp,
+          message.uid,
+          targetUid,
+          kind,
+          JSON.stringify(message),
+          Date.now(),
+        ]
+      );
+      return String(result.lastID);
+    },
+
+    prune() {
+      return sql.run("DELETE FROM cluster_messages WHERE created_at < ?", [
+        Date.now() - options.messageRetentionMs,
+      ]);
+    },
+  };
+}
+
+class SqliteAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, bus, options) {
+    super(nsp, {
+      heartbeatInterval: options.heartbeatIntervalMs,
+      heartbeatTimeout: options.heartbeatTimeoutMs,
+    });
+    this.bus = bus;
+    bus.subscribe(this);
+  }
+
+  doPublish(message) {
+    return this.bus.publish(message, "message");
+  }
+
+  async doPublishResponse(requesterUid, response) {
+    await this.bus.publish(response, "response", requesterUid);
+  }
+
+  close() {
+    this.bus.unsubscribe(this);
+    return super.close();
+  }
+}
+
+// ============================================================================
+// FACTORY
+// ============================================================================
+
+/**
+ * Create the shared state backend.
+ * @param {Object} params
+ * @param {string} params.backend - "memory" or "sqlite"
+ * @param {Object} [params.db] - sqlite3 Database shared by all instances (required for "sqlite")
+ * @param {Object} [params.options] - overrides for heartbeat, polling and retention intervals
+ */
+function createSharedState({ backend = "memory", db, options = {} } = {}) {
+  if (!SHARED_STATE_BACKENDS.includes(backend)) {
+    throw new Error(
+      `Unknown shared state backend "${backend}" (expected ${SHARED_STATE_BACKENDS.join(
+        ", "
+      )})`
+    );
+  }
+
+  const instanceId = crypto.randomBytes(8).toString("hex");
+
+  if (backend === "memory") {
+    return {
+      backend,
+      instanceId,
+      isShared: false,
+      presence: createMemoryPresenceStore(),
+      adapter: null,
+      async start() {},
+      async stop() {},
+    };
+  }
+
+  if (!db) {
+    throw new Error('The "sqlite" shared state backend requires a database');
+  }
+
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const sql = promisifyDb(db);
+  const bus = createSqliteBus(sql, opts);
+  let heartbeatTimer = null;
+  let pruneTimer = null;
+
+  function heartbeat() {
+    const now = Date.now();
+    return sql
+      .run(
+        `INSERT INTO relay_instances (instance_id, started_at, last_heartbeat)
+         VALUES (?, ?, ?)
+         ON CONFLICT(instance_id) DO UPDATE SET last_heartbeat = excluded.last_heartbeat`,
+        [instanceId, now, now]
+      )
+      .catch((error) => console.error("❌ Instance heartbeat error:", error));
+  }
+
+  const presence = createSqlitePresenceStore(sql, instanceId, opts);
+
+  return {
+    backend,
+    instanceId,
+    isShared: true,
+    presence,
+    // Socket.IO instantiates the adapter with `new`, so no arrow function
+    adapter: function (nsp) {
+      return new SqliteAdapter(nsp, bus, opts);
+    },
+
+    async start() {
+      // Other instances write to the same file
+      db.configure("busyTimeout", opts.heartbeatTimeoutMs);
+      await initSharedStateTables(sql);
+      await heartbeat();
+      await bus.start();
+      heartbeatTimer = setInterval(heartbeat, opts.heartbeatIntervalMs);
+      pruneTimer = setInterval(() => {
+        Promise.all([bus.prune(), presence.prune()]).catch((error) =>
+          console.error("❌ Shared state prune error:", error)
+        );
+      }, opts.messageRetentionMs);
+    },
+
+    async stop() {
+      bus.stop();
+      clearInterval(heartbeatTimer);
+      clearInterval(pruneTimer);
+
+      // Drop this instance's sockets right away instead of waiting for the
+      // heartbeat to expire
+      await sql.run("DELETE FROM presence_sockets WHERE instance_id = ?", [
+        instanceId,
+      ]);
+      await sql.run("DELETE FROM presence_room_members WHERE instance_id = ?", [
+        instanceId,
+      ]);
+      await sql.run("DELETE FROM relay_instances WHERE instance_id = ?", [
+        instanceId,
+      ]);
+    },
+  };
+}
+
+module.exports = {
+  SHARED_STATE_BACKENDS,
+  createSharedState,
+  createMemoryPresenceStore,
+  createSqlitePresenceStore,
+  SqliteAdapter,
+  promisifyDb,
+};
@@ -0,0 +1,140 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const sqlite3 = require("sqlite3");
+const { promisifyDb } = require("../shared-state");
+const {
+  MIGRATIONS,
+  LATEST_SCHEMA_VERSION,
+  getSchemaVersion,
+  migrate,
+} = require("../migrations");
+
+async function withDatabase(fn) {
+  const db = new sqlite3.Database(":memory:");
+  try {
+    await fn(db, promisifyDb(db));
+  } finally {
+    await new Promise((resolve) => db.close(resolve));
+  }
+}
+
+async function tableNames(sql) {
+  const rows = await sql.all(
+    "SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name"
+  );
+  return rows.map((row) => row.name);
+}
+
+test("a new database is migrated to the latest version", async () => {
+  await withDatabase(async (db, sql) => {
+    const result = await migrate(db);
+
+    assert.equal(result.from, 0);
+    assert.equal(result.to, LATEST_SCHEMA_VERSION);
+    assert.deepEqual(
+      result.applied.map((migration) => migration.version),
+      MIGRATIONS.map((migration) => migration.version)
+    );
+    assert.ok((await tableNames(sql)).includes("usernames"));
+
+    const again = await migrate(db);
+    assert.deepEqual(again.applied, []);
+  });
+});
+
+test("a pre-versioning database keeps its rows and gains the epub column", async () => {
+  await withDatabase(async (db, sql) => {
+    await sql.run(`
+      CREATE TABLE usernames (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT UNIQUE NOT NULL,
+        display_name TEXT,
+        user_pub TEXT NOT NULL,
+        last_seen INTEGER,
+        created_at INTEGER DEFAULT (strftime('%s', 'now'))
+      )
+    `);
+    await sql.run(
+      "INSERT INTO usernames (username, user_pub, last_seen) VALUES (?, ?, ?)",
+      ["alice", "pub-alice", 1]
+    );
+
+    await migrate(db);
+
+    const row = await sql.get("SELECT username, epub FROM usernames");
+    assert.deepEqual(row, { username: "alice", epub: null });
+    assert.equal(await getSchemaVersion(sql), LATEST_SCHEMA_VERSION);
+  });
+});
+
+test("names registered through the signed API are marked verified", async () => {
+  await withDatabase(async (db, sql) => {
+    const upToHistory = MIGRATIONS.filter(
+      (migration) => migration.version <= 3
+    );
+    await migrate(db, { migrations: upToHistory });
+    await sql.run(
+      "INSERT INTO usernames (username, user_pub) VALUES ('Alice', 'pub-a'), ('bob', 'pub-b')"
+    );
+    await sql.run(
+      `INSERT INTO username_history (action, username, user_pub, source, created_at)
+       VALUES ('bind', 'alice', 'pub-a', 'rest', 1), ('bind', 'bob', 'pub-b', 'gun:users', 1)`
+    );
+
+    await migrate(db);
+
+    const rows = await sql.all(
+      "SELECT username, verified FROM usernames ORDER BY username"
+    );
+    assert.deepEqual(rows, [
+      { username: "Alice", verified: 1 },
+      { username: "bob", verified: 0 },
+    ]);
+  });
+});
+
+test("a dry run reports pending migrations without applying them", async () => {
+  await withDatabase(async (db, sql) => {
+    const result = await migrate(db, { dryRun: true });
+
+    assert.equal(result.dryRun, true);
+    assert.equal(result.applied.length, MIGRATIONS.length);
+    assert.deepEqual(await tableNames(sql), []);
+    assert.equal(await getSchemaVersion(sql), 0);
+  });
+});
+
+test("a database newer than the code is refused", async () => {
+  await withDatabase(async (db, sql) => {
+    await migrate(db);
+    await sql.run(
+      "INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)",
+      [LATEST_SCHEMA_VERSION + 1, "from_the_future", Date.now()]
+    );
+
+    await assert.rejects(migrate(db), /newer than this relay supports/);
+  });
+});
+
+test("a failing migration is rolled back", async () => {
+  await withDatabase(async (db, sql) => {
+    const migrations = [
+      ...MIGRATIONS,
+      {
+        version: LATEST_SCHEMA_VERSION + 1,
+        name: "broken",
+        async up(sql) {
+          await sql.run("CREATE TABLE half_done (id INTEGER)");
+          await sql.run("INSERT INTO missing_table VALUES (1)");
+        },
+      },
+    ];
+
+    await assert.rejects(
+      migrate(db, { migrations }),
+      /Migration \d+ \(broken\) failed/
+    );
+    assert.equal(await getSchemaVersion(sql), LATEST_SCHEMA_VERSION);
+    assert.ok(!(await tableNames(sql)).includes("half_done"));
+  });
+});
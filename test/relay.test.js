@@ -0,0 +1,1442 @@
+const { describe, test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const sqlite3 = require("sqlite3");
+const Gun = require("gun");
+const SEA = require("gun/sea");
+const { io: connectSocket } = require("socket.io-client");
+const { createRelay } = require("../server");
+
+const ADMIN_TOKEN = "test-admin-token";
+
+let relay;
+let gun;
+let gunDir;
+let baseUrl;
+
+async function api(method, path, body, headers = {}) {
+  const response = await fetch(baseUrl + path, {
+    method,
+    headers: body
+      ? { "Content-Type": "application/json", ...headers }
+      : headers,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// Body of a request signed by `pair` over `fields`, pub, timestamp and nonce
+async function signedBody(pair, fields) {
+  const payload = {
+    ...fields,
+    pub: pair.pub,
+    timestamp: Date.now(),
+    nonce: crypto.randomUUID(),
+  };
+  return { ...payload, signature: await SEA.sign(payload, pair) };
+}
+
+function signedRegistration(pair, username) {
+  return signedBody(pair, { username });
+}
+
+const asAdmin = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+
+// X-Linda-Pub / X-Linda-Signature headers proving `pair` for `action`
+async function proofHeaders(pair, action) {
+  const signature = await SEA.sign(
+    { pub: pair.pub, action, timestamp: Date.now() },
+    pair
+  );
+  return { "X-Linda-Pub": pair.pub, "X-Linda-Signature": signature };
+}
+
+// Resolves once the socket has answered the SEA challenge
+function connectAs(pair) {
+  return new Promise((resolve, reject) => {
+    const socket = connectSocket(baseUrl);
+    socket.on("connect_error", reject);
+    socket.on("authChallenge", async ({ nonce }) => {
+      const signature = await SEA.sign(nonce, pair);
+      socket.emit("authenticate", { pub: pair.pub, signature }, (result) => {
+        if (result && result.success) resolve(socket);
+        else reject(new Error("Authentication failed"));
+      });
+    });
+  });
+}
+
+function nextEvent(socket, event) {
+  return new Promise((resolve) =>
+    socket.once(event, (...args) => resolve(args))
+  );
+}
+
+async function waitFor(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result || Date.now() > deadline) return result;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+before(async () => {
+  // The relay logs every request and sync event; keep the test output readable
+  mock.method(console, "log", () => {});
+
+  // Local Gun peer: no remote peers, radisk in a throwaway directory
+  gunDir = fs.mkdtempSync(path.join(os.tmpdir(), "linda-relay-test-"));
+  gun = Gun({
+    peers: [],
+    file: gunDir,
+    localStorage: false,
+    axe: false,
+    multicast: false,
+    // Gun's stats interval cannot be cleared and would keep the runner alive
+    stats: false,
+  });
+  relay = createRelay({
+    db: new sqlite3.Database(":memory:"),
+    gun,
+    config: {
+      PORT: 0,
+      ADMIN_TOKEN,
+      SHARED_STATE_BACKEND: "memory",
+      GUN_FETCH_TIMEOUT_MS: 200,
+      MAX_CONVERSATION_LISTENERS: 1,
+      SEARCH_CANDIDATE_WINDOW: 3,
+      WEBHOOK_POLL_INTERVAL_MS: 100,
+      WEBHOOK_RETRY_BASE_MS: 50,
+      WEBHOOK_MAX_ATTEMPTS: 2,
+      RATE_LIMITS: {
+        register: { capacity: 100, refillPerMinute: 100 },
+        notifyMessage: { capacity: 8, refillPerMinute: 1 },
+        messageNotification: { capacity: 2, refillPerMinute: 1 },
+      },
+    },
+  });
+  await relay.start();
+  baseUrl = `http://localhost:${relay.server.address().port}`;
+});
+
+after(async () => {
+  await relay.stop();
+  await new Promise((resolve) => relay.db.close(resolve));
+  fs.rmSync(gunDir, { recursive: true, force: true });
+});
+
+describe("HTTP API", () => {
+  test("health reports the effective config with secrets redacted", async () => {
+    const { status, body } = await api("GET", "/api/health");
+
+    assert.equal(status, 200);
+    assert.equal(body.status, "healthy");
+    assert.equal(body.config.ADMIN_TOKEN, "[redacted]");
+    assert.equal(body.sharedState.backend, "memory");
+  });
+
+  test("register indexes a username signed by its pub", async () => {
+    const pair = await SEA.pair();
+    const registration = await signedRegistration(pair, "alice");
+
+    const registered = await api("POST", "/api/register", registration);
+    assert.equal(registered.status, 200);
+    assert.equal(registered.body.success, true);
+
+    const lookup = await api("GET", "/api/users/alice");
+    assert.equal(lookup.status, 200);
+    assert.equal(lookup.body.pub, pair.pub);
+
+    const replayed = await api("POST", "/api/register", registration);
+    assert.equal(replayed.status, 401);
+  });
+
+  test("register rejects a username owned by another pub", async () => {
+    const owner = await SEA.pair();
+    const other = await SEA.pair();
+    await api("POST", "/api/register", await signedRegistration(owner, "bob"));
+
+    const { status } = await api(
+      "POST",
+      "/api/register",
+      await signedRegistration(other, "bob")
+    );
+    assert.equal(status, 409);
+  });
+
+  test("register rejects a signature from a different key", async () => {
+    const pair = await SEA.pair();
+    const impostor = await SEA.pair();
+    const registration = await signedRegistration(impostor, "carol");
+
+    const { status } = await api("POST", "/api/register", {
+      ...registration,
+      pub: pair.pub,
+    });
+    assert.equal(status, 401);
+  });
+
+  test("renames are recorded in the username history", async () => {
+    const pair = await SEA.pair();
+    await api("POST", "/api/register", await signedRegistration(pair, "dave"));
+    await api("POST", "/api/register", await signedRegistration(pair, "David"));
+
+    const byName = await api("GET", "/api/users/dave/history");
+    assert.equal(byName.status, 200);
+    assert.deepEqual(
+      byName.body.history.map(({ action, username, previousUsername }) => ({
+        action,
+        username,
+        previousUsername,
+      })),
+      [
+        { action: "rename", username: "david", previousUsername: "dave" },
+        { action: "bind", username: "dave", previousUsername: null },
+      ]
+    );
+    assert.equal(byName.body.history[0].source, "rest");
+
+    const byPub = await api(
+      "GET",
+      `/api/users/pub/${encodeURIComponent(pair.pub)}/history?limit=1`
+    );
+    assert.equal(byPub.body.history.length, 1);
+    assert.equal(byPub.body.history[0].action, "rename");
+    assert.equal(byPub.body.hasMore, true);
+
+    const olderPage = await api(
+      "GET",
+      `/api/users/pub/${encodeURIComponent(pair.pub)}/history?before=${
+        byPub.body.nextBefore
+      }`
+    );
+    assert.deepEqual(
+      olderPage.body.history.map((entry) => entry.action),
+      ["bind"]
+    );
+  });
+
+  test("a verified claim wins over Gun claims, which become disputes", async () => {
+    const owner = await SEA.pair();
+    gun.get("displayNames").get("erin").put({ userPub: "gun-pub-erin-first" });
+    const synced = await waitFor(async () => {
+      const { body } = await api("GET", "/api/users/erin");
+      return body.exists && body;
+    });
+    assert.ok(synced, "Gun claim was never indexed");
+    assert.equal(synced.verified, false);
+
+    const registered = await api(
+      "POST",
+      "/api/register",
+      await signedRegistration(owner, "erin")
+    );
+    assert.equal(registered.status, 200);
+
+    gun.get("displayNames").get("erin").put({ userPub: "gun-pub-erin-late" });
+    const search = await waitFor(async () => {
+      const { body } = await api("GET", "/api/search/erin");
+      return body.results[0].disputed && body;
+    });
+    assert.ok(search, "late Gun claim was not marked as disputed");
+    assert.equal(search.results[0].pub, owner.pub);
+    assert.equal(search.results[0].verified, true);
+
+    const disputes = await api(
+      "GET",
+      "/api/admin/usernames/disputes",
+      undefined,
+      asAdmin
+    );
+    const erin = disputes.body.disputes.find((d) => d.username === "erin");
+    assert.equal(erin.owner, owner.pub);
+    assert.deepEqual(
+      erin.claimants.map((claimant) => claimant.pub),
+      ["gun-pub-erin-late"]
+    );
+  });
+
+  test("reserved names can only be assigned by an admin", async () => {
+    const pair = await SEA.pair();
+    const rejected = await api(
+      "POST",
+      "/api/register",
+      await signedRegistration(pair, "Support")
+    );
+    assert.equal(rejected.status, 403);
+
+    const assigned = await api(
+      "POST",
+      "/api/admin/usernames/support/assign",
+      { pub: pair.pub },
+      asAdmin
+    );
+    assert.equal(assigned.status, 200);
+
+    const lookup = await api("GET", "/api/users/support");
+    assert.equal(lookup.body.pub, pair.pub);
+    assert.equal(lookup.body.verified, true);
+  });
+
+  test("an owner can transfer and then release a username", async () => {
+    const owner = await SEA.pair();
+    const recipient = await SEA.pair();
+    await api(
+      "POST",
+      "/api/register",
+      await signedRegistration(owner, "frank")
+    );
+
+    const hijack = await api(
+      "POST",
+      "/api/users/frank/transfer",
+      await signedBody(recipient, {
+        action: "transfer",
+        username: "frank",
+        to: owner.pub,
+      })
+    );
+    assert.equal(hijack.status, 403);
+
+    const offered = await api(
+      "POST",
+      "/api/users/frank/transfer",
+      await signedBody(owner, {
+        action: "transfer",
+        username: "frank",
+        to: recipient.pub,
+      })
+    );
+    assert.equal(offered.status, 200);
+    assert.equal(offered.body.transfer.to, recipient.pub);
+
+    // The recipient's published epub moves to the name with it
+    gun.get(recipient.pub).put({ epub: recipient.epub });
+    const accepted = await api(
+      "POST",
+      "/api/users/frank/transfer/accept",
+      await signedBody(recipient, {
+        action: "accept_transfer",
+        username: "frank",
+      })
+    );
+    assert.equal(accepted.status, 200);
+    const transferred = (await api("GET", "/api/users/frank")).body;
+    assert.equal(transferred.pub, recipient.pub);
+    assert.equal(transferred.epub, recipient.epub);
+
+    const notOwner = await api(
+      "POST",
+      "/api/users/frank/release",
+      await signedBody(owner, { action: "release", username: "frank" })
+    );
+    assert.equal(notOwner.status, 403);
+
+    const released = await api(
+      "POST",
+      "/api/users/frank/release",
+      await signedBody(recipient, { action: "release", username: "frank" })
+    );
+    assert.equal(released.status, 200);
+    assert.equal((await api("GET", "/api/users/frank")).status, 404);
+
+    const history = await api("GET", "/api/users/frank/history");
+    assert.deepEqual(
+      history.body.history.map(({ action, pub, previousPub }) => ({
+        action,
+        pub,
+        previousPub,
+      })),
+      [
+        { action: "release", pub: recipient.pub, previousPub: null },
+        { action: "transfer", pub: recipient.pub, previousPub: owner.pub },
+        { action: "bind", pub: owner.pub, previousPub: null },
+      ]
+    );
+  });
+
+  test("a released name is not claimed back by the releasing pub's Gun records", async () => {
+    const pair = await SEA.pair();
+    gun.get("displayNames").get("oscar").put({ userPub: pair.pub });
+    assert.ok(
+      await waitFor(
+        async () => (await api("GET", "/api/users/oscar")).body.exists
+      ),
+      "Gun claim was never indexed"
+    );
+
+    const released = await api(
+      "POST",
+      "/api/admin/usernames/oscar/release",
+      undefined,
+      asAdmin
+    );
+    assert.equal(released.status, 200);
+
+    // Replay the old claim, then wait for a later one to be indexed
+    gun
+      .get("displayNames")
+      .get("oscar")
+      .put({ userPub: pair.pub, replayedAt: Date.now() });
+    gun.get("displayNames").get("olive").put({ userPub: "gun-pub-olive" });
+    assert.ok(
+      await waitFor(
+        async () => (await api("GET", "/api/users/olive")).body.exists
+      ),
+      "later Gun claim was never indexed"
+    );
+    assert.equal((await api("GET", "/api/users/oscar")).status, 404);
+
+    const registered = await api(
+      "POST",
+      "/api/register",
+      await signedRegistration(pair, "oscar")
+    );
+    assert.equal(registered.status, 200);
+    const lookup = await api("GET", "/api/users/oscar");
+    assert.equal(lookup.body.pub, pair.pub);
+    assert.equal(lookup.body.verified, true);
+  });
+
+  test("a burst of Gun claims is indexed and flushed to SQLite without losses", async () => {
+    const names = Array.from({ length: 20 }, (_, i) => `burst${i}`);
+    names.forEach((name) =>
+      gun
+        .get("displayNames")
+        .get(name)
+        .put({ userPub: `gun-pub-${name}` })
+    );
+
+    const countRows = () =>
+      new Promise((resolve, reject) =>
+        relay.db.get(
+          "SELECT COUNT(*) AS count FROM usernames WHERE username LIKE 'burst%'",
+          (err, row) => (err ? reject(err) : resolve(row.count))
+        )
+      );
+    const flushed = await waitFor(
+      async () => (await countRows()) === names.length,
+      5000
+    );
+    assert.ok(flushed, "not every claim reached SQLite");
+
+    const health = await api("GET", "/api/health");
+    assert.equal(health.body.stats.pendingIndexWrites, 0);
+    const lookup = await api("POST", "/api/users/batch", { usernames: names });
+    assert.deepEqual(lookup.body.missing.usernames, []);
+  });
+
+  test("batch lookup reports missing entries and honours the ETag", async () => {
+    const pair = await SEA.pair();
+    await api("POST", "/api/register", await signedRegistration(pair, "gina"));
+    const lookup = {
+      pubs: [pair.pub, "no-such-pub"],
+      usernames: ["GINA", "ghost"],
+    };
+
+    const { status, body } = await api("POST", "/api/users/batch", lookup);
+    assert.equal(status, 200);
+    assert.equal(body.pubs[pair.pub].username, "gina");
+    assert.equal(body.pubs[pair.pub].online, false);
+    assert.equal(body.usernames.GINA.pub, pair.pub);
+    assert.deepEqual(body.missing, {
+      pubs: ["no-such-pub"],
+      usernames: ["ghost"],
+    });
+
+    const first = await fetch(`${baseUrl}/api/users/batch`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(lookup),
+    });
+    const etag = first.headers.get("etag");
+    assert.ok(etag);
+
+    const repeated = await fetch(`${baseUrl}/api/users/batch`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "If-None-Match": etag },
+      body: JSON.stringify(lookup),
+    });
+    assert.equal(repeated.status, 304);
+
+    const tooMany = await api("POST", "/api/users/batch", {
+      pubs: Array.from({ length: 201 }, (_, i) => `pub-${i}`),
+    });
+    assert.equal(tooMany.status, 400);
+  });
+
+  test("typeahead search ranks, paginates and filters unique users", async () => {
+    const hank = await SEA.pair();
+    const hannah = await SEA.pair();
+    await api("POST", "/api/register", await signedRegistration(hank, "hank"));
+    await api(
+      "POST",
+      "/api/register",
+      await signedRegistration(hannah, "hannah")
+    );
+
+    const exact = await api("GET", "/api/search?q=Hank");
+    assert.equal(exact.status, 200);
+    assert.equal(exact.body.results[0].username, "hank");
+    const names = exact.body.results.map((result) => result.username);
+    assert.equal(new Set(names).size, names.length);
+
+    const first = await api("GET", "/api/search?q=han&limit=1");
+    assert.deepEqual(
+      first.body.results.map((result) => result.username),
+      ["hank"]
+    );
+    assert.equal(first.body.hasMore, true);
+    const second = await api(
+      "GET",
+      `/api/search?q=han&limit=1&cursor=${first.body.nextCursor}`
+    );
+    assert.deepEqual(
+      second.body.results.map((result) => result.username),
+      ["hannah"]
+    );
+
+    const withEpub = await api("GET", "/api/search?q=han&hasEpub=true");
+    assert.equal(withEpub.status, 200);
+    assert.deepEqual(withEpub.body.results, []);
+
+    const socket = await connectAs(hannah);
+    try {
+      socket.emit("join", { deviceId: "phone" });
+      const online = await waitFor(async () => {
+        const { body } = await api("GET", "/api/search?q=han&online=true");
+        return body.results.length === 1 && body;
+      });
+      assert.ok(online, "online filter never matched");
+      assert.equal(online.results[0].username, "hannah");
+      assert.equal(online.results[0].online, true);
+    } finally {
+      socket.close();
+    }
+
+    const invalid = await api("GET", "/api/search?q=han&cursor=nope");
+    assert.equal(invalid.status, 400);
+  });
+
+  test("typeahead search reports candidates beyond its window", async () => {
+    for (const name of ["quill", "quilla", "quillb", "quillc"]) {
+      await api(
+        "POST",
+        "/api/register",
+        await signedRegistration(await SEA.pair(), name)
+      );
+    }
+
+    const { body } = await api("GET", "/api/search?q=quill");
+    assert.equal(body.results.length, 3);
+    assert.equal(body.results[0].username, "quill");
+    assert.equal(body.hasMore, false);
+    assert.equal(body.truncated, true);
+
+    const none = await api("GET", "/api/search?q=nobodyhere");
+    assert.equal(none.body.truncated, false);
+  });
+
+  test("legacy search coerces the limit and skips the repeated exact match", async () => {
+    const ivan = await SEA.pair();
+    await api("POST", "/api/register", await signedRegistration(ivan, "ivan"));
+
+    const { body } = await api("GET", "/api/search/ivan?limit=5");
+    const names = body.results.map((result) => result.username);
+    assert.equal(names[0], "ivan");
+    assert.equal(new Set(names).size, names.length);
+    assert.ok(names.length <= 5);
+  });
+
+  test("room messages are served from Gun through the cache", async () => {
+    gun.get("public_rooms").get("lobby").get("messages").get("m1").put({
+      content: "hello",
+      senderPub: "sender",
+      timestamp: Date.now(),
+    });
+
+    const body = await waitFor(async () => {
+      const { body } = await api("GET", "/api/room/lobby");
+      return body.messages.length > 0 && body;
+    });
+    assert.ok(body, "room message was never cached");
+    assert.equal(body.messages[0].content, "hello");
+  });
+
+  test("room cache management is admin only", async () => {
+    assert.equal((await api("POST", "/api/room/lobby/preload")).status, 401);
+    assert.equal((await api("DELETE", "/api/room/lobby")).status, 401);
+
+    const preloaded = await api(
+      "POST",
+      "/api/room/lobby/preload",
+      undefined,
+      asAdmin
+    );
+    assert.equal(preloaded.status, 200);
+    assert.ok(preloaded.body.preloaded >= 1);
+
+    const removed = await api("DELETE", "/api/room/lobby", undefined, asAdmin);
+    assert.equal(removed.status, 200);
+    assert.ok(removed.body.removed >= 1);
+  });
+
+  test("private conversations are only served to their participants", async () => {
+    const alice = await SEA.pair();
+    const bob = await SEA.pair();
+    const stranger = await SEA.pair();
+    const path = `/api/private-conversation/${encodeURIComponent(
+      alice.pub
+    )}/${encodeURIComponent(bob.pub)}`;
+
+    assert.equal((await api("GET", path)).status, 401);
+    const denied = await api(
+      "GET",
+      path,
+      undefined,
+      await proofHeaders(stranger, "conversation:read")
+    );
+    assert.equal(denied.status, 403);
+    const wrongAction = await api(
+      "DELETE",
+      path,
+      undefined,
+      await proofHeaders(alice, "conversation:read")
+    );
+    assert.equal(wrongAction.status, 401);
+
+    const read = await api(
+      "GET",
+      path,
+      undefined,
+      await proofHeaders(bob, "conversation:read")
+    );
+    assert.equal(read.status, 200);
+    assert.deepEqual(read.body.participants, [alice.pub, bob.pub].sort());
+
+    // A second conversation evicts the first listener (cap of 1)
+    const other = await api(
+      "GET",
+      `/api/private-conversation/${encodeURIComponent(
+        alice.pub
+      )}/${encodeURIComponent(stranger.pub)}`,
+      undefined,
+      await proofHeaders(alice, "conversation:read")
+    );
+    assert.equal(other.status, 200);
+
+    const invalidated = await api(
+      "DELETE",
+      path,
+      undefined,
+      await proofHeaders(alice, "conversation:invalidate")
+    );
+    assert.equal(invalidated.status, 200);
+  });
+
+  test("message search ranks and pages room messages, and private previews need a participant", async () => {
+    const alice = await SEA.pair();
+    const bob = await SEA.pair();
+    const stranger = await SEA.pair();
+    const messages = gun.get("public_rooms").get("library").get("messages");
+    messages.get("z1").put({
+      content: "a zebra crossing",
+      senderPub: "reader-1",
+      timestamp: Date.now() - 1000,
+    });
+    messages.get("z2").put({
+      content: "zebras and more zebras",
+      senderPub: "reader-2",
+      timestamp: Date.now(),
+    });
+    assert.ok(
+      await waitFor(async () => {
+        const { body } = await api("GET", "/api/room/library");
+        return body.messages.length === 2;
+      }),
+      "room messages were never cached"
+    );
+    await api(
+      "POST",
+      "/api/notify/message",
+      {
+        userPub: alice.pub,
+        messageData: {
+          senderPub: alice.pub,
+          recipientPub: bob.pub,
+          messageId: "zebra-dm",
+          messagePreview: "zebra plans for tonight",
+        },
+      },
+      await proofHeaders(alice, "notify:message")
+    );
+    // A preview planted in alice's name is refused
+    const planted = await api(
+      "POST",
+      "/api/notify/message",
+      {
+        userPub: stranger.pub,
+        messageData: {
+          senderPub: alice.pub,
+          recipientPub: bob.pub,
+          messageId: "zebra-planted",
+          messagePreview: "zebra ransom note",
+        },
+      },
+      await proofHeaders(stranger, "notify:message")
+    );
+    assert.equal(planted.status, 403);
+
+    // The last word matches as a prefix
+    const anonymous = await api("GET", "/api/search/messages?query=zebr");
+    assert.equal(anonymous.status, 200);
+    assert.equal(anonymous.body.privateIncluded, false);
+    assert.deepEqual(
+      anonymous.body.results.map(({ type, messageId }) => [type, messageId]),
+      [
+        ["room", "z2"],
+        ["room", "z1"],
+      ]
+    );
+    assert.match(anonymous.body.results[0].snippet, /<mark>zebras<\/mark>/);
+
+    const firstPage = await api(
+      "GET",
+      "/api/search/messages?query=zebra&type=room&limit=1"
+    );
+    assert.equal(firstPage.body.total, 2);
+    assert.equal(firstPage.body.hasMore, true);
+    const secondPage = await api(
+      "GET",
+      "/api/search/messages?query=zebra&type=room&limit=1&offset=1"
+    );
+    assert.equal(secondPage.body.results[0].messageId, "z1");
+    assert.equal(secondPage.body.hasMore, false);
+
+    const otherRoom = await api(
+      "GET",
+      "/api/search/messages?query=zebra&roomId=lobby"
+    );
+    assert.deepEqual(otherRoom.body.results, []);
+
+    const privatePath = "/api/search/messages?query=zebra&type=private";
+    assert.equal((await api("GET", privatePath)).status, 401);
+    const notParticipant = await api(
+      "GET",
+      privatePath,
+      undefined,
+      await proofHeaders(stranger, "search:messages")
+    );
+    assert.equal(notParticipant.status, 200);
+    assert.deepEqual(notParticipant.body.results, []);
+
+    const headers = await proofHeaders(bob, "search:messages");
+    const participant = await waitFor(async () => {
+      const { body } = await api("GET", privatePath, undefined, headers);
+      return body.results.length > 0 && body;
+    });
+    assert.ok(participant, "private preview was never indexed");
+    assert.equal(participant.privateIncluded, true);
+    assert.deepEqual(
+      participant.results.map(({ messageId, senderPub }) => [
+        messageId,
+        senderPub,
+      ]),
+      [["zebra-dm", alice.pub]]
+    );
+  });
+
+  test("message notifications need the sender's proof and cannot rewrite a cached message", async () => {
+    const alice = await SEA.pair();
+    const bob = await SEA.pair();
+    const notify = async (pair, messageData, headers) =>
+      (
+        await api(
+          "POST",
+          "/api/notify/message",
+          {
+            userPub: pair.pub,
+            messageData: {
+              recipientPub: bob.pub,
+              messageId: "m-fixed",
+              ...messageData,
+            },
+          },
+          headers
+        )
+      ).status;
+    const aliceProof = await proofHeaders(alice, "notify:message");
+
+    assert.equal(await notify(alice, { content: "original" }, aliceProof), 200);
+    assert.equal(await notify(alice, { content: "forged" }), 401);
+    assert.equal(
+      await notify(
+        bob,
+        { senderPub: alice.pub, content: "forged" },
+        await proofHeaders(bob, "notify:message")
+      ),
+      403
+    );
+    // The sender's own repeat only fills what is missing
+    assert.equal(
+      await notify(
+        alice,
+        { content: "rewritten", messagePreview: "late preview" },
+        aliceProof
+      ),
+      200
+    );
+
+    const { body } = await api(
+      "GET",
+      `/api/private-conversation/${encodeURIComponent(
+        alice.pub
+      )}/${encodeURIComponent(bob.pub)}`,
+      undefined,
+      await proofHeaders(bob, "conversation:read")
+    );
+    const message = body.messages.find((entry) => entry.id === "m-fixed");
+    assert.equal(message.content, "original");
+    assert.equal(message.senderPub, alice.pub);
+    assert.equal(message.contentPreview, "original");
+  });
+
+  test("protocol stats history is admin only and bucketed by granularity", async () => {
+    const HOUR_MS = 60 * 60 * 1000;
+    await api("POST", "/api/stats/notify", { type: "group" });
+
+    const denied = await api("GET", "/api/stats/protocol/history");
+    assert.equal(denied.status, 401);
+
+    const from = Date.now() - 60 * 1000;
+    const body = await waitFor(async () => {
+      const { body } = await api(
+        "GET",
+        `/api/stats/protocol/history?metric=totalGroups&from=${from}`,
+        undefined,
+        asAdmin
+      );
+      return body.series.totalGroups.length > 0 && body;
+    });
+    assert.ok(body, "the group was never recorded");
+    assert.equal(body.from, Math.floor(from / HOUR_MS) * HOUR_MS);
+    const [bucket] = body.series.totalGroups;
+    assert.equal(bucket.bucketStart % HOUR_MS, 0);
+    assert.equal(bucket.increment, 1);
+  });
+
+  test("conversation stats are only served to their user", async () => {
+    const owner = await SEA.pair();
+    const stranger = await SEA.pair();
+    const started = {
+      userPub: owner.pub,
+      conversationData: { contactPub: stranger.pub },
+      // Backdated events are recorded as happening now
+      timestamp: 0,
+    };
+    const notifyPath = "/api/notify/conversation";
+    assert.equal((await api("POST", notifyPath, started)).status, 401);
+    const forged = await api(
+      "POST",
+      notifyPath,
+      started,
+      await proofHeaders(stranger, "notify:conversation")
+    );
+    assert.equal(forged.status, 403);
+    const notified = await api(
+      "POST",
+      notifyPath,
+      started,
+      await proofHeaders(owner, "notify:conversation")
+    );
+    assert.equal(notified.status, 200);
+    assert.ok(notified.body.timestamp > Date.now() - 10 * 60 * 1000);
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const today = Math.floor(notified.body.timestamp / DAY_MS) * DAY_MS;
+    const path = `/api/stats/conversations?userPub=${owner.pub}&from=${today}`;
+
+    const anonymous = await api("GET", path);
+    assert.equal(anonymous.status, 401);
+    const foreign = await api(
+      "GET",
+      path,
+      undefined,
+      await proofHeaders(stranger, "stats:conversations")
+    );
+    assert.equal(foreign.status, 403);
+
+    const body = await waitFor(async () => {
+      const { body } = await api(
+        "GET",
+        path,
+        undefined,
+        await proofHeaders(owner, "stats:conversations")
+      );
+      return body.stats.conversationsStarted === 1 && body;
+    });
+    assert.ok(body, "the conversation was never recorded");
+    assert.equal(body.stats.distinctContacts, 1);
+  });
+
+  test("notification queues are only served to their owner", async () => {
+    const owner = await SEA.pair();
+    const stranger = await SEA.pair();
+    await api(
+      "POST",
+      "/api/notify/conversation",
+      { userPub: stranger.pub, conversationData: { contactPub: owner.pub } },
+      await proofHeaders(stranger, "notify:conversation")
+    );
+    const path = `/api/notifications/${encodeURIComponent(owner.pub)}`;
+
+    const anonymous = await api("GET", path);
+    assert.equal(anonymous.status, 401);
+    const foreign = await api(
+      "GET",
+      path,
+      undefined,
+      await proofHeaders(stranger, "notifications:read")
+    );
+    assert.equal(foreign.status, 403);
+
+    const queued = await api(
+      "GET",
+      path,
+      undefined,
+      await proofHeaders(owner, "notifications:read")
+    );
+    assert.equal(queued.status, 200);
+    assert.equal(queued.body.length, 1);
+
+    const ack = { seq: queued.body[0].seq };
+    const wrongAction = await api(
+      "POST",
+      `${path}/ack`,
+      ack,
+      await proofHeaders(owner, "notifications:read")
+    );
+    assert.equal(wrongAction.status, 401);
+    const acked = await api(
+      "POST",
+      `${path}/ack`,
+      ack,
+      await proofHeaders(owner, "notifications:ack")
+    );
+    assert.equal(acked.status, 200);
+    assert.equal(acked.body.cursor, ack.seq);
+  });
+
+  test("notification devices are only managed by their owner", async () => {
+    const owner = await SEA.pair();
+    const stranger = await SEA.pair();
+    const path = `/api/notifications/${encodeURIComponent(owner.pub)}/devices`;
+
+    const foreign = await api(
+      "POST",
+      path,
+      { deviceId: "tablet" },
+      await proofHeaders(stranger, "notifications:devices")
+    );
+    assert.equal(foreign.status, 403);
+
+    const headers = await proofHeaders(owner, "notifications:devices");
+    const registered = await api("POST", path, { deviceId: "tablet" }, headers);
+    assert.equal(registered.status, 200);
+    const listed = await api("GET", path, undefined, headers);
+    assert.deepEqual(
+      listed.body.devices.map((device) => device.deviceId),
+      ["tablet"]
+    );
+
+    const anonymous = await api("DELETE", `${path}/tablet`);
+    assert.equal(anonymous.status, 401);
+    const removed = await api("DELETE", `${path}/tablet`, undefined, headers);
+    assert.equal(removed.status, 200);
+  });
+
+  test("rate limited routes answer 429 with Retry-After", async () => {
+    const notify = () =>
+      fetch(`${baseUrl}/api/notify/message`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          userPub: "rate-limited-pub",
+          messageData: { messageId: "rl" },
+        }),
+      });
+
+    // Earlier tests may have spent some of the bucket already
+    const responses = [];
+    for (let i = 0; i < 9; i++) {
+      responses.push(await notify());
+    }
+    const statuses = responses.map((response) => response.status);
+    assert.equal(statuses[statuses.length - 1], 429);
+    const limited = responses.filter((response) => response.status === 429);
+    assert.ok(Number(limited[0].headers.get("retry-after")) > 0);
+    assert.equal((await limited[0].json()).error, "Too many requests");
+
+    const { body } = await api("GET", "/api/health");
+    assert.equal(body.rateLimits.budgets.notifyMessage.limited, limited.length);
+  });
+
+  test("webhook admin API requires the admin token", async () => {
+    const denied = await api("GET", "/api/webhooks");
+    assert.equal(denied.status, 401);
+
+    const allowed = await api("GET", "/api/webhooks", undefined, asAdmin);
+    assert.equal(allowed.status, 200);
+    assert.deepEqual(allowed.body.webhooks, []);
+  });
+
+  test("username binding changes reach webhooks whatever their source", async () => {
+    const events = [];
+    const receiver = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        events.push(JSON.parse(body));
+        res.end();
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, resolve));
+    const created = await api(
+      "POST",
+      "/api/webhooks",
+      {
+        url: `http://localhost:${receiver.address().port}/hook`,
+        events: ["user.registered", "user.username_changed"],
+      },
+      asAdmin
+    );
+    const webhookId = created.body.webhook.id;
+    const eventFor = (username, action) =>
+      waitFor(() =>
+        events.find(
+          ({ data }) =>
+            data.action === action &&
+            (data.username === username || data.oldUsername === username)
+        )
+      );
+
+    try {
+      gun.get("displayNames").get("gunnar").put({ userPub: "gun-pub-gunnar" });
+      const synced = await eventFor("gunnar", "bind");
+      assert.ok(synced, "Gun bind was not announced");
+      assert.equal(synced.event, "user.registered");
+      assert.equal(synced.data.source, "gun:displayNames");
+
+      const pair = await SEA.pair();
+      await api(
+        "POST",
+        "/api/admin/usernames/astrid/assign",
+        { pub: pair.pub },
+        asAdmin
+      );
+      const assigned = await eventFor("astrid", "bind");
+      assert.ok(assigned, "admin assign was not announced");
+      assert.equal(assigned.data.pub, pair.pub);
+      assert.equal(assigned.data.source, "admin");
+
+      await api(
+        "POST",
+        "/api/admin/usernames/astrid/release",
+        undefined,
+        asAdmin
+      );
+      const released = await eventFor("astrid", "release");
+      assert.ok(released, "release was not announced");
+      assert.equal(released.event, "user.username_changed");
+      assert.equal(released.data.username, null);
+    } finally {
+      await api("DELETE", `/api/webhooks/${webhookId}`, undefined, asAdmin);
+      await new Promise((resolve) => receiver.close(resolve));
+    }
+  });
+
+  test("webhook deliveries are signed, retried and dead-lettered", async () => {
+    // Receiver answering 500 while `failing` is set
+    const received = [];
+    let failing = 1; // remaining failures, Infinity to always fail
+    const receiver = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = failing-- > 0 ? 500 : 200;
+        res.end();
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, resolve));
+    const secret = "webhook-test-secret";
+    const created = await api(
+      "POST",
+      "/api/webhooks",
+      {
+        url: `http://localhost:${receiver.address().port}/hook`,
+        events: ["user.registered"],
+        secret,
+      },
+      asAdmin
+    );
+    assert.equal(created.status, 201);
+    const webhookId = created.body.webhook.id;
+    const deliveries = async () =>
+      (
+        await api(
+          "GET",
+          `/api/webhooks/${webhookId}/deliveries`,
+          undefined,
+          asAdmin
+        )
+      ).body.deliveries;
+
+    try {
+      // One failure, then delivered on the retry
+      await api(
+        "POST",
+        "/api/register",
+        await signedRegistration(await SEA.pair(), "wendy")
+      );
+      const delivered = await waitFor(async () => {
+        const [latest] = await deliveries();
+        return latest && latest.status === "delivered" && latest;
+      });
+      assert.ok(delivered, "delivery was never retried to success");
+      assert.equal(delivered.attempts, 2);
+      assert.equal(received.length, 2);
+
+      const { headers, body } = received[1];
+      assert.equal(headers["x-linda-event"], "user.registered");
+      const expected = crypto
+        .createHmac("sha256", secret)
+        .update(`${headers["x-linda-timestamp"]}.${body}`)
+        .digest("hex");
+      assert.equal(headers["x-linda-signature"], `sha256=${expected}`);
+      assert.equal(JSON.parse(body).data.username, "wendy");
+
+      // Every attempt fails: the delivery ends in the dead letters
+      failing = Infinity;
+      await api(
+        "POST",
+        "/api/register",
+        await signedRegistration(await SEA.pair(), "walter")
+      );
+      const deadLetters = async () =>
+        (
+          await api(
+            "GET",
+            `/api/webhooks/dead-letters?webhookId=${webhookId}`,
+            undefined,
+            asAdmin
+          )
+        ).body.deadLetters;
+      const [deadLetter] = await waitFor(async () => {
+        const letters = await deadLetters();
+        return letters.length > 0 && letters;
+      });
+      assert.equal(deadLetter.attempts, 2);
+      assert.equal(deadLetter.lastStatusCode, 500);
+      assert.equal(deadLetter.payload.data.username, "walter");
+
+      // A retried dead letter starts over and can succeed
+      failing = 0;
+      const retried = await api(
+        "POST",
+        `/api/webhooks/dead-letters/${deadLetter.id}/retry`,
+        undefined,
+        asAdmin
+      );
+      assert.equal(retried.status, 200);
+      assert.ok(
+        await waitFor(async () => {
+          const [latest] = await deliveries();
+          return (
+            latest.id === deadLetter.deliveryId && latest.status === "delivered"
+          );
+        }),
+        "retried dead letter was never delivered"
+      );
+      assert.deepEqual(await deadLetters(), []);
+    } finally {
+      await api("DELETE", `/api/webhooks/${webhookId}`, undefined, asAdmin);
+      await new Promise((resolve) => receiver.close(resolve));
+    }
+  });
+});
+
+describe("Socket.IO", () => {
+  test("events before authentication are rejected", async () => {
+    const socket = connectSocket(baseUrl);
+    try {
+      await nextEvent(socket, "authChallenge");
+      const rejected = nextEvent(socket, "authError");
+      socket.emit("join", { deviceId: "phone" });
+      const [error] = await rejected;
+      assert.equal(error.event, "join");
+    } finally {
+      socket.close();
+    }
+  });
+
+  test("join marks the user online and delivers queued notifications", async () => {
+    const pair = await SEA.pair();
+    const sender = await SEA.pair();
+    await api(
+      "POST",
+      "/api/notify/conversation",
+      { userPub: sender.pub, conversationData: { contactPub: pair.pub } },
+      await proofHeaders(sender, "notify:conversation")
+    );
+
+    const socket = await connectAs(pair);
+    try {
+      const delivered = nextEvent(socket, "notification");
+      socket.emit("join", { deviceId: "phone" });
+      const [notification, ack] = await delivered;
+      assert.equal(typeof notification.seq, "number");
+      ack();
+
+      const presence = await api(
+        "GET",
+        `/api/presence/${encodeURIComponent(pair.pub)}`
+      );
+      assert.equal(presence.body.isOnline, true);
+      assert.equal(presence.body.deviceCount, 1);
+
+      const pending = await waitFor(async () => {
+        const { body } = await api(
+          "GET",
+          `/api/notifications/${encodeURIComponent(pair.pub)}?deviceId=phone`,
+          undefined,
+          await proofHeaders(pair, "notifications:read")
+        );
+        return body.length === 0;
+      });
+      assert.ok(pending, "acknowledged notification is still queued");
+    } finally {
+      socket.close();
+    }
+
+    const offline = await waitFor(async () => {
+      const { body } = await api(
+        "GET",
+        `/api/presence/${encodeURIComponent(pair.pub)}`
+      );
+      return !body.isOnline;
+    });
+    assert.ok(offline, "user still online after disconnect");
+  });
+
+  test("groups are only registered from records signed by their creator", async () => {
+    const alice = await SEA.pair();
+    const bob = await SEA.pair();
+    const mallory = await SEA.pair();
+    const groups = gun.get("groups");
+
+    // Anyone can write an unsigned record or a forged member entry
+    groups.get("squatted").put({ createdBy: mallory.pub, name: "Mine" });
+    groups.get("team").put({
+      createdBy: alice.pub,
+      name: "Team",
+      signature: await SEA.sign(
+        { groupId: "team", createdBy: alice.pub, name: "Team" },
+        alice
+      ),
+    });
+    groups
+      .get("team")
+      .get("admins")
+      .get(mallory.pub)
+      .put({
+        addedBy: mallory.pub,
+        signature: await SEA.sign(
+          { groupId: "team", memberPub: mallory.pub, role: "admin" },
+          mallory
+        ),
+      });
+
+    const aliceSocket = await connectAs(alice);
+    const bobSocket = await connectAs(bob);
+    const mallorySocket = await connectAs(mallory);
+    try {
+      aliceSocket.emit("join", {});
+      bobSocket.emit("join", {});
+
+      const unknown = nextEvent(mallorySocket, "groupError");
+      mallorySocket.emit("groupMemberAddedNotification", {
+        groupId: "squatted",
+        newMemberPub: bob.pub,
+      });
+      const [unknownError] = await unknown;
+      assert.equal(unknownError.code, "unknown_group");
+
+      const invalid = nextEvent(mallorySocket, "groupError");
+      mallorySocket.emit("groupMessageNotification", { messageId: "m1" });
+      const [invalidError] = await invalid;
+      assert.equal(invalidError.code, "invalid_payload");
+
+      const forbidden = nextEvent(mallorySocket, "authError");
+      mallorySocket.emit("groupMemberAddedNotification", {
+        groupId: "team",
+        newMemberPub: mallory.pub,
+      });
+      const [forbiddenError] = await forbidden;
+      assert.equal(forbiddenError.code, "forbidden");
+
+      const added = nextEvent(bobSocket, "groupMemberAddedNotification");
+      aliceSocket.emit("groupMemberAddedNotification", {
+        groupId: "team",
+        newMemberPub: bob.pub,
+      });
+      const [addition] = await added;
+      assert.equal(addition.addedByPub, alice.pub);
+
+      const message = nextEvent(aliceSocket, "newGroupMessageNotification");
+      bobSocket.emit("groupMessageNotification", {
+        messageId: "m2",
+        groupId: "team",
+      });
+      const [notification] = await message;
+      assert.equal(notification.groupName, "Team");
+    } finally {
+      aliceSocket.close();
+      bobSocket.close();
+      mallorySocket.close();
+    }
+  });
+
+  test("a removed member is not restored by replaying their signed Gun entry", async () => {
+    const alice = await SEA.pair();
+    const bob = await SEA.pair();
+    const carol = await SEA.pair();
+    const group = gun.get("groups").get("crew");
+    const memberEntry = async (pair) => ({
+      pub: pair.pub,
+      addedBy: alice.pub,
+      signature: await SEA.sign(
+        {
+          groupId: "crew",
+          memberPub: pair.pub,
+          role: "member",
+          addedAt: Date.now(),
+        },
+        alice
+      ),
+    });
+    const memberRow = (pub) =>
+      new Promise((resolve, reject) =>
+        relay.db.get(
+          "SELECT role FROM group_members WHERE group_id = 'crew' AND member_pub = ?",
+          [pub],
+          (err, row) => (err ? reject(err) : resolve(row))
+        )
+      );
+
+    group.put({
+      createdBy: alice.pub,
+      name: "Crew",
+      signature: await SEA.sign(
+        { groupId: "crew", createdBy: alice.pub, name: "Crew" },
+        alice
+      ),
+    });
+    const bobEntry = await memberEntry(bob);
+    group.get("members").get(bob.pub).put(bobEntry);
+    assert.ok(await waitFor(() => memberRow(bob.pub)), "bob was never added");
+
+    const aliceSocket = await connectAs(alice);
+    const bobSocket = await connectAs(bob);
+    const carolSocket = await connectAs(carol);
+    try {
+      [aliceSocket, bobSocket, carolSocket].forEach((socket) =>
+        socket.emit("join", {})
+      );
+
+      const removed = nextEvent(bobSocket, "groupMemberRemovedNotification");
+      aliceSocket.emit("groupMemberRemovedNotification", {
+        groupId: "crew",
+        removedMemberPub: bob.pub,
+      });
+      await removed;
+
+      // Replay bob's entry, then wait for a later entry to be applied
+      group
+        .get("members")
+        .get(bob.pub)
+        .put({ ...bobEntry, replayedAt: Date.now() });
+      group
+        .get("members")
+        .get(carol.pub)
+        .put(await memberEntry(carol));
+      assert.ok(
+        await waitFor(() => memberRow(carol.pub)),
+        "carol was never added"
+      );
+      assert.equal(await memberRow(bob.pub), undefined);
+
+      let bobNotified = false;
+      bobSocket.on("newGroupMessageNotification", () => (bobNotified = true));
+      const delivered = nextEvent(carolSocket, "newGroupMessageNotification");
+      aliceSocket.emit("groupMessageNotification", {
+        messageId: "crew-1",
+        groupId: "crew",
+      });
+      await delivered;
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      assert.equal(bobNotified, false);
+    } finally {
+      aliceSocket.close();
+      bobSocket.close();
+      carolSocket.close();
+    }
+  });
+
+  test("room members see each other's presence", async () => {
+    const alice = await connectAs(await SEA.pair());
+    const bob = await connectAs(await SEA.pair());
+    try {
+      alice.emit("joinRoom", { roomId: "general", roomType: "public" });
+      await waitFor(
+        () => relay.io.sockets.adapter.rooms.get("room:general")?.size === 1
+      );
+
+      const seen = nextEvent(alice, "roomPresence");
+      bob.emit("joinRoom", { roomId: "general", roomType: "public" });
+      const [presence] = await seen;
+      assert.equal(presence.roomId, "general");
+      assert.equal(presence.onlineCount, 2);
+    } finally {
+      alice.close();
+      bob.close();
+    }
+  });
+
+  test("socket events over budget get a rateLimited event", async () => {
+    const socket = await connectAs(await SEA.pair());
+    try {
+      const limited = nextEvent(socket, "rateLimited");
+      for (let i = 0; i < 3; i++) {
+        socket.emit("messageNotification", {
+          messageId: `rl-${i}`,
+          recipientPub: "nobody",
+          timestamp: Date.now(),
+        });
+      }
+      const [event] = await limited;
+      assert.equal(event.event, "messageNotification");
+      assert.ok(event.retryAfter > 0);
+    } finally {
+      socket.close();
+    }
+
+    const { body } = await api("GET", "/api/health");
+    assert.equal(body.rateLimits.budgets.messageNotification.limited, 1);
+  });
+});
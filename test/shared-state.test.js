@@ -0,0 +1,119 @@
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const sqlite3 = require("sqlite3");
+const Gun = require("gun");
+const SEA = require("gun/sea");
+const { io: connectSocket } = require("socket.io-client");
+
+const { createRelay } = require("../server");
+
+// Two relay instances sharing one SQLite file, as in a multi-instance
+// deployment behind a load balancer
+const relays = [];
+let gun;
+let tmpDir;
+
+function baseUrl(relay) {
+  return `http://localhost:${relay.server.address().port}`;
+}
+
+// Resolves once the socket has answered the SEA challenge
+function connectAs(relay, pair) {
+  return new Promise((resolve, reject) => {
+    const socket = connectSocket(baseUrl(relay));
+    socket.on("connect_error", reject);
+    socket.on("authChallenge", async ({ nonce }) => {
+      const signature = await SEA.sign(nonce, pair);
+      socket.emit("authenticate", { pub: pair.pub, signature }, (result) => {
+        if (result && result.success) resolve(socket);
+        else reject(new Error("Authentication failed"));
+      });
+    });
+  });
+}
+
+async function waitFor(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result || Date.now() > deadline) return result;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+before(async () => {
+  mock.method(console, "log", () => {});
+
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "linda-shared-test-"));
+  gun = Gun({
+    peers: [],
+    file: path.join(tmpDir, "radata"),
+    localStorage: false,
+    axe: false,
+    multicast: false,
+    // Gun's stats interval cannot be cleared and would keep the runner alive
+    stats: false,
+  });
+
+  // One at a time, so only the first one runs the migrations
+  for (let i = 0; i < 2; i++) {
+    const relay = createRelay({
+      db: new sqlite3.Database(path.join(tmpDir, "relay.db")),
+      gun,
+      config: {
+        PORT: 0,
+        SHARED_STATE_BACKEND: "sqlite",
+        GUN_FETCH_TIMEOUT_MS: 200,
+      },
+    });
+    await relay.start();
+    relays.push(relay);
+  }
+});
+
+after(async () => {
+  for (const relay of relays) {
+    await relay.stop();
+    await new Promise((resolve) => relay.db.close(resolve));
+  }
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test("presence and socket events reach users on the other instance", async () => {
+  const [first, second] = relays;
+  const alice = await SEA.pair();
+  const bob = await SEA.pair();
+
+  const aliceSocket = await connectAs(first, alice);
+  const bobSocket = await connectAs(second, bob);
+  try {
+    aliceSocket.emit("join", { deviceId: "phone" });
+
+    const online = await waitFor(async () => {
+      const response = await fetch(
+        `${baseUrl(second)}/api/presence/${encodeURIComponent(alice.pub)}`
+      );
+      const body = await response.json();
+      return body.isOnline;
+    });
+    assert.ok(online, "the second instance never saw alice online");
+
+    const received = new Promise((resolve) =>
+      aliceSocket.once("messageReceived", resolve)
+    );
+    bobSocket.emit("messageSent", {
+      messageId: "m1",
+      recipientPub: alice.pub,
+      timestamp: Date.now(),
+    });
+    const message = await received;
+    assert.equal(message.senderPub, bob.pub);
+    assert.equal(message.messageId, "m1");
+  } finally {
+    aliceSocket.close();
+    bobSocket.close();
+  }
+});
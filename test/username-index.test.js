@@ -0,0 +1,98 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { UsernameIndex } = require("../username-index");
+
+function record(username, userPub, epub = null) {
+  return { username, userPub, pub: userPub, epub };
+}
+
+test("records are found by pub and epub", () => {
+  const index = new UsernameIndex();
+  index.set("alice", record("alice", "pub-a", "epub-a"));
+  index.set("bob", record("bob", "pub-b"));
+
+  assert.equal(index.findByPub("pub-a").username, "alice");
+  assert.equal(index.findByEpub("epub-a").username, "alice");
+  assert.equal(index.findByPub("pub-b").username, "bob");
+  assert.equal(index.findByPub("pub-missing"), null);
+  assert.equal(index.findByEpub("epub-missing"), null);
+});
+
+test("replacing a record moves it between pubs and epubs", () => {
+  const index = new UsernameIndex();
+  index.set("alice", record("alice", "pub-a", "epub-a"));
+  index.set("alice", record("alice", "pub-b", "epub-b"));
+
+  assert.equal(index.findByPub("pub-a"), null);
+  assert.equal(index.findByEpub("epub-a"), null);
+  assert.equal(index.findByPub("pub-b").username, "alice");
+  assert.equal(index.findByEpub("epub-b").username, "alice");
+  assert.equal(index.byPub.size, 1);
+});
+
+test("a pub keeps its remaining names after one is deleted", () => {
+  const index = new UsernameIndex();
+  index.set("alice", record("alice", "pub-a", "epub-a"));
+  index.set("ally", record("ally", "pub-a", "epub-a"));
+
+  assert.deepEqual(index.keysByPub("pub-a"), ["alice", "ally"]);
+  assert.equal(index.delete("alice"), true);
+  assert.equal(index.findByPub("pub-a").username, "ally");
+  assert.equal(index.findByEpub("epub-a").username, "ally");
+
+  index.delete("ally");
+  assert.equal(index.byPub.size, 0);
+  assert.equal(index.byEpub.size, 0);
+  assert.equal(index.delete("ally"), false);
+});
+
+test("clear empties the secondary indexes", () => {
+  const index = new UsernameIndex();
+  index.set("alice", record("alice", "pub-a", "epub-a"));
+  index.clear();
+
+  assert.equal(index.size, 0);
+  assert.equal(index.findByPub("pub-a"), null);
+  assert.equal(index.findByEpub("epub-a"), null);
+});
+
+test("prefix lookups follow adds and deletes", () => {
+  const index = new UsernameIndex();
+  for (const name of ["bob", "alice", "alicia", "al", "amber"]) {
+    index.set(name, record(name, `pub-${name}`));
+  }
+
+  assert.deepEqual(index.keysWithPrefix("ali"), ["alice", "alicia"]);
+  assert.deepEqual(index.keysWithPrefix("a", 2), ["al", "alice"]);
+  assert.deepEqual(index.keysWithPrefix("z"), []);
+
+  index.delete("alice");
+  index.set("alina", record("alina", "pub-alina"));
+  index.set("alicia", record("alicia", "pub-other"));
+  assert.deepEqual(index.keysWithPrefix("ali"), ["alicia", "alina"]);
+  assert.deepEqual(index.sortedKeys, ["al", "alicia", "alina", "amber", "bob"]);
+});
+
+test("a bulk load matches the same records set one by one", () => {
+  const names = ["bob", "alice", "alicia", "al", "amber", "alice"];
+  const incremental = new UsernameIndex();
+  names.forEach((name, i) =>
+    incremental.set(name, record(name, `pub-${i % 3}`, `epub-${i % 3}`))
+  );
+  const loaded = new UsernameIndex();
+  loaded.set("stale", record("stale", "pub-stale"));
+  loaded.load(
+    names.map((name, i) => [
+      name,
+      record(name, `pub-${i % 3}`, `epub-${i % 3}`),
+    ])
+  );
+
+  assert.deepEqual(loaded.sortedKeys, incremental.sortedKeys);
+  assert.deepEqual(Array.from(loaded), Array.from(incremental));
+  assert.equal(loaded.findByPub("pub-stale"), null);
+  for (const pub of ["pub-0", "pub-1", "pub-2"]) {
+    assert.deepEqual(loaded.keysByPub(pub), incremental.keysByPub(pub));
+  }
+  assert.deepEqual(loaded.keysWithPrefix("ali"), ["alice", "alicia"]);
+});
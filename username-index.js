@@ -0,0 +1,134 @@
+// ============================================================================
+// USERNAME INDEX
+// ============================================================================
+//
+// Map of lowercase username -> user record with secondary indexes by pub and
+// by epub, so lookups by key do not scan every user. The secondary indexes
+// are maintained by set(), delete() and clear(), so any code writing the Map
+// keeps them consistent. A pub (and its epub) can hold several names, so each
+// maps to the set of username keys in insertion order. Prefix lookups use a
+// sorted copy of the keys, kept in order by binary insertion and removal;
+// load() fills the index in bulk and sorts the keys once.
+
+// Position of the first key >= `value` in the sorted `keys`
+function lowerBound(keys, value) {
+  let low = 0;
+  let high = keys.length;
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (keys[middle] < value) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+}
+
+function addKey(index, value, key) {
+  if (!value) return;
+  let keys = index.get(value);
+  if (!keys) {
+    keys = new Set();
+    index.set(value, keys);
+  }
+  keys.add(key);
+}
+
+function removeKey(index, value, key) {
+  const keys = index.get(value);
+  if (!keys) return;
+  keys.delete(key);
+  if (keys.size === 0) index.delete(value);
+}
+
+class UsernameIndex extends Map {
+  constructor() {
+    super();
+    this.byPub = new Map(); // userPub -> Set of username keys
+    this.byEpub = new Map(); // epub -> Set of username keys
+    this.sortedKeys = [];
+  }
+
+  set(key, record) {
+    if (!super.has(key)) {
+      this.sortedKeys.splice(lowerBound(this.sortedKeys, key), 0, key);
+    }
+    this.unlink(key);
+    super.set(key, record);
+    addKey(this.byPub, record.userPub, key);
+    addKey(this.byEpub, record.epub, key);
+    return this;
+  }
+
+  delete(key) {
+    this.unlink(key);
+    const deleted = super.delete(key);
+    if (deleted) this.sortedKeys.splice(lowerBound(this.sortedKeys, key), 1);
+    return deleted;
+  }
+
+  // Replaces the content with `entries` ([key, record] pairs), sorting the
+  // keys once instead of inserting each one in order
+  load(entries) {
+    this.clear();
+    for (const [key, record] of entries) {
+      this.unlink(key);
+      super.set(key, record);
+      addKey(this.byPub, record.userPub, key);
+      addKey(this.byEpub, record.epub, key);
+    }
+    this.sortedKeys = Array.from(super.keys()).sort();
+    return this;
+  }
+
+  clear() {
+    super.clear();
+    this.byPub.clear();
+    this.byEpub.clear();
+    this.sortedKeys = [];
+  }
+
+  unlink(key) {
+    const record = super.get(key);
+    if (!record) return;
+    removeKey(this.byPub, record.userPub, key);
+    removeKey(this.byEpub, record.epub, key);
+  }
+
+  // Username keys held by `pub`, oldest binding first
+  keysByPub(pub) {
+    return Array.from(this.byPub.get(pub) || []);
+  }
+
+  // First record bound to `pub`, or null
+  findByPub(pub) {
+    const keys = this.byPub.get(pub);
+    return keys ? super.get(keys.values().next().value) : null;
+  }
+
+  findAllByPub(pub) {
+    return this.keysByPub(pub).map((key) => super.get(key));
+  }
+
+  // Up to `limit` username keys starting with `prefix`, in code unit order
+  keysWithPrefix(prefix, limit = Infinity) {
+    const keys = this.sortedKeys;
+    const matches = [];
+    for (
+      let i = lowerBound(keys, prefix);
+      i < keys.length && matches.length < limit && keys[i].startsWith(prefix);
+      i++
+    ) {
+      matches.push(keys[i]);
+    }
+    return matches;
+  }
+
+  // First record published with `epub`, or null
+  findByEpub(epub) {
+    const keys = this.byEpub.get(epub);
+    return keys ? super.get(keys.values().next().value) : null;
+  }
+}
+
+module.exports = {
+  UsernameIndex,
+};